@@ -1,7 +1,7 @@
-import { Dashboard } from "@/components/Dashboard";
+import { DashboardWorkspace } from "@/components/Dashboard";
 
 function App() {
-  return <Dashboard />;
+  return <DashboardWorkspace />;
 }
 
 export default App;
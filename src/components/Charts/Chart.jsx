@@ -0,0 +1,295 @@
+import { useState } from "react";
+
+import { useElementSize } from "@/hooks";
+import {
+  createLinearScale,
+  getAreaPath,
+  getLabelIndexes,
+  getLinePath,
+  getNearestIndex,
+  getValueTicks,
+} from "@/lib/chart";
+
+// Series colours, in order
+const COLORS = ["#3b82f6", "#10b981", "#f59e0b", "#ef4444", "#8b5cf6"];
+const MARGIN = { top: 8, right: 8, bottom: 20 };
+
+/**
+ * SVG chart for one or more series over shared x positions
+ *
+ * Line, bar (grouped) and area charts with a value axis, x labels, a
+ * tooltip (pointer, or arrow keys when focused) and a legend that shows
+ * and hides series. No charting library: geometry comes from lib/chart.
+ *
+ * RESIZING: The chart fills its container and is drawn in real pixels
+ * from the container's measured size (useElementSize), so text and
+ * strokes stay crisp when the card is resized or the grid reflows.
+ *
+ * @param {Object} props
+ * @param {string} [props.type] - "line" | "bar" | "area"
+ * @param {Array<string>} props.labels - X label per position
+ * @param {Array<Object>} props.series - [{ key, label, values }], one
+ *   value per position (null for a gap)
+ * @param {Function} [props.formatValue] - Value → axis/tooltip text
+ * @param {boolean} [props.showLegend]
+ * @param {string} [props.label] - Accessible description
+ */
+export function Chart({
+  type = "line",
+  labels,
+  series,
+  formatValue = String,
+  showLegend = true,
+  label,
+}) {
+  const { ref, width, height } = useElementSize();
+  const [hiddenKeys, setHiddenKeys] = useState(() => new Set());
+  const [activeIndex, setActiveIndex] = useState(null);
+
+  const colored = series.map((item, index) => ({
+    ...item,
+    color: COLORS[index % COLORS.length],
+  }));
+  const visible = colored.filter((item) => !hiddenKeys.has(item.key));
+  const count = labels.length;
+
+  const { domain, ticks } = getValueTicks(
+    visible.flatMap((item) => item.values),
+    { includeZero: type !== "line" }
+  );
+  // Room for the longest tick label (10px text, ~6px per character)
+  const left =
+    8 + Math.max(...ticks.map((tick) => formatValue(tick).length)) * 6;
+  const plotWidth = Math.max(0, width - left - MARGIN.right);
+  const plotBottom = Math.max(MARGIN.top, height - MARGIN.bottom);
+  const yScale = createLinearScale(domain, [plotBottom, MARGIN.top]);
+
+  const band = count > 0 ? plotWidth / count : 0;
+  const xs = labels.map((_, index) =>
+    type === "bar" || count < 2
+      ? left + band * (index + 0.5)
+      : left + (index * plotWidth) / (count - 1)
+  );
+  const pointsOf = (item) =>
+    item.values.map((value, index) => ({
+      x: xs[index],
+      y: Number.isFinite(value) ? yScale(value) : NaN,
+    }));
+  const baselineY = yScale(Math.min(Math.max(0, domain[0]), domain[1]));
+
+  const handlePointerMove = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    setActiveIndex(getNearestIndex(e.clientX - box.left, xs));
+  };
+  const handleKeyDown = (e) => {
+    if (count === 0) return;
+    const step = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+    if (step === undefined) return;
+    e.preventDefault();
+    setActiveIndex((index) =>
+      Math.min(
+        Math.max((index ?? (step > 0 ? -1 : count)) + step, 0),
+        count - 1
+      )
+    );
+  };
+  const toggleSeries = (key) =>
+    setHiddenKeys((current) => {
+      const next = new Set(current);
+      if (!next.delete(key)) next.add(key);
+      return next;
+    });
+
+  const isActive = activeIndex !== null && activeIndex < count;
+  const groupWidth = band * 0.8;
+  const barWidth = visible.length ? groupWidth / visible.length : 0;
+
+  return (
+    <div className="flex h-full min-h-32 flex-col gap-2">
+      <div ref={ref} className="relative min-h-0 flex-1">
+        {width > 0 && height > 0 && (
+          <svg
+            width={width}
+            height={height}
+            role="img"
+            aria-label={label}
+            tabIndex={0}
+            onPointerMove={handlePointerMove}
+            onPointerLeave={() => setActiveIndex(null)}
+            onKeyDown={handleKeyDown}
+            onBlur={() => setActiveIndex(null)}
+            className="block touch-none select-none focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 rounded"
+          >
+            {/* Value axis: grid lines and labels */}
+            {ticks.map((tick) => (
+              <g key={tick}>
+                <line
+                  x1={left}
+                  x2={left + plotWidth}
+                  y1={yScale(tick)}
+                  y2={yScale(tick)}
+                  className="stroke-gray-100"
+                />
+                <text
+                  x={left - 6}
+                  y={yScale(tick)}
+                  textAnchor="end"
+                  dominantBaseline="middle"
+                  className="fill-gray-400 text-[10px]"
+                >
+                  {formatValue(tick)}
+                </text>
+              </g>
+            ))}
+
+            {/* X axis labels */}
+            {getLabelIndexes(count, plotWidth).map((index) => (
+              <text
+                key={index}
+                x={xs[index]}
+                y={height - 4}
+                textAnchor="middle"
+                className="fill-gray-400 text-[10px]"
+              >
+                {labels[index]}
+              </text>
+            ))}
+
+            {type === "bar"
+              ? visible.map((item, seriesIndex) =>
+                  item.values.map((value, index) =>
+                    Number.isFinite(value) ? (
+                      <rect
+                        key={`${item.key}-${index}`}
+                        x={xs[index] - groupWidth / 2 + seriesIndex * barWidth}
+                        y={Math.min(yScale(value), baselineY)}
+                        width={Math.max(0, barWidth - 1)}
+                        height={Math.abs(baselineY - yScale(value))}
+                        fill={item.color}
+                        opacity={isActive && index !== activeIndex ? 0.5 : 1}
+                        rx={1}
+                      />
+                    ) : null
+                  )
+                )
+              : visible.map((item) => (
+                  <g key={item.key}>
+                    {type === "area" && (
+                      <path
+                        d={getAreaPath(pointsOf(item), baselineY)}
+                        fill={item.color}
+                        opacity={0.15}
+                      />
+                    )}
+                    <path
+                      d={getLinePath(pointsOf(item))}
+                      fill="none"
+                      stroke={item.color}
+                      strokeWidth={2}
+                      strokeLinejoin="round"
+                      strokeLinecap="round"
+                    />
+                  </g>
+                ))}
+
+            {/* Hover guide and markers */}
+            {isActive && (
+              <g pointerEvents="none">
+                <line
+                  x1={xs[activeIndex]}
+                  x2={xs[activeIndex]}
+                  y1={MARGIN.top}
+                  y2={plotBottom}
+                  className="stroke-gray-300"
+                  strokeDasharray="3 3"
+                />
+                {type !== "bar" &&
+                  visible.map((item) =>
+                    Number.isFinite(item.values[activeIndex]) ? (
+                      <circle
+                        key={item.key}
+                        cx={xs[activeIndex]}
+                        cy={yScale(item.values[activeIndex])}
+                        r={3.5}
+                        fill="white"
+                        stroke={item.color}
+                        strokeWidth={2}
+                      />
+                    ) : null
+                  )}
+              </g>
+            )}
+          </svg>
+        )}
+
+        {isActive && (
+          <ChartTooltip
+            title={labels[activeIndex]}
+            series={visible}
+            index={activeIndex}
+            formatValue={formatValue}
+            x={xs[activeIndex]}
+            alignRight={xs[activeIndex] > width / 2}
+          />
+        )}
+      </div>
+
+      {showLegend && series.length > 0 && (
+        <ul className="flex flex-wrap justify-center gap-x-3 gap-y-1">
+          {colored.map((item) => (
+            <li key={item.key}>
+              <button
+                type="button"
+                aria-pressed={!hiddenKeys.has(item.key)}
+                onClick={() => toggleSeries(item.key)}
+                title={hiddenKeys.has(item.key) ? "Show" : "Hide"}
+                className={`flex items-center gap-1.5 rounded text-xs focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+                  hiddenKeys.has(item.key)
+                    ? "text-gray-300 line-through"
+                    : "text-gray-600"
+                }`}
+              >
+                <span
+                  className="h-2 w-2 rounded-full"
+                  style={{ backgroundColor: item.color }}
+                />
+                {item.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Values of every visible series at one x position
+ */
+function ChartTooltip({ title, series, index, formatValue, x, alignRight }) {
+  return (
+    <div
+      role="status"
+      className="pointer-events-none absolute top-0 z-10 min-w-24 rounded-md border border-gray-200 bg-white px-2 py-1 text-xs shadow-md"
+      style={
+        alignRight ? { right: `calc(100% - ${x - 8}px)` } : { left: x + 8 }
+      }
+    >
+      <p className="font-medium text-gray-700">{title}</p>
+      {series.map((item) => (
+        <p key={item.key} className="flex items-center gap-1.5 text-gray-600">
+          <span
+            className="h-2 w-2 rounded-full"
+            style={{ backgroundColor: item.color }}
+          />
+          {item.label}:{" "}
+          <span className="font-medium text-gray-900">
+            {Number.isFinite(item.values[index])
+              ? formatValue(item.values[index])
+              : "—"}
+          </span>
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+/**
+ * Minimal SVG line chart for a series of numbers (no axes or labels)
+ *
+ * Scales to its container's width; the values are stretched to fill the
+ * height, so it shows the shape of a trend rather than its size.
+ *
+ * @param {Object} props
+ * @param {Array<number>} props.values - Oldest first
+ * @param {number} [props.height] - In px
+ * @param {string} [props.className] - Stroke colour, e.g. "text-green-500"
+ * @param {string} [props.label] - Accessible description
+ */
+export function Sparkline({
+  values,
+  height = 32,
+  className = "text-blue-500",
+  label,
+}) {
+  if (values.length < 2) return null;
+
+  const width = 100; // viewBox units, stretched to the container
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const points = values
+    .map((value, index) => {
+      const x = (index / (values.length - 1)) * width;
+      // 1 unit of padding so the stroke isn't clipped at the extremes
+      const y = 1 + (1 - (value - min) / range) * (height - 2);
+      return `${x.toFixed(2)},${y.toFixed(2)}`;
+    })
+    .join(" ");
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label={label}
+      className={`block w-full ${className}`}
+      style={{ height }}
+    >
+      <polyline
+        points={points}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+        strokeLinejoin="round"
+        strokeLinecap="round"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+}
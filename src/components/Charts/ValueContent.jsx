@@ -0,0 +1,23 @@
+/**
+ * Shared layout for single-value widgets (weather, stock):
+ * a title, a big icon + value line, then widget-specific details
+ */
+export function ValueContent({ title, icon, value, children }) {
+  return (
+    <div className="space-y-3">
+      {/* Category Title */}
+      <h3 className="text-base font-semibold text-gray-900">{title}</h3>
+
+      {/* Main Content - Emoji + Value inline */}
+      <div className="flex items-center gap-3">
+        {icon && <span className="text-4xl">{icon}</span>}
+        <div className="flex-1">
+          <div className="text-3xl font-semibold text-gray-900">{value}</div>
+        </div>
+      </div>
+
+      {/* Secondary Information */}
+      {children}
+    </div>
+  );
+}
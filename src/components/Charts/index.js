@@ -0,0 +1,3 @@
+export { Chart } from "./Chart";
+export { Sparkline } from "./Sparkline";
+export { ValueContent } from "./ValueContent";
@@ -5,9 +5,12 @@ import {
   DialogHeader,
   DialogTitle,
 } from "@/components/ui";
-import { WIDGET_TYPES } from "@/constants";
+import { useWidgetRegistry } from "@/hooks";
 
 export function AddWidgetModal({ open, onOpenChange, onAddWidget }) {
+  // The catalogue is whatever is registered, plugins included
+  const widgetTypes = useWidgetRegistry();
+
   const handleWidgetClick = (widgetId) => {
     onAddWidget(widgetId);
     onOpenChange(false);
@@ -24,7 +27,7 @@ export function AddWidgetModal({ open, onOpenChange, onAddWidget }) {
         </DialogHeader>
         <div className="flex-1 overflow-y-auto p-1">
           <div className="grid grid-cols-2 gap-4 p-1">
-            {Object.values(WIDGET_TYPES).map((widget) => (
+            {widgetTypes.map((widget) => (
               <button
                 key={widget.id}
                 onClick={() => handleWidgetClick(widget.id)}
@@ -0,0 +1,124 @@
+import { Trash2, X } from "lucide-react";
+
+import {
+  Button,
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui";
+import { CACHE_CONFIG } from "@/constants";
+import { useCache, useCacheEntries, useNow } from "@/hooks";
+import { getEntryStatus } from "@/lib/cache";
+import { formatTimeAgo, getWidgetName } from "@/lib/utils";
+import { getWidgetDefinition } from "@/widgets";
+
+const STATUS_STYLES = {
+  fresh: "bg-green-100 text-green-700",
+  stale: "bg-amber-100 text-amber-700",
+  expired: "bg-gray-100 text-gray-500",
+};
+
+/**
+ * Cache inspector: what the widget data cache holds right now
+ *
+ * Lists every entry, most recently used first, with its age and whether
+ * it is fresh, stale (shown while revalidating) or expired (about to be
+ * swept), and lets single entries or the whole cache be dropped. Dropped
+ * data is simply fetched again the next time a widget needs it.
+ */
+export function CacheInspector({ open, onOpenChange }) {
+  const entries = useCacheEntries();
+  const { deleteCached, clearCache, getCacheSize } = useCache();
+  const now = useNow();
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
+        <DialogHeader>
+          <DialogTitle>Cache</DialogTitle>
+          <DialogDescription>
+            Fetched widget data kept between refreshes and reloads
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex-1 overflow-y-auto">
+          {entries.length === 0 ? (
+            <p className="py-8 text-center text-sm text-gray-500">
+              The cache is empty
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {entries.map((entry) => {
+                const status = getEntryStatus(
+                  entry,
+                  now,
+                  CACHE_CONFIG.maxStaleMs
+                );
+                const type = entry.meta?.type;
+                return (
+                  <li key={entry.key} className="flex items-center gap-3 py-2">
+                    <span className="text-xl" aria-hidden="true">
+                      {getWidgetDefinition(type)?.icon ?? "📦"}
+                    </span>
+                    <div className="min-w-0 flex-1">
+                      <p className="text-sm font-medium text-gray-900">
+                        {type ? getWidgetName({ type }) : "Unknown"}
+                      </p>
+                      <p
+                        className="truncate text-xs text-gray-400"
+                        title={entry.key}
+                      >
+                        Stored {formatTimeAgo(entry.storedAt, now)} · TTL{" "}
+                        {formatDuration(entry.ttl)}
+                      </p>
+                    </div>
+                    <span
+                      className={`rounded px-2 py-0.5 text-xs font-medium ${STATUS_STYLES[status]}`}
+                    >
+                      {status}
+                    </span>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => deleteCached(entry.key)}
+                      aria-label="Remove cache entry"
+                    >
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        <DialogFooter className="items-center sm:justify-between">
+          <span className="text-xs text-gray-500">
+            {getCacheSize()} / {CACHE_CONFIG.maxEntries} entries · Storage:{" "}
+            {CACHE_CONFIG.storage}
+          </span>
+          <Button
+            variant="outline"
+            onClick={clearCache}
+            disabled={entries.length === 0}
+          >
+            <Trash2 className="h-4 w-4 mr-2" />
+            Clear cache
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+/**
+ * Short duration, e.g. "30 s", "5 min", "2 h"
+ */
+function formatDuration(ms) {
+  if (ms < 60000) return `${Math.round(ms / 1000)} s`;
+  if (ms < 3600000) return `${Math.round(ms / 60000)} min`;
+  return `${Math.round(ms / 3600000)} h`;
+}
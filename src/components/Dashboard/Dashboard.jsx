@@ -1,9 +1,26 @@
-import { Plus } from "lucide-react";
-import { useState } from "react";
+import {
+  Database,
+  Download,
+  Plus,
+  Redo2,
+  RefreshCw,
+  Undo2,
+  Upload,
+} from "lucide-react";
+import { useCallback, useState } from "react";
 
-import { useDragAndDrop, useWidgets } from "@/hooks";
+import {
+  useDragAndDrop,
+  useGridLayout,
+  useUndoShortcuts,
+  useWidgets,
+} from "@/hooks";
 
-import { AddWidgetModal } from "@/components/Dashboard";
+import {
+  AddWidgetModal,
+  CacheInspector,
+  ImportDashboardDialog,
+} from "@/components/Dashboard";
 import {
   Button,
   Select,
@@ -11,65 +28,284 @@ import {
   SelectItem,
   SelectTrigger,
   SelectValue,
+  Toast,
 } from "@/components/ui";
 import { WidgetList } from "@/components/Widget";
+import { SORT_ORDERS } from "@/constants";
+import { WIDGET_ACTIONS } from "@/constants/widgetActions";
+import { getWidgetName } from "@/lib/utils";
+import { getWidgetDefinition } from "@/widgets";
 
-export function Dashboard() {
-  const { widgets, addWidget, removeWidget, refreshWidget, reorderWidgets } =
-    useWidgets();
-  const dragAndDropProps = useDragAndDrop(reorderWidgets);
+/**
+ * One dashboard: its toolbar, widget grid and dialogs
+ *
+ * @param {Object} props
+ * @param {string} props.dashboardId - Dashboard to show (fixed per mount)
+ * @param {string} props.dashboardName - Used for export file names
+ * @param {Array<Object>} props.otherDashboards - Targets for moving widgets
+ */
+export function Dashboard({ dashboardId, dashboardName, otherDashboards }) {
+  const {
+    widgets,
+    addWidget,
+    removeWidget,
+    transferWidget,
+    exportDashboard,
+    parseImport,
+    importWidgets,
+    refreshWidget,
+    refreshAll,
+    updateWidgetSettings,
+    contentActions,
+    reorderWidgets,
+    moveWidget,
+    resizeWidget,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    lastChange,
+  } = useWidgets(dashboardId);
+  useUndoShortcuts(undo, redo);
+  const gridLayoutProps = useGridLayout(resizeWidget);
+  const { breakpoint } = gridLayoutProps;
+
+  // Drag results always apply to the layout of the breakpoint on screen
+  const handleReorder = useCallback(
+    (fromIndex, toIndex) => reorderWidgets(fromIndex, toIndex, breakpoint),
+    [reorderWidgets, breakpoint]
+  );
+  const handleMove = useCallback(
+    (fromIndex, position) => moveWidget(fromIndex, position, breakpoint),
+    [moveWidget, breakpoint]
+  );
+  // Names widgets in keyboard drag announcements
+  const getWidgetLabel = useCallback(
+    (index) => `${getWidgetName(widgets[index])} widget`,
+    [widgets]
+  );
+  const dragAndDropProps = useDragAndDrop(handleReorder, {
+    onMove: handleMove,
+    getItemLabel: getWidgetLabel,
+  });
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [sortOrder, setSortOrder] = useState("custom");
+  const [isCacheOpen, setIsCacheOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isRefreshingAll, setIsRefreshingAll] = useState(false);
+  const hasFetchableWidgets = widgets.some(
+    (widget) => getWidgetDefinition(widget.type)?.fetch
+  );
+
+  const handleRefreshAll = async () => {
+    setIsRefreshingAll(true);
+    try {
+      await refreshAll();
+    } finally {
+      setIsRefreshingAll(false);
+    }
+  };
+  const [sortOrder, setSortOrder] = useState(SORT_ORDERS.CUSTOM.id);
+  const isCustomOrder = sortOrder === SORT_ORDERS.CUSTOM.id;
+
+  // Removals are the one destructive edit, so they offer undo right away.
+  // The toast belongs to that exact change: any later edit or undo hides it.
+  const [dismissedChange, setDismissedChange] = useState(null);
+  const dismissToast = useCallback(
+    () => setDismissedChange(lastChange),
+    [lastChange]
+  );
+  // Moves can't be undone (see transferWidget), they get a plain notice
+  const [transferNotice, setTransferNotice] = useState(null);
+  const showUndoToast =
+    lastChange?.type === WIDGET_ACTIONS.REMOVE_WIDGET &&
+    lastChange !== dismissedChange;
+
+  const handleExport = () => {
+    downloadFile(
+      `${toFileName(dashboardName)}.json`,
+      exportDashboard(dashboardName)
+    );
+  };
+
+  const handleTransfer = (widget, targetId, { copy }) => {
+    const target = otherDashboards.find(({ id }) => id === targetId);
+    if (!transferWidget(widget, targetId, { copy })) return;
+    setTransferNotice({
+      message: `${getWidgetName(widget)} ${copy ? "copied" : "moved"} to "${target?.name}"`,
+    });
+  };
 
   return (
-    <div className="min-h-screen bg-gray-50 p-8">
-      <div className="max-w-7xl mx-auto">
-        {/* Header Section */}
-        <div className="mb-6 flex items-start justify-between">
-          <div>
-            <h1 className="text-3xl font-bold text-gray-900 mb-1">
-              Widget Dashboard
-            </h1>
-            <p className="text-sm text-gray-500">
-              Drag and drop to rearrange widgets
-            </p>
-          </div>
-          <div className="flex items-center gap-3">
-            <Select value={sortOrder} onValueChange={setSortOrder}>
-              <SelectTrigger className="w-[180px] bg-white">
-                <SelectValue placeholder="Sort order" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="custom">Custom Order</SelectItem>
-                <SelectItem value="alphabetical">Alphabetical</SelectItem>
-                <SelectItem value="recent">Most Recent</SelectItem>
-              </SelectContent>
-            </Select>
+    <>
+      {/* Header Section */}
+      <div className="mb-6 flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          {isCustomOrder
+            ? "Drag to rearrange widgets, drag a corner to resize"
+            : "Switch to Custom Order to rearrange widgets"}
+        </p>
+        <div className="flex items-center gap-3">
+          <div className="flex items-center">
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={undo}
+              disabled={!canUndo}
+              aria-label="Undo"
+              title="Undo (Ctrl+Z)"
+            >
+              <Undo2 className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={redo}
+              disabled={!canRedo}
+              aria-label="Redo"
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              <Redo2 className="h-4 w-4" />
+            </Button>
             <Button
-              onClick={() => setIsModalOpen(true)}
-              className="bg-blue-600 hover:bg-blue-700 text-white"
+              variant="ghost"
+              size="icon"
+              onClick={() => setIsCacheOpen(true)}
+              aria-label="Cache"
+              title="Inspect cache"
             >
-              <Plus className="h-4 w-4 mr-2" />
-              Add Widget
+              <Database className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={handleExport}
+              aria-label="Export dashboard"
+              title="Export dashboard as JSON"
+            >
+              <Download className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => setIsImportOpen(true)}
+              aria-label="Import dashboard"
+              title="Import dashboard from JSON"
+            >
+              <Upload className="h-4 w-4" />
             </Button>
           </div>
+          <Select value={sortOrder} onValueChange={setSortOrder}>
+            <SelectTrigger className="w-[180px] bg-white">
+              <SelectValue placeholder="Sort order" />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.values(SORT_ORDERS).map((order) => (
+                <SelectItem key={order.id} value={order.id}>
+                  {order.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button
+            variant="outline"
+            onClick={handleRefreshAll}
+            disabled={isRefreshingAll || !hasFetchableWidgets}
+            className="bg-white"
+          >
+            <RefreshCw
+              className={`h-4 w-4 mr-2 ${isRefreshingAll ? "animate-spin" : ""}`}
+            />
+            Refresh all
+          </Button>
+          <Button
+            onClick={() => setIsModalOpen(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Widget
+          </Button>
         </div>
-
-        {/* Widget List */}
-        <WidgetList
-          widgets={widgets}
-          onRemove={removeWidget}
-          onRefresh={refreshWidget}
-          dragAndDropProps={dragAndDropProps}
-        />
-
-        {/* Add Widget Modal */}
-        <AddWidgetModal
-          open={isModalOpen}
-          onOpenChange={setIsModalOpen}
-          onAddWidget={addWidget}
-        />
       </div>
-    </div>
+
+      {/* Widget List */}
+      <WidgetList
+        widgets={widgets}
+        onRemove={removeWidget}
+        onRefresh={refreshWidget}
+        onUpdateSettings={updateWidgetSettings}
+        transferTargets={otherDashboards}
+        onTransfer={handleTransfer}
+        contentActions={contentActions}
+        sortOrder={sortOrder}
+        dragAndDropProps={dragAndDropProps}
+        gridLayoutProps={gridLayoutProps}
+      />
+
+      {/* Add Widget Modal */}
+      <AddWidgetModal
+        open={isModalOpen}
+        onOpenChange={setIsModalOpen}
+        onAddWidget={addWidget}
+      />
+
+      {/* Import Dialog */}
+      <ImportDashboardDialog
+        open={isImportOpen}
+        onOpenChange={setIsImportOpen}
+        onParse={parseImport}
+        onImport={importWidgets}
+      />
+
+      {/* Cache Inspector */}
+      <CacheInspector open={isCacheOpen} onOpenChange={setIsCacheOpen} />
+
+      {/* Undo Removal Toast */}
+      {showUndoToast && (
+        <Toast
+          key={lastChange.payload}
+          actionLabel="Undo"
+          onAction={undo}
+          onDismiss={dismissToast}
+        >
+          Widget removed
+        </Toast>
+      )}
+
+      {/* Move/Copy Notice */}
+      {transferNotice && !showUndoToast && (
+        <Toast
+          key={transferNotice.message}
+          onDismiss={() => setTransferNotice(null)}
+        >
+          {transferNotice.message}
+        </Toast>
+      )}
+    </>
+  );
+}
+
+/**
+ * Lowercase, dash-separated file name for a dashboard
+ */
+function toFileName(name = "") {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "dashboard"
+  );
+}
+
+/**
+ * Saves text as a file through a temporary download link
+ */
+function downloadFile(fileName, text) {
+  const url = URL.createObjectURL(
+    new Blob([text], { type: "application/json" })
   );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
 }
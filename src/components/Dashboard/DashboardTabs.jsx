@@ -0,0 +1,181 @@
+import { Copy, Pencil, Plus, Trash2 } from "lucide-react";
+import { useState } from "react";
+
+import {
+  Button,
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  Input,
+} from "@/components/ui";
+import { DASHBOARD_CONFIG } from "@/constants";
+
+/**
+ * Tabs for switching between dashboards, plus their management actions
+ *
+ * Double-click a tab (or press the pencil) to rename it in place: Enter or
+ * leaving the field saves, Escape cancels. New dashboards open straight
+ * into renaming. Deleting asks first, since a dashboard's widgets go with
+ * it and undo only covers edits within a dashboard.
+ *
+ * @param {Object} props
+ * @param {Object} props.dashboards - From useDashboards
+ */
+export function DashboardTabs({ dashboards }) {
+  const {
+    dashboards: list,
+    activeId,
+    activeDashboard,
+    createDashboard,
+    renameDashboard,
+    duplicateDashboard,
+    deleteDashboard,
+    selectDashboard,
+  } = dashboards;
+  const [editingId, setEditingId] = useState(null);
+  const [isDeleteOpen, setIsDeleteOpen] = useState(false);
+
+  return (
+    <div className="mb-6 flex items-center justify-between gap-4 border-b border-gray-200">
+      <div
+        role="tablist"
+        aria-label="Dashboards"
+        className="-mb-px flex min-w-0 items-center gap-1 overflow-x-auto"
+      >
+        {list.map((dashboard) =>
+          dashboard.id === editingId ? (
+            <TabNameInput
+              key={dashboard.id}
+              name={dashboard.name}
+              onSave={(name) => {
+                renameDashboard(dashboard.id, name);
+                setEditingId(null);
+              }}
+              onCancel={() => setEditingId(null)}
+            />
+          ) : (
+            <button
+              key={dashboard.id}
+              type="button"
+              role="tab"
+              aria-selected={dashboard.id === activeId}
+              onClick={() => selectDashboard(dashboard.id)}
+              onDoubleClick={() => setEditingId(dashboard.id)}
+              title="Double-click to rename"
+              className={`whitespace-nowrap border-b-2 px-4 py-2 text-sm font-medium transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+                dashboard.id === activeId
+                  ? "border-blue-600 text-blue-600"
+                  : "border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700"
+              }`}
+            >
+              {dashboard.name}
+            </button>
+          )
+        )}
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => setEditingId(createDashboard())}
+          aria-label="New dashboard"
+          title="New dashboard"
+          className="h-8 w-8 shrink-0"
+        >
+          <Plus className="h-4 w-4" />
+        </Button>
+      </div>
+
+      <div className="flex shrink-0 items-center">
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => setEditingId(activeId)}
+          aria-label="Rename dashboard"
+          title="Rename dashboard"
+          className="h-8 w-8"
+        >
+          <Pencil className="h-4 w-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => duplicateDashboard(activeId)}
+          aria-label="Duplicate dashboard"
+          title="Duplicate dashboard"
+          className="h-8 w-8"
+        >
+          <Copy className="h-4 w-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => setIsDeleteOpen(true)}
+          disabled={list.length <= 1}
+          aria-label="Delete dashboard"
+          title={
+            list.length <= 1
+              ? "The last dashboard can't be deleted"
+              : "Delete dashboard"
+          }
+          className="h-8 w-8 hover:text-red-600"
+        >
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      </div>
+
+      <Dialog open={isDeleteOpen} onOpenChange={setIsDeleteOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              Delete &quot;{activeDashboard?.name}&quot;?
+            </DialogTitle>
+            <DialogDescription>
+              The dashboard and all of its widgets will be deleted. This
+              can&apos;t be undone.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsDeleteOpen(false)}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={() => {
+                deleteDashboard(activeId);
+                setIsDeleteOpen(false);
+              }}
+            >
+              Delete
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
+
+/**
+ * In-place editor for a tab's name
+ */
+function TabNameInput({ name, onSave, onCancel }) {
+  const [value, setValue] = useState(name);
+
+  return (
+    <Input
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={() => onSave(value)}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") onSave(value);
+        if (e.key === "Escape") onCancel();
+      }}
+      onFocus={(e) => e.currentTarget.select()}
+      maxLength={DASHBOARD_CONFIG.maxNameLength}
+      aria-label="Dashboard name"
+      className="mb-1 h-8 w-44"
+      autoFocus
+    />
+  );
+}
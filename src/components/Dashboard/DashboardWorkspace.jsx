@@ -0,0 +1,31 @@
+import { Dashboard, DashboardTabs } from "@/components/Dashboard";
+import { useDashboards } from "@/hooks";
+
+/**
+ * The page: dashboard tabs and the active dashboard
+ *
+ * The Dashboard is keyed by the active dashboard's id, so switching tabs
+ * mounts a fresh one that loads that dashboard's widgets (and starts its
+ * own undo history). The tabs live outside it and keep their state.
+ */
+export function DashboardWorkspace() {
+  const dashboards = useDashboards();
+  const { dashboards: list, activeId } = dashboards;
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        <h1 className="text-3xl font-bold text-gray-900 mb-4">
+          Widget Dashboard
+        </h1>
+        <DashboardTabs dashboards={dashboards} />
+        <Dashboard
+          key={activeId}
+          dashboardId={activeId}
+          dashboardName={dashboards.activeDashboard?.name}
+          otherDashboards={list.filter(({ id }) => id !== activeId)}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import { AlertTriangle, FileUp } from "lucide-react";
+import { useMemo, useRef, useState } from "react";
+
+import {
+  Button,
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  Label,
+} from "@/components/ui";
+
+/**
+ * Imports a dashboard export from a file or pasted text
+ *
+ * The text is validated as it changes (nothing is applied yet), so the
+ * user sees how many widgets will arrive and what was skipped or repaired
+ * before choosing:
+ * - Replace: the dashboard becomes the imported one
+ * - Merge: the imported widgets are added after the current ones
+ * Either way a single undo reverts the import.
+ *
+ * @param {Object} props
+ * @param {Function} props.onParse - (text) => { widgets, name, problems, error }
+ * @param {Function} props.onImport - (widgets, mode) => void
+ */
+export function ImportDashboardDialog({
+  open,
+  onOpenChange,
+  onParse,
+  onImport,
+}) {
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
+        <DialogHeader>
+          <DialogTitle>Import Dashboard</DialogTitle>
+          <DialogDescription>
+            Choose an exported JSON file or paste its contents
+          </DialogDescription>
+        </DialogHeader>
+        {/* Mounted only while open, so every import starts blank */}
+        {open && (
+          <ImportForm
+            onParse={onParse}
+            onImport={(widgets, mode) => {
+              onImport(widgets, mode);
+              onOpenChange(false);
+            }}
+            onCancel={() => onOpenChange(false)}
+          />
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function ImportForm({ onParse, onImport, onCancel }) {
+  const [text, setText] = useState("");
+  const [fileError, setFileError] = useState(null);
+  const fileInputRef = useRef(null);
+  const result = useMemo(
+    () => (text.trim() ? onParse(text) : null),
+    [text, onParse]
+  );
+  const canImport = Boolean(result && !result.error && result.widgets.length);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Choosing the same file again still fires
+    if (!file) return;
+    try {
+      setText(await file.text());
+      setFileError(null);
+    } catch {
+      setFileError(`"${file.name}" could not be read`);
+    }
+  };
+
+  return (
+    <>
+      <div className="flex-1 space-y-3 overflow-y-auto p-1">
+        <div className="flex items-center justify-between">
+          <Label htmlFor="import-dashboard-text">Dashboard JSON</Label>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            <FileUp className="h-4 w-4 mr-2" />
+            Choose file
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </div>
+        <textarea
+          id="import-dashboard-text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder='{ "format": "widget-dragger/dashboard", ... }'
+          spellCheck={false}
+          className="block h-40 w-full resize-y rounded-md border border-gray-200 p-3 font-mono text-xs text-gray-700 outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+        />
+
+        <div aria-live="polite" className="space-y-2 text-sm">
+          {fileError && <p className="text-red-600">{fileError}</p>}
+          {result?.error && <p className="text-red-600">{result.error}</p>}
+          {canImport && (
+            <p className="text-gray-700">
+              {result.widgets.length}{" "}
+              {result.widgets.length === 1 ? "widget" : "widgets"} ready to
+              import
+              {result.name && <> from &quot;{result.name}&quot;</>}
+            </p>
+          )}
+          {result?.problems.length > 0 && (
+            <ul className="space-y-1 rounded-md border border-amber-200 bg-amber-50 p-3 text-xs text-amber-800">
+              {result.problems.map((problem, index) => (
+                <li key={index} className="flex items-start gap-2">
+                  <AlertTriangle className="mt-0.5 h-3 w-3 shrink-0" />
+                  {problem}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <DialogFooter>
+        <Button variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          variant="outline"
+          onClick={() => onImport(result.widgets, "merge")}
+          disabled={!canImport}
+          title="Add the imported widgets to this dashboard"
+        >
+          Merge
+        </Button>
+        <Button
+          onClick={() => onImport(result.widgets, "replace")}
+          disabled={!canImport}
+          title="Replace this dashboard's widgets with the imported ones"
+        >
+          Replace
+        </Button>
+      </DialogFooter>
+    </>
+  );
+}
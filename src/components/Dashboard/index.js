@@ -1,2 +1,6 @@
 export { AddWidgetModal } from "./AddWidgetModal";
+export { CacheInspector } from "./CacheInspector";
 export { Dashboard } from "./Dashboard";
+export { DashboardTabs } from "./DashboardTabs";
+export { DashboardWorkspace } from "./DashboardWorkspace";
+export { ImportDashboardDialog } from "./ImportDashboardDialog";
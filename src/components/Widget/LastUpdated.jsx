@@ -0,0 +1,31 @@
+import { useNow } from "@/hooks";
+import { formatTimeAgo } from "@/lib/utils";
+
+/**
+ * "Updated X ago" label for the widget header
+ *
+ * Re-renders on the shared useNow tick, so the label ages on its own
+ * between refreshes.
+ *
+ * @param {Object} props
+ * @param {number} props.timestamp - When the data arrived (widget.lastUpdated)
+ * @param {string} [props.refreshLabel] - Auto-refresh interval, for the tooltip
+ */
+export function LastUpdated({ timestamp, refreshLabel }) {
+  const now = useNow();
+  const exactTime = new Date(timestamp).toLocaleTimeString();
+
+  return (
+    <time
+      dateTime={new Date(timestamp).toISOString()}
+      title={
+        refreshLabel
+          ? `Last updated ${exactTime} · Auto-refresh: ${refreshLabel}`
+          : `Last updated ${exactTime}`
+      }
+      className="whitespace-nowrap text-xs text-gray-400"
+    >
+      Updated {formatTimeAgo(timestamp, now)}
+    </time>
+  );
+}
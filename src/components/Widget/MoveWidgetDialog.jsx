@@ -0,0 +1,106 @@
+import { useState } from "react";
+
+import {
+  Button,
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  Label,
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui";
+import { getWidgetName } from "@/lib/utils";
+
+/**
+ * Moves or copies a widget to another dashboard
+ *
+ * Only mounts its form while open, so every time it opens it starts from
+ * the first other dashboard.
+ *
+ * @param {Object} props
+ * @param {Object} props.widget - Widget to transfer
+ * @param {Array<Object>} props.dashboards - Possible targets (never the
+ *   dashboard the widget is on)
+ * @param {Function} props.onTransfer - (dashboardId, { copy }) => void
+ */
+export function MoveWidgetDialog({
+  widget,
+  dashboards,
+  open,
+  onOpenChange,
+  onTransfer,
+}) {
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Move {getWidgetName(widget)}</DialogTitle>
+          <DialogDescription>
+            Settings and content go along; the widget takes a free spot on the
+            other dashboard
+          </DialogDescription>
+        </DialogHeader>
+        {open && (
+          <MoveWidgetForm
+            widget={widget}
+            dashboards={dashboards}
+            onTransfer={(dashboardId, options) => {
+              onTransfer(dashboardId, options);
+              onOpenChange(false);
+            }}
+            onCancel={() => onOpenChange(false)}
+          />
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function MoveWidgetForm({ widget, dashboards, onTransfer, onCancel }) {
+  const [targetId, setTargetId] = useState(dashboards[0]?.id ?? "");
+  const selectId = `${widget.id}-move-target`;
+
+  return (
+    <>
+      <div className="space-y-2">
+        <Label htmlFor={selectId}>Dashboard</Label>
+        <Select value={targetId} onValueChange={setTargetId}>
+          <SelectTrigger id={selectId} className="w-full">
+            <SelectValue placeholder="Choose..." />
+          </SelectTrigger>
+          <SelectContent>
+            {dashboards.map((dashboard) => (
+              <SelectItem key={dashboard.id} value={dashboard.id}>
+                {dashboard.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      <DialogFooter>
+        <Button variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          variant="outline"
+          onClick={() => onTransfer(targetId, { copy: true })}
+          disabled={!targetId}
+        >
+          Copy
+        </Button>
+        <Button
+          onClick={() => onTransfer(targetId, { copy: false })}
+          disabled={!targetId}
+        >
+          Move
+        </Button>
+      </DialogFooter>
+    </>
+  );
+}
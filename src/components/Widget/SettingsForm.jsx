@@ -0,0 +1,191 @@
+import { useState } from "react";
+
+import {
+  Button,
+  Checkbox,
+  DialogFooter,
+  Input,
+  Label,
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui";
+import {
+  getFieldOptions,
+  validateField,
+  validateSettings,
+} from "@/lib/settingsSchema";
+
+/**
+ * Generic settings form generated from a settings schema
+ *
+ * Renders one control per schema field (Input, Select or Checkbox) and only
+ * calls onSubmit with values that pass validation, already coerced to their
+ * field types. Errors show inline: per field once it has been touched, and
+ * for every field on submit.
+ *
+ * @param {Object} props
+ * @param {Object} props.schema - Settings schema (see lib/settingsSchema.js)
+ * @param {Object} props.initialValues - Current settings
+ * @param {string} props.idPrefix - Makes input ids unique per widget
+ * @param {Function} props.onSubmit - (values) with validated settings; may
+ *   return errors per field to show, e.g. when the caller rejects them
+ * @param {Function} props.onCancel - Called by the Cancel button
+ */
+export function SettingsForm({
+  schema,
+  initialValues,
+  idPrefix,
+  onSubmit,
+  onCancel,
+}) {
+  const [values, setValues] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+
+  const handleChange = (name, value) => {
+    setValues((current) => ({ ...current, [name]: value }));
+    // Re-check a field that is already showing an error as the user fixes it
+    if (errors[name]) {
+      setErrors((current) => ({
+        ...current,
+        [name]: validateField(schema[name], value).error,
+      }));
+    }
+  };
+
+  const handleBlur = (name) => {
+    setErrors((current) => ({
+      ...current,
+      [name]: validateField(schema[name], values[name]).error,
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const result = validateSettings(schema, values);
+    if (!result.isValid) {
+      setErrors(result.errors);
+      return;
+    }
+    const rejected = onSubmit(result.values);
+    if (rejected) setErrors(rejected);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+      {Object.entries(schema).map(([name, field]) => (
+        <SettingsField
+          key={name}
+          id={`${idPrefix}-${name}`}
+          field={field}
+          value={values[name]}
+          error={errors[name]}
+          onChange={(value) => handleChange(name, value)}
+          onBlur={() => handleBlur(name)}
+        />
+      ))}
+
+      <DialogFooter>
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          className="bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          Save
+        </Button>
+      </DialogFooter>
+    </form>
+  );
+}
+
+/**
+ * One labelled control, picked by field type
+ */
+function SettingsField({ id, field, value, error, onChange, onBlur }) {
+  const errorId = `${id}-error`;
+  const descriptionId = `${id}-description`;
+  const describedBy =
+    [field.description && descriptionId, error && errorId]
+      .filter(Boolean)
+      .join(" ") || undefined;
+
+  const renderControl = () => {
+    switch (field.type) {
+      case "boolean":
+        return (
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id={id}
+              checked={Boolean(value)}
+              onCheckedChange={(checked) => onChange(checked === true)}
+              aria-describedby={describedBy}
+            />
+            <Label htmlFor={id}>{field.label}</Label>
+          </div>
+        );
+
+      case "enum":
+        return (
+          <Select
+            value={value ?? ""}
+            onValueChange={onChange}
+            onOpenChange={(open) => !open && onBlur()}
+          >
+            <SelectTrigger
+              id={id}
+              className="w-full"
+              aria-invalid={Boolean(error)}
+              aria-describedby={describedBy}
+            >
+              <SelectValue placeholder={field.placeholder ?? "Choose..."} />
+            </SelectTrigger>
+            <SelectContent>
+              {getFieldOptions(field).map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        );
+
+      default:
+        return (
+          <Input
+            id={id}
+            type={field.type === "number" ? "number" : "text"}
+            value={value ?? ""}
+            onChange={(e) => onChange(e.target.value)}
+            onBlur={onBlur}
+            placeholder={field.placeholder}
+            min={field.min}
+            max={field.max}
+            step={field.integer ? 1 : undefined}
+            aria-invalid={Boolean(error)}
+            aria-describedby={describedBy}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {field.type !== "boolean" && <Label htmlFor={id}>{field.label}</Label>}
+      {renderControl()}
+      {field.description && (
+        <p id={descriptionId} className="text-xs text-gray-500">
+          {field.description}
+        </p>
+      )}
+      {error && (
+        <p id={errorId} className="text-xs text-red-500">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
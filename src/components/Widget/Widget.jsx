@@ -1,13 +1,26 @@
 import {
-  Activity,
+  ArrowRightLeft,
+  BellRing,
+  CloudOff,
   GripVertical,
   RefreshCw,
-  TrendingUp,
-  Users,
+  Settings2,
   X,
 } from "lucide-react";
 
-import { WIDGET_TYPES } from "@/constants";
+import { useState } from "react";
+
+import {
+  LastUpdated,
+  MoveWidgetDialog,
+  WidgetError,
+  WidgetErrorBoundary,
+  WidgetSettingsDialog,
+} from "@/components/Widget";
+import { POLLING_CONFIG } from "@/constants";
+import { useWidgetRegistry } from "@/hooks";
+import { getWidgetName } from "@/lib/utils";
+import { getWidgetDefinition } from "@/widgets";
 
 import {
   Button,
@@ -15,210 +28,256 @@ import {
   CardContent,
   CardHeader,
   CardTitle,
-  Checkbox,
 } from "@/components/ui";
 
 export function Widget({
   widget,
   onRemove,
   onRefresh,
+  onUpdateSettings,
+  transferTargets = [],
+  onTransfer,
+  contentActions,
   dragHandlers,
+  onResizeStart,
   isDragging,
+  isResizing,
 }) {
-  const widgetConfig = WIDGET_TYPES[widget.type.toUpperCase()];
+  // Re-render when plugins register, so a late widget type shows up
+  useWidgetRegistry();
+  const definition = getWidgetDefinition(widget.type);
+  const widgetName = getWidgetName(widget);
+  // No handlers means dragging is disabled (e.g. a sorted view is active)
+  const isDraggable = Boolean(dragHandlers);
+  // Only types with per-instance settings get a settings button
+  const isConfigurable = Boolean(definition?.settingsSchema);
+  // Local widgets only show user content: no fetching, nothing to refresh
+  const isFetchable = Boolean(definition?.fetch);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  // Moving needs another dashboard to move to
+  const isTransferable = transferTargets.length > 0 && Boolean(onTransfer);
+  const [isMoveOpen, setIsMoveOpen] = useState(false);
+  // PLUGINS: A type may flag its data, e.g. a crossed price threshold
+  const hasData = isFetchable && widget.data && !widget.loading;
+  // A failed refresh (e.g. a poll during a blip) keeps the last good data
+  // on screen, marked stale, instead of replacing it with the error
+  const isStale = hasData && Boolean(widget.error);
+  const alert = hasData
+    ? (definition.getAlert?.(widget.data, widget.settings) ?? null)
+    : null;
+  // e.g. an unread count
+  const badge = hasData
+    ? (definition.getBadge?.(widget.data, widget.settings, widget.content) ??
+      null)
+    : null;
+  // e.g. "Every minute", for the last-updated tooltip
+  const refreshLabel = POLLING_CONFIG.intervals.find(
+    (option) =>
+      option.value !== "0" && option.value === widget.settings?.refreshInterval
+  )?.label;
 
-  const getIcon = (name) => {
-    const icons = { Users, TrendingUp, Activity };
-    const Icon = icons[name];
-    return Icon ? <Icon className="h-5 w-5" /> : null;
+  const handleDragStart = (e) => {
+    // A resize gesture on the corner handle must not turn into a card drag
+    if (isResizing) {
+      e.preventDefault();
+      return;
+    }
+    dragHandlers.onDragStart(e);
   };
 
   const renderWidgetContent = () => {
-    if (widget.loading) {
-      return (
-        <div className="space-y-2">
-          <div className="h-8 bg-gray-200 rounded animate-pulse"></div>
-          <div className="h-4 bg-gray-200 rounded animate-pulse w-2/3"></div>
-        </div>
-      );
-    }
-
-    if (widget.error) {
+    if (!definition) {
       return (
-        <div className="text-sm text-red-500">
-          <p className="font-medium">Error</p>
-          <p className="text-xs mt-1">{widget.error}</p>
+        <div className="text-sm text-gray-500">
+          <p className="font-medium">Widget unavailable</p>
+          <p className="text-xs mt-1">
+            The &quot;{widget.type}&quot; widget type isn&apos;t installed.
+          </p>
         </div>
       );
     }
 
-    if (!widget.data) {
-      return <div className="text-sm text-gray-500">No data available</div>;
-    }
-
-    // Custom rendering based on widget type
-    if (widget.type === "tasks") {
+    if (isFetchable && widget.loading) {
       return (
-        <div className="space-y-4">
-          <h3 className="text-base font-semibold text-gray-900">Tasks</h3>
-          <div className="space-y-3">
-            {widget.data.items.map((item) => (
-              <div key={item.id} className="flex items-center space-x-2">
-                <Checkbox id={`task-${widget.id}-${item.id}`} />
-                <label
-                  htmlFor={`task-${widget.id}-${item.id}`}
-                  className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70 text-gray-700"
-                >
-                  {item.text}
-                </label>
-              </div>
-            ))}
-          </div>
+        <div className="space-y-2">
+          <div className="h-8 bg-gray-200 rounded animate-pulse"></div>
+          <div className="h-4 bg-gray-200 rounded animate-pulse w-2/3"></div>
         </div>
       );
     }
 
-    if (widget.type === "stats") {
-      return (
-        <div className="space-y-4">
-          <h3 className="text-base font-semibold text-gray-900">Stats</h3>
-          <div className="grid grid-cols-3 gap-2 pt-2">
-            {widget.data.stats.map((stat, i) => (
-              <div
-                key={i}
-                className="flex flex-col items-center text-center space-y-2"
-              >
-                <span className={`${stat.color}`}>{getIcon(stat.icon)}</span>
-                <span className="text-xl font-bold text-gray-900">
-                  {stat.value}
-                </span>
-                <span className="text-xs text-gray-500 font-medium">
-                  {stat.label}
-                </span>
-              </div>
-            ))}
-          </div>
-        </div>
-      );
+    if (isFetchable && widget.error && !widget.data) {
+      return <WidgetError error={widget.error} onRetry={onRefresh} />;
     }
 
-    if (widget.type === "notes") {
-      return (
-        <div className="space-y-3">
-          <h3 className="text-base font-semibold text-gray-900">Notes</h3>
-          <div className="bg-yellow-50 p-3 rounded-md border border-yellow-100 text-sm text-gray-700 whitespace-pre-line min-h-[100px]">
-            {widget.data.text}
-          </div>
-        </div>
-      );
+    if (isFetchable && !widget.data) {
+      return <div className="text-sm text-gray-500">No data available</div>;
     }
 
-    // Default Rendering (Weather, Stock, News)
+    // PLUGINS: Each widget type renders its own content, and a crash in it
+    // only takes down this card
     return (
-      <div className="space-y-3">
-        {/* Category Title */}
-        <h3 className="text-base font-semibold text-gray-900">
-          {widgetConfig.name.replace(" Widget", "")}
-        </h3>
-
-        {/* Main Content - Emoji + Value inline */}
-        <div className="flex items-center gap-3">
-          {widgetConfig.icon && (
-            <span className="text-4xl">{widgetConfig.icon}</span>
-          )}
-          <div className="flex-1">
-            <div className="text-3xl font-semibold text-gray-900">
-              {widget.data.value}
-            </div>
-          </div>
-        </div>
-
-        {/* Secondary Information */}
-        {widget.data.location && (
-          <div className="text-sm text-gray-600">{widget.data.location}</div>
-        )}
-        {widget.data.condition && (
-          <div className="text-xs text-gray-500">{widget.data.condition}</div>
-        )}
-        {widget.data.symbol && (
-          <div className="text-sm font-medium text-gray-600">
-            {widget.data.symbol}
-          </div>
-        )}
-        {widget.data.change && (
-          <div
-            className={`text-sm font-medium ${
-              widget.data.change.startsWith("-") ||
-              (widget.data.change.startsWith("+") &&
-                parseFloat(widget.data.change) < 0)
-                ? "text-red-500"
-                : "text-green-500"
-            }`}
-          >
-            {widget.data.change}
-          </div>
-        )}
-        {widget.data.trending && (
-          <div className="text-xs text-gray-500">{widget.data.trending}</div>
-        )}
-        {widget.data.updated && (
-          <div className="text-xs text-gray-400 mt-1">
-            {widget.data.updated}
-          </div>
-        )}
-      </div>
+      <WidgetErrorBoundary
+        resetKeys={[widget.data, widget.settings, widget.content]}
+      >
+        <definition.render
+          widget={widget}
+          data={widget.data}
+          settings={widget.settings}
+          content={widget.content}
+          actions={contentActions}
+        />
+      </WidgetErrorBoundary>
     );
   };
 
   return (
-    <div
-      draggable
-      onDragStart={dragHandlers.onDragStart}
-      onDragOver={dragHandlers.onDragOver}
-      onDragEnd={dragHandlers.onDragEnd}
-      className={`transition-all duration-200 h-full ${
-        isDragging ? "opacity-60" : "opacity-100 shadow-sm"
-      }`}
-      style={{ cursor: isDragging ? "grabbing" : "grab" }}
-    >
-      <Card
-        className={`h-full transition-shadow ${
-          isDragging ? "" : "hover:shadow-md"
+    <>
+      <div
+        draggable={isDraggable}
+        onDragStart={isDraggable ? handleDragStart : undefined}
+        onDragOver={dragHandlers?.onDragOver}
+        onDragEnd={dragHandlers?.onDragEnd}
+        className={`relative transition-all duration-200 h-full ${
+          isDragging || isResizing ? "opacity-60" : "opacity-100 shadow-sm"
         }`}
+        style={{
+          cursor: !isDraggable ? "default" : isDragging ? "grabbing" : "grab",
+        }}
       >
-        <CardHeader>
-          <div className="flex items-center gap-2">
-            <GripVertical className="h-4 w-4 text-gray-400 cursor-grab active:cursor-grabbing" />
-            <CardTitle className="text-gray-500 text-sm font-medium">
-              {widgetConfig.name}
-            </CardTitle>
-          </div>
-          <div className="flex gap-1">
-            <Button
-              variant="ghost"
-              size="icon"
-              className="h-8 w-8 text-gray-500 hover:text-gray-700 hover:bg-gray-100"
-              onClick={onRefresh}
-              disabled={widget.loading}
-              title="Refresh data"
-            >
-              <RefreshCw
-                className={`h-4 w-4 ${widget.loading ? "animate-spin" : ""}`}
-              />
-            </Button>
-            <Button
-              variant="ghost"
-              size="icon"
-              className="h-8 w-8 text-gray-500 hover:text-red-600 hover:bg-red-50"
-              onClick={onRemove}
-              title="Remove widget"
-            >
-              <X className="h-4 w-4" />
-            </Button>
-          </div>
-        </CardHeader>
-        <CardContent>{renderWidgetContent()}</CardContent>
-      </Card>
-    </div>
+        <Card
+          className={`h-full transition-shadow ${
+            isDragging ? "" : "hover:shadow-md"
+          } ${alert ? "ring-2 ring-amber-400 bg-amber-50/40" : ""}`}
+        >
+          <CardHeader>
+            <div className="flex items-center gap-2">
+              {isDraggable && (
+                <button
+                  type="button"
+                  onKeyDown={dragHandlers.onKeyDown}
+                  onBlur={dragHandlers.onBlur}
+                  onPointerDown={dragHandlers.onPointerDown}
+                  aria-label={`Reorder ${widgetName} widget`}
+                  aria-pressed={isDragging}
+                  aria-describedby="widget-reorder-instructions"
+                  className="-m-1 rounded p-1 text-gray-400 cursor-grab touch-none select-none [-webkit-touch-callout:none] active:cursor-grabbing focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+                >
+                  <GripVertical className="h-4 w-4" />
+                </button>
+              )}
+              <CardTitle className="text-gray-500 text-sm font-medium">
+                {widgetName}
+              </CardTitle>
+              {badge && (
+                <span className="rounded-full bg-blue-100 px-1.5 py-0.5 text-xs font-medium text-blue-700">
+                  {badge}
+                </span>
+              )}
+              {isFetchable && widget.lastUpdated && (
+                <LastUpdated
+                  timestamp={widget.lastUpdated}
+                  refreshLabel={refreshLabel}
+                />
+              )}
+              {isStale && (
+                <span
+                  className="flex items-center gap-1 rounded bg-red-50 px-1.5 py-0.5 text-xs font-medium text-red-600"
+                  title={`Couldn't refresh: ${widget.error.message}`}
+                >
+                  <CloudOff className="h-3 w-3" aria-hidden="true" />
+                  Stale
+                </span>
+              )}
+              {alert && (
+                <span
+                  className="flex items-center gap-1 rounded bg-amber-100 px-1.5 py-0.5 text-xs font-medium text-amber-700"
+                  title={alert}
+                >
+                  <BellRing className="h-3 w-3" aria-hidden="true" />
+                  {alert}
+                </span>
+              )}
+            </div>
+            <div className="flex gap-1">
+              {isConfigurable && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8 text-gray-500 hover:text-gray-700 hover:bg-gray-100"
+                  onClick={() => setIsSettingsOpen(true)}
+                  title="Widget settings"
+                >
+                  <Settings2 className="h-4 w-4" />
+                </Button>
+              )}
+              {isTransferable && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8 text-gray-500 hover:text-gray-700 hover:bg-gray-100"
+                  onClick={() => setIsMoveOpen(true)}
+                  title="Move or copy to another dashboard"
+                >
+                  <ArrowRightLeft className="h-4 w-4" />
+                </Button>
+              )}
+              {isFetchable && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8 text-gray-500 hover:text-gray-700 hover:bg-gray-100"
+                  onClick={onRefresh}
+                  disabled={widget.loading}
+                  title="Refresh data"
+                >
+                  <RefreshCw
+                    className={`h-4 w-4 ${widget.loading ? "animate-spin" : ""}`}
+                  />
+                </Button>
+              )}
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-8 w-8 text-gray-500 hover:text-red-600 hover:bg-red-50"
+                onClick={onRemove}
+                title="Remove widget"
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent className="flex-1 overflow-auto">
+            {renderWidgetContent()}
+          </CardContent>
+        </Card>
+        {onResizeStart && (
+          <div
+            onPointerDown={onResizeStart}
+            className="absolute bottom-1 right-1 h-3 w-3 cursor-se-resize rounded-br border-r-2 border-b-2 border-gray-300 hover:border-gray-500"
+            title="Drag to resize"
+          />
+        )}
+      </div>
+      {/* Outside the card: React events bubble out of portals, and the
+        dialog's text fields must never start a card drag */}
+      {isConfigurable && (
+        <WidgetSettingsDialog
+          widget={widget}
+          open={isSettingsOpen}
+          onOpenChange={setIsSettingsOpen}
+          onSave={onUpdateSettings}
+        />
+      )}
+      {isTransferable && (
+        <MoveWidgetDialog
+          widget={widget}
+          dashboards={transferTargets}
+          open={isMoveOpen}
+          onOpenChange={setIsMoveOpen}
+          onTransfer={onTransfer}
+        />
+      )}
+    </>
   );
 }
@@ -0,0 +1,53 @@
+import { cleanup, render, screen } from "@testing-library/react";
+import { afterAll, afterEach, beforeAll, describe, expect, it } from "vitest";
+
+import { registerWidget } from "@/widgets";
+
+import { Widget } from "./Widget";
+
+const error = {
+  message: "Network error",
+  transient: true,
+  attempts: 4,
+  maxAttempts: 4,
+  nextRetryAt: null,
+};
+
+const renderWidget = (fields) =>
+  render(
+    <Widget
+      widget={{ id: "widget-1", type: "counter", settings: {}, ...fields }}
+      onRemove={() => {}}
+      onRefresh={() => {}}
+    />
+  );
+
+describe("Widget", () => {
+  let unregister;
+  beforeAll(() => {
+    unregister = registerWidget({
+      id: "counter",
+      name: "Counter",
+      fetch: async () => ({ count: 1 }),
+      render: ({ data }) => <p>Count: {data.count}</p>,
+    });
+  });
+  afterAll(() => unregister());
+  afterEach(cleanup);
+
+  it("keeps the last good data after a failed refresh, marked stale", () => {
+    renderWidget({ data: { count: 3 }, error, lastUpdated: Date.now() });
+
+    expect(screen.getByText("Count: 3")).toBeTruthy();
+    expect(screen.getByText("Stale").title).toBe(
+      "Couldn't refresh: Network error"
+    );
+    expect(screen.queryByText("Retry now")).toBeNull();
+  });
+
+  it("shows the error when there is no data to keep", () => {
+    renderWidget({ data: null, error });
+
+    expect(screen.getByText("Retry now")).toBeTruthy();
+  });
+});
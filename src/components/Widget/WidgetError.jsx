@@ -0,0 +1,62 @@
+import { AlertTriangle, RotateCw } from "lucide-react";
+
+import { Button } from "@/components/ui";
+import { useNow } from "@/hooks";
+
+/**
+ * Error state of a widget whose fetch failed
+ *
+ * Shows what went wrong, how many attempts were made and, while automatic
+ * retries are still coming, a countdown to the next one. Retry starts a
+ * fresh request right away (and with it a fresh set of attempts).
+ *
+ * @param {Object} props
+ * @param {Object} props.error - widget.error: { message, transient,
+ *   attempts, maxAttempts, nextRetryAt }
+ * @param {Function} props.onRetry - Fetches again
+ */
+export function WidgetError({ error, onRetry }) {
+  // Second ticks only while a countdown is on screen
+  const now = useNow(1000);
+  const secondsLeft = error.nextRetryAt
+    ? Math.max(0, Math.ceil((error.nextRetryAt - now) / 1000))
+    : null;
+
+  const getRetryStatus = () => {
+    if (secondsLeft === null) {
+      return error.transient
+        ? "Automatic retries gave up."
+        : "This error won't go away by retrying automatically.";
+    }
+    return secondsLeft > 0 ? `Next attempt in ${secondsLeft}s.` : "Retrying...";
+  };
+
+  return (
+    <div
+      role="alert"
+      className="space-y-3 rounded-md border border-red-100 bg-red-50 p-3 text-sm"
+    >
+      <div className="flex items-start gap-2">
+        <AlertTriangle className="mt-0.5 h-4 w-4 shrink-0 text-red-500" />
+        <div className="space-y-1">
+          <p className="font-medium text-red-700">
+            {error.transient ? "Couldn't load data" : "Can't load this widget"}
+          </p>
+          <p className="text-xs text-red-600">{error.message}</p>
+          <p className="text-xs text-gray-500">
+            Attempt {error.attempts} of {error.maxAttempts}. {getRetryStatus()}
+          </p>
+        </div>
+      </div>
+      <Button
+        size="sm"
+        variant="outline"
+        className="w-full border-red-200 text-red-700 hover:bg-red-100"
+        onClick={onRetry}
+      >
+        <RotateCw className="h-4 w-4" />
+        Retry now
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import { AlertTriangle, RotateCw } from "lucide-react";
+
+import { Component } from "react";
+
+import { Button } from "@/components/ui";
+
+const sameKeys = (a, b) =>
+  a.length === b.length && a.every((key, index) => Object.is(key, b[index]));
+
+/**
+ * Contains a crash in one widget's content to that widget's card
+ *
+ * PLUGINS: Widget types render whatever they were given, so unexpected
+ * data or content from a plugin or a hand-edited save must not take the
+ * whole dashboard down. The error is cleared when any of `resetKeys`
+ * changes (e.g. fresh data or an undone edit) or on "Try again".
+ *
+ * @param {Object} props
+ * @param {Array} props.resetKeys - Values whose change clears the error
+ * @param {React.ReactNode} props.children - The widget's content
+ */
+export class WidgetErrorBoundary extends Component {
+  state = { error: null, resetKeys: this.props.resetKeys };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  static getDerivedStateFromProps({ resetKeys }, state) {
+    if (sameKeys(resetKeys, state.resetKeys)) return null;
+    return { error: null, resetKeys };
+  }
+
+  render() {
+    const { error } = this.state;
+    if (!error) return this.props.children;
+
+    return (
+      <div
+        role="alert"
+        className="space-y-3 rounded-md border border-red-100 bg-red-50 p-3 text-sm"
+      >
+        <div className="flex items-start gap-2">
+          <AlertTriangle className="mt-0.5 h-4 w-4 shrink-0 text-red-500" />
+          <div className="space-y-1">
+            <p className="font-medium text-red-700">
+              This widget couldn&apos;t be displayed
+            </p>
+            <p className="text-xs text-red-600">{error.message}</p>
+          </div>
+        </div>
+        <Button
+          size="sm"
+          variant="outline"
+          className="w-full border-red-200 text-red-700 hover:bg-red-100"
+          onClick={() => this.setState({ error: null })}
+        >
+          <RotateCw className="h-4 w-4" />
+          Try again
+        </Button>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,33 @@
+import { cleanup, render, screen } from "@testing-library/react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+import { WidgetErrorBoundary } from "./WidgetErrorBoundary";
+
+function TaskCount({ content }) {
+  return <p>{content.items.length} tasks</p>;
+}
+
+describe("WidgetErrorBoundary", () => {
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  it("shows the error in place of crashed content until a reset key changes", () => {
+    // React reports caught errors on the console
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const renderWith = (content) => (
+      <WidgetErrorBoundary resetKeys={[content]}>
+        <TaskCount content={content} />
+      </WidgetErrorBoundary>
+    );
+
+    const { rerender } = render(renderWith({}));
+    expect(screen.getByRole("alert").textContent).toMatch(
+      /couldn't be displayed/
+    );
+
+    rerender(renderWith({ items: [] }));
+    expect(screen.getByText("0 tasks")).toBeTruthy();
+  });
+});
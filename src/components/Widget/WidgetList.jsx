@@ -1,26 +1,106 @@
 import { Widget } from "@/components/Widget";
+import { SORT_ORDERS } from "@/constants";
+import { WIDGET_ACTIONS } from "@/constants/widgetActions";
+import {
+  flowLayout,
+  getLayoutBottom,
+  getWidgetLayout,
+  sortWidgetsByLayout,
+} from "@/lib/gridLayout";
+import { getWidgetName, sortWidgets } from "@/lib/utils";
+import { widgetReducer } from "@/reducers";
+import { getWidgetDefinition } from "@/widgets";
 
-export function WidgetList({ widgets, onRemove, onRefresh, dragAndDropProps }) {
+// Spare rows below the last widget while dragging, so there is room to drop
+const DROP_ROWS = 4;
+
+export function WidgetList({
+  widgets,
+  onRemove,
+  onRefresh,
+  onUpdateSettings,
+  transferTargets,
+  onTransfer,
+  contentActions,
+  sortOrder = SORT_ORDERS.CUSTOM.id,
+  dragAndDropProps,
+  gridLayoutProps,
+}) {
   const {
     draggedIndex,
     dragOverIndex,
+    dragOverPosition,
     handleDragStart,
     handleDragOver,
+    handleDragOverPosition,
     handleDragEnd,
     handleDragLeave,
+    handleKeyDown,
+    handleKeyboardBlur,
+    handlePointerDown,
+    announcement,
+    pointerDrag,
   } = dragAndDropProps;
+  const {
+    containerRef,
+    breakpoint,
+    cols,
+    rowHeight,
+    gap,
+    resizing,
+    getFreeCell,
+    handleResizeStart,
+  } = gridLayoutProps;
+
+  // Sorted views are read-only: dragging only makes sense in custom order,
+  // because a drop is saved into the custom order the sort would then hide
+  const isDragEnabled = sortOrder === SORT_ORDERS.CUSTOM.id;
+  const draggedId = widgets[draggedIndex]?.id ?? null;
+
+  // DOM order follows the committed layout (or the sort), never a preview,
+  // so the element being dragged is never moved mid-drag
+  const orderedWidgets = isDragEnabled
+    ? sortWidgetsByLayout(widgets, breakpoint)
+    : sortWidgets(widgets, sortOrder);
 
   // Visual Reordering Logic
-  let displayWidgets = [...widgets];
-  if (
-    draggedIndex !== null &&
-    dragOverIndex !== null &&
-    widgets[draggedIndex]
-  ) {
-    const draggedItem = displayWidgets[draggedIndex];
-    displayWidgets.splice(draggedIndex, 1);
-    displayWidgets.splice(dragOverIndex, 0, draggedItem);
+  // Previews run the pending action through the real reducer, so what the
+  // user sees while dragging is exactly what will be committed on drop
+  let displayLayout;
+  if (!isDragEnabled) {
+    // Sorted view: flow widgets in sorted order, keeping their sizes
+    displayLayout = flowLayout(
+      getWidgetLayout(orderedWidgets, breakpoint),
+      cols
+    );
+  } else {
+    let preview = null;
+    if (draggedId && dragOverIndex !== null) {
+      preview = {
+        type: WIDGET_ACTIONS.REORDER_WIDGETS,
+        payload: { fromIndex: draggedIndex, toIndex: dragOverIndex },
+      };
+    } else if (draggedId && dragOverPosition !== null) {
+      preview = {
+        type: WIDGET_ACTIONS.MOVE_WIDGET,
+        payload: { fromIndex: draggedIndex, ...dragOverPosition },
+      };
+    } else if (resizing) {
+      preview = { type: WIDGET_ACTIONS.RESIZE_WIDGET, payload: resizing };
+    }
+
+    const displayWidgets = preview
+      ? widgetReducer(widgets, {
+          ...preview,
+          payload: { ...preview.payload, breakpoint },
+        })
+      : widgets;
+    displayLayout = getWidgetLayout(displayWidgets, breakpoint);
   }
+  const positions = new Map(displayLayout.map((item) => [item.id, item]));
+
+  // Original indexes in on-screen order, for keyboard arrow navigation
+  const visualOrder = orderedWidgets.map((widget) => widgets.indexOf(widget));
 
   if (widgets.length === 0) {
     return (
@@ -34,29 +114,105 @@ export function WidgetList({ widgets, onRemove, onRefresh, dragAndDropProps }) {
     );
   }
 
+  // Touch drags have no native drag image, so the list renders its own
+  const pointerWidget = pointerDrag ? widgets[pointerDrag.index] : null;
+
+  const rows = getLayoutBottom(displayLayout) + (draggedId ? DROP_ROWS : 0);
+
   return (
-    <div className="space-y-4" onDragLeave={handleDragLeave}>
-      {displayWidgets.map((widget, index) => {
-        // We need to find the ORIGINAL index for the drag start handler to ensure consistency
-        // But for dragOver, we use the visual index
-        const originalIndex = widgets.findIndex((w) => w.id === widget.id);
-        const isDragging = originalIndex === draggedIndex;
-
-        return (
-          <Widget
-            key={widget.id}
-            widget={widget}
-            onRemove={() => onRemove(widget.id)}
-            onRefresh={() => onRefresh(widget)}
-            dragHandlers={{
-              onDragStart: handleDragStart(originalIndex),
-              onDragOver: handleDragOver(index),
-              onDragEnd: handleDragEnd,
-            }}
-            isDragging={isDragging}
-          />
-        );
-      })}
-    </div>
+    <>
+      {/* ACCESSIBILITY: Keyboard reordering instructions and live updates */}
+      <p id="widget-reorder-instructions" className="sr-only">
+        Press Space or Enter to pick up the widget. Use the arrow keys to move
+        it, Enter to drop it, or Escape to cancel.
+      </p>
+      <div aria-live="assertive" aria-atomic="true" className="sr-only">
+        {announcement}
+      </div>
+      <div
+        ref={containerRef}
+        className="grid"
+        style={{
+          gridTemplateColumns: `repeat(${cols}, minmax(0, 1fr))`,
+          gridTemplateRows: `repeat(${rows}, ${rowHeight}px)`,
+          gap: `${gap}px`,
+        }}
+        onDragOver={handleDragOverPosition(getFreeCell)}
+        onDragLeave={handleDragLeave}
+      >
+        {orderedWidgets.map((widget) => {
+          const originalIndex = widgets.findIndex((w) => w.id === widget.id);
+          const isDragging = widget.id === draggedId;
+          const { x, y, w, h } = positions.get(widget.id);
+
+          // Hovering another widget targets that widget's committed index.
+          // Hovering the dragged widget's preview keeps the current target,
+          // so the preview doesn't flicker back and forth under the cursor.
+          const overIndex = isDragging
+            ? (dragOverIndex ?? draggedIndex)
+            : originalIndex;
+
+          return (
+            <div
+              key={widget.id}
+              className="min-w-0"
+              data-drop-index={isDragEnabled ? overIndex : undefined}
+              style={{
+                gridColumn: `${x + 1} / span ${w}`,
+                gridRow: `${y + 1} / span ${h}`,
+              }}
+            >
+              <Widget
+                widget={widget}
+                onRemove={() => onRemove(widget.id)}
+                onRefresh={() => onRefresh(widget)}
+                onUpdateSettings={(settings) =>
+                  onUpdateSettings(widget, settings)
+                }
+                transferTargets={transferTargets}
+                onTransfer={(dashboardId, options) =>
+                  onTransfer(widget, dashboardId, options)
+                }
+                contentActions={contentActions}
+                dragHandlers={
+                  isDragEnabled
+                    ? {
+                        onDragStart: handleDragStart(originalIndex),
+                        onDragOver: handleDragOver(overIndex),
+                        onDragEnd: handleDragEnd,
+                        onKeyDown: handleKeyDown(originalIndex, visualOrder),
+                        onBlur: handleKeyboardBlur(originalIndex),
+                        onPointerDown: handlePointerDown(originalIndex),
+                      }
+                    : null
+                }
+                onResizeStart={
+                  isDragEnabled
+                    ? handleResizeStart(widget.id, positions.get(widget.id))
+                    : null
+                }
+                isDragging={isDragging}
+                isResizing={resizing?.id === widget.id}
+              />
+            </div>
+          );
+        })}
+      </div>
+      {/* Touch drag preview: follows the finger, ignores hit-testing */}
+      {pointerWidget && (
+        <div
+          className="pointer-events-none fixed z-50 flex -translate-x-1/2 -translate-y-1/2 items-center gap-2 rounded-lg border border-blue-300 bg-white px-4 py-3 shadow-xl"
+          style={{ left: pointerDrag.x, top: pointerDrag.y }}
+          aria-hidden="true"
+        >
+          <span className="text-2xl">
+            {getWidgetDefinition(pointerWidget.type)?.icon}
+          </span>
+          <span className="text-sm font-medium text-gray-700">
+            {getWidgetName(pointerWidget)}
+          </span>
+        </div>
+      )}
+    </>
   );
 }
@@ -0,0 +1,47 @@
+import { SettingsForm } from "@/components/Widget";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui";
+import { getWidgetDefinition } from "@/widgets";
+
+/**
+ * Settings dialog for a single widget instance
+ *
+ * The form is generated from the registered type's settingsSchema and only mounts
+ * while the dialog is open, so every time it opens it starts from the
+ * widget's current settings and a cancelled edit leaves nothing behind.
+ */
+export function WidgetSettingsDialog({ widget, open, onOpenChange, onSave }) {
+  const definition = getWidgetDefinition(widget.type);
+
+  // Rejected settings keep the dialog open with their errors inline
+  const handleSave = (settings) => {
+    const errors = onSave(settings) ?? {};
+    if (Object.keys(errors).length === 0) onOpenChange(false);
+    return errors;
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{definition.name} Settings</DialogTitle>
+          <DialogDescription>
+            Changes apply to this widget only
+          </DialogDescription>
+        </DialogHeader>
+        <SettingsForm
+          schema={definition.settingsSchema}
+          initialValues={widget.settings}
+          idPrefix={widget.id}
+          onSubmit={handleSave}
+          onCancel={() => onOpenChange(false)}
+        />
+      </DialogContent>
+    </Dialog>
+  );
+}
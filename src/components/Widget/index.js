@@ -1,2 +1,8 @@
+export { LastUpdated } from "./LastUpdated";
+export { MoveWidgetDialog } from "./MoveWidgetDialog";
+export { SettingsForm } from "./SettingsForm";
 export { Widget } from "./Widget";
+export { WidgetError } from "./WidgetError";
+export { WidgetErrorBoundary } from "./WidgetErrorBoundary";
 export { WidgetList } from "./WidgetList";
+export { WidgetSettingsDialog } from "./WidgetSettingsDialog";
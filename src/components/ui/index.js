@@ -9,4 +9,6 @@ export {
 } from "./card";
 export * from "./checkbox";
 export * from "./dialog";
+export * from "./input";
 export * from "./select";
+export { Toast } from "./toast";
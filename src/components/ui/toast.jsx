@@ -0,0 +1,72 @@
+import { X } from "lucide-react";
+import * as React from "react";
+
+import { cn } from "@/lib/utils";
+
+/**
+ * Bottom-center notification with an optional action button.
+ * Dismisses itself after `duration` ms; hovering or focusing it pauses the
+ * timer so the action stays reachable.
+ */
+const Toast = React.forwardRef(
+  (
+    {
+      className,
+      children,
+      actionLabel,
+      onAction,
+      onDismiss,
+      duration = 5000,
+      ...props
+    },
+    ref
+  ) => {
+    const [isPaused, setIsPaused] = React.useState(false);
+
+    React.useEffect(() => {
+      if (isPaused || !onDismiss) return;
+      const timeout = setTimeout(onDismiss, duration);
+      return () => clearTimeout(timeout);
+    }, [isPaused, onDismiss, duration]);
+
+    return (
+      <div
+        ref={ref}
+        role="status"
+        className={cn(
+          "fixed bottom-6 left-1/2 z-50 flex -translate-x-1/2 items-center gap-4 rounded-lg bg-gray-900 px-4 py-3 text-sm text-white shadow-lg",
+          className
+        )}
+        onMouseEnter={() => setIsPaused(true)}
+        onMouseLeave={() => setIsPaused(false)}
+        onFocus={() => setIsPaused(true)}
+        onBlur={() => setIsPaused(false)}
+        {...props}
+      >
+        <span>{children}</span>
+        {actionLabel && (
+          <button
+            type="button"
+            className="font-semibold text-blue-300 hover:text-blue-200 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-300 rounded"
+            onClick={onAction}
+          >
+            {actionLabel}
+          </button>
+        )}
+        {onDismiss && (
+          <button
+            type="button"
+            className="text-gray-400 hover:text-white focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-300 rounded"
+            onClick={onDismiss}
+            aria-label="Dismiss"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+    );
+  }
+);
+Toast.displayName = "Toast";
+
+export { Toast };
@@ -0,0 +1,20 @@
+/**
+ * Widget data cache configuration
+ *
+ * FRESH entries (younger than their TTL) are used without fetching. STALE
+ * entries (up to maxStaleMs past their TTL) are shown right away while a
+ * background fetch replaces them (stale-while-revalidate). Older entries
+ * are evicted.
+ *
+ * A widget type can set its own TTL with `cacheTtl` (ms) in its registry
+ * definition.
+ */
+export const CACHE_CONFIG = {
+  defaultTtlMs: 5 * 60 * 1000,
+  maxStaleMs: 24 * 60 * 60 * 1000, // 0 turns stale-while-revalidate off
+  maxEntries: 50, // Least recently used entries are evicted beyond this
+  sweepIntervalMs: 60 * 1000, // How often expired entries are evicted
+  // Where entries survive reloads: "localStorage", "indexedDB" or "memory"
+  storage: import.meta.env.VITE_CACHE_STORAGE || "localStorage",
+  storageKey: "widget-dragger:cache",
+};
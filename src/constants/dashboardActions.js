@@ -0,0 +1,6 @@
+export const DASHBOARD_ACTIONS = {
+  ADD_DASHBOARD: "ADD_DASHBOARD",
+  RENAME_DASHBOARD: "RENAME_DASHBOARD",
+  REMOVE_DASHBOARD: "REMOVE_DASHBOARD",
+  SELECT_DASHBOARD: "SELECT_DASHBOARD",
+};
@@ -0,0 +1,8 @@
+/**
+ * Dashboard (tab) configuration
+ */
+export const DASHBOARD_CONFIG = {
+  defaultName: "My Dashboard", // The first dashboard, and upgrades from one
+  newName: "Dashboard", // New dashboards are "Dashboard 2", "Dashboard 3"...
+  maxNameLength: 30,
+};
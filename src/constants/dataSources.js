@@ -0,0 +1,28 @@
+/**
+ * Data sources widget data can come from
+ *
+ * MOCK calls the widget type's own `fetch` after a simulated network delay,
+ * REST calls the endpoint its `rest` config describes, and FIXTURE returns
+ * its static `fixture` JSON (demos and tests).
+ *
+ * SELECTION (first match wins):
+ * 1. The widget's own `dataSource` setting, unless "default"
+ *    (lib/dataSource.js)
+ * 2. VITE_DATA_SOURCE_<TYPE> environment variable, e.g. VITE_DATA_SOURCE_STOCK
+ * 3. `dataSource` in the widget type's registry definition
+ * 4. VITE_DATA_SOURCE environment variable
+ * 5. MOCK
+ */
+export const DATA_SOURCES = {
+  MOCK: "mock",
+  REST: "rest",
+  FIXTURE: "fixture",
+};
+
+export const DATA_SOURCE_CONFIG = {
+  defaultSource: import.meta.env.VITE_DATA_SOURCE || DATA_SOURCES.MOCK,
+  // Prefix for relative REST urls, e.g. http://localhost:3001/api
+  apiBaseUrl: import.meta.env.VITE_API_BASE_URL || "",
+  // Simulated network delay of the mock source
+  mockDelayMs: { min: 1000, max: 1500 },
+};
@@ -0,0 +1,25 @@
+/**
+ * Grid layout configuration
+ *
+ * Widget positions are stored in grid units ({ x, y, w, h }), never pixels.
+ * Pixel sizes are derived at render time from the container width, so the
+ * same saved layout works at any window size.
+ *
+ * BREAKPOINTS:
+ * The container width picks a breakpoint, and each breakpoint has its own
+ * column count and its own saved layout. Breakpoints are listed from widest
+ * to narrowest; the first one whose minWidth fits wins.
+ */
+export const GRID_CONFIG = {
+  breakpoints: {
+    lg: { minWidth: 1024, cols: 12 },
+    md: { minWidth: 640, cols: 6 },
+    sm: { minWidth: 0, cols: 1 },
+  },
+  defaultBreakpoint: "lg",
+  rowHeight: 40, // px per grid row
+  gap: 16, // px between cells, matches the old space-y-4 spacing
+  // Sizes are in default-breakpoint columns and scaled for the others
+  defaultSize: { w: 4, h: 6 },
+  minSize: { w: 3, h: 4 },
+};
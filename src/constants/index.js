@@ -1 +1,7 @@
-export { WIDGET_TYPES } from "./widgetTypes";
+export { CACHE_CONFIG } from "./cache";
+export { DASHBOARD_CONFIG } from "./dashboards";
+export { DATA_SOURCE_CONFIG, DATA_SOURCES } from "./dataSources";
+export { GRID_CONFIG } from "./gridLayout";
+export { POLLING_CONFIG } from "./polling";
+export { RETRY_CONFIG } from "./retry";
+export { SORT_ORDERS } from "./sortOrders";
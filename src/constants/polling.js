@@ -0,0 +1,18 @@
+/**
+ * Automatic refresh (polling) configuration
+ *
+ * Intervals are offered as an enum setting, so their values are strings of
+ * seconds (select values are always strings); "0" turns polling off.
+ */
+export const POLLING_CONFIG = {
+  intervals: [
+    { value: "0", label: "Off" },
+    { value: "30", label: "Every 30 seconds" },
+    { value: "60", label: "Every minute" },
+    { value: "300", label: "Every 5 minutes" },
+    { value: "900", label: "Every 15 minutes" },
+  ],
+  staggerMs: 1000, // Minimum gap between two scheduled fetches
+  maxBackoffMs: 15 * 60 * 1000, // Longest wait between retries after errors
+  refreshAllConcurrency: 3, // Widgets fetched at once by "Refresh all"
+};
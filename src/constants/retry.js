@@ -0,0 +1,12 @@
+/**
+ * Automatic retry defaults for failed widget fetches
+ *
+ * A widget type can override any of these with a `retry` object in its
+ * registry definition (e.g. `retry: { maxAttempts: 2 }`).
+ */
+export const RETRY_CONFIG = {
+  maxAttempts: 4, // Including the first try
+  baseDelayMs: 1000, // Wait before the first retry, doubled for each next one
+  maxDelayMs: 30 * 1000,
+  jitter: 0.5, // Up to this share of each wait is randomized
+};
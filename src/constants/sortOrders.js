@@ -0,0 +1,14 @@
+/**
+ * View-level sort modes for the dashboard
+ *
+ * CUSTOM is the user's drag-and-drop order (the order of the widgets array).
+ * Every other mode only changes how that array is displayed, so switching
+ * back to CUSTOM restores the saved arrangement untouched.
+ */
+export const SORT_ORDERS = {
+  CUSTOM: { id: "custom", label: "Custom Order" },
+  ALPHABETICAL: { id: "alphabetical", label: "Alphabetical" },
+  RECENT: { id: "recent", label: "Most Recent" },
+  REFRESHED: { id: "refreshed", label: "Last Refreshed" },
+  TYPE: { id: "type", label: "By Type" },
+};
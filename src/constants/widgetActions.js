@@ -0,0 +1,32 @@
+export const WIDGET_ACTIONS = {
+  ADD_WIDGET: "ADD_WIDGET",
+  REMOVE_WIDGET: "REMOVE_WIDGET",
+  // Removes a widget moved to another dashboard, for good (not undoable)
+  TRANSFER_WIDGET: "TRANSFER_WIDGET",
+  REORDER_WIDGETS: "REORDER_WIDGETS",
+  MOVE_WIDGET: "MOVE_WIDGET",
+  RESIZE_WIDGET: "RESIZE_WIDGET",
+  UPDATE_WIDGET_SETTINGS: "UPDATE_WIDGET_SETTINGS",
+  UPDATE_WIDGET_DATA: "UPDATE_WIDGET_DATA",
+  SET_WIDGET_LOADING: "SET_WIDGET_LOADING",
+  SET_WIDGET_ERROR: "SET_WIDGET_ERROR",
+  // Replaces or extends the widget list from an imported file
+  IMPORT_WIDGETS: "IMPORT_WIDGETS",
+  // Task List content (widget.content.items)
+  ADD_TASK: "ADD_TASK",
+  RENAME_TASK: "RENAME_TASK",
+  TOGGLE_TASK: "TOGGLE_TASK",
+  DELETE_TASK: "DELETE_TASK",
+  REORDER_TASKS: "REORDER_TASKS",
+  // Notes content (widget.content.text)
+  UPDATE_NOTE: "UPDATE_NOTE",
+  // Stats KPI definitions (widget.content.kpis)
+  UPDATE_KPIS: "UPDATE_KPIS",
+  // News read state (widget.content.readIds)
+  SET_ARTICLES_READ: "SET_ARTICLES_READ",
+};
+
+export const HISTORY_ACTIONS = {
+  UNDO: "UNDO",
+  REDO: "REDO",
+};
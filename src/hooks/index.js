@@ -1,4 +1,13 @@
-export { useCache } from "./useCache";
+export { useCache, useCacheEntries } from "./useCache";
+export { useDashboards } from "./useDashboards";
 export { useDebounce } from "./useDebounce";
 export { useDragAndDrop } from "./useDragAndDrop";
+export { useElementSize } from "./useElementSize";
+export { useGridLayout } from "./useGridLayout";
+export { useNow } from "./useNow";
+export { usePointerDrag } from "./usePointerDrag";
+export { useUndoShortcuts } from "./useUndoShortcuts";
+export { useWidgetPolling } from "./useWidgetPolling";
+export { useWidgetRegistry } from "./useWidgetRegistry";
+export { useWidgetRequests } from "./useWidgetRequests";
 export { useWidgets } from "./useWidgets";
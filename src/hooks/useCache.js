@@ -1,38 +1,39 @@
-import { useCallback, useRef } from "react";
-
+import { useSyncExternalStore } from "react";
+
+import { widgetCache } from "@/services";
+
+/**
+ * Widget data cache operations
+ *
+ * ARCHITECTURE: The cache itself lives in cacheService (one instance for
+ * the app, persisted across reloads); this hook only hands out its
+ * operations. They never change identity, so they are safe in dependency
+ * lists.
+ *
+ * @returns {Object} { getCached, setCache, deleteCached, clearCache,
+ *   getCacheSize, ready }
+ */
 export function useCache() {
-  const cache = useRef(new Map());
-
-  const getCached = useCallback((key) => {
-    const cached = cache.current.get(key);
-    if (!cached) return null;
-
-    // 5 minute TTL
-    const CACHE_DURATION = 5 * 60 * 1000;
-    const now = Date.now();
-
-    if (now - cached.timestamp > CACHE_DURATION) {
-      cache.current.delete(key);
-      return null;
-    }
-
-    return cached.data;
-  }, []);
-
-  const setCache = useCallback((key, data) => {
-    cache.current.set(key, {
-      data,
-      timestamp: Date.now(),
-    });
-  }, []);
-
-  const clearCache = useCallback(() => {
-    cache.current.clear();
-  }, []);
-
-  const getCacheSize = useCallback(() => {
-    return cache.current.size;
-  }, []);
+  return CACHE_OPERATIONS;
+}
 
-  return { getCached, setCache, clearCache, getCacheSize };
+const CACHE_OPERATIONS = {
+  // Entry with `status` ("fresh" | "stale"), or null on a miss
+  getCached: (key) => widgetCache.get(key),
+  setCache: (key, data, options) => widgetCache.set(key, data, options),
+  deleteCached: (key) => widgetCache.delete(key),
+  clearCache: () => widgetCache.clear(),
+  getCacheSize: () => widgetCache.size(),
+  // Resolves once entries saved by a previous visit are loaded
+  ready: widgetCache.ready,
+};
+
+/**
+ * Live list of cache entries (without their data), most recent first
+ * Re-renders whenever the cache changes; used by the cache inspector.
+ *
+ * @returns {Array<Object>} { key, storedAt, ttl, meta }
+ */
+export function useCacheEntries() {
+  return useSyncExternalStore(widgetCache.subscribe, widgetCache.getSnapshot);
 }
@@ -0,0 +1,143 @@
+import { useCallback, useEffect, useMemo, useReducer } from "react";
+
+import { DASHBOARD_CONFIG } from "@/constants";
+import { DASHBOARD_ACTIONS } from "@/constants/dashboardActions";
+import { generateDashboardId } from "@/lib/utils";
+import { dashboardsReducer } from "@/reducers";
+import { persistenceService } from "@/services";
+
+/**
+ * Dashboard (tab) management
+ *
+ * ARCHITECTURE:
+ * Owns the list of dashboards and the active one; the widgets of the
+ * active dashboard are owned by useWidgets(activeId). Dashboards that are
+ * not on screen only exist in storage, so duplicating or deleting one goes
+ * through persistenceService.
+ *
+ * PERSISTENCE: The list and the active dashboard are saved on every
+ * change, so a reload reopens the last active dashboard.
+ *
+ * @returns {Object} Dashboards state and operations
+ */
+export function useDashboards() {
+  const [state, dispatch] = useReducer(
+    dashboardsReducer,
+    undefined,
+    persistenceService.loadDashboards
+  );
+  const { dashboards, activeId } = state;
+
+  useEffect(() => {
+    persistenceService.saveDashboards(state);
+  }, [state]);
+
+  /**
+   * Opens a new, empty dashboard
+   *
+   * @param {string} [name] - Defaults to "Dashboard <n>"
+   * @returns {string} Id of the new dashboard
+   */
+  const createDashboard = useCallback(
+    (name) => {
+      const dashboard = {
+        id: generateDashboardId(),
+        name:
+          cleanName(name) ||
+          `${DASHBOARD_CONFIG.newName} ${dashboards.length + 1}`,
+        createdAt: Date.now(),
+      };
+      dispatch({
+        type: DASHBOARD_ACTIONS.ADD_DASHBOARD,
+        payload: { dashboard },
+      });
+      return dashboard.id;
+    },
+    [dashboards.length]
+  );
+
+  /**
+   * Renames a dashboard; blank names are ignored
+   */
+  const renameDashboard = useCallback((id, name) => {
+    const cleaned = cleanName(name);
+    if (!cleaned) return;
+    dispatch({
+      type: DASHBOARD_ACTIONS.RENAME_DASHBOARD,
+      payload: { id, name: cleaned },
+    });
+  }, []);
+
+  /**
+   * Copies a dashboard, widgets and layouts included, and opens the copy
+   *
+   * The active dashboard saves every committed change, so the copy is read
+   * from storage even when it duplicates the dashboard on screen.
+   *
+   * @returns {string|null} Id of the copy
+   */
+  const duplicateDashboard = useCallback(
+    (id) => {
+      const source = dashboards.find((dashboard) => dashboard.id === id);
+      if (!source) return null;
+
+      const dashboard = {
+        id: generateDashboardId(),
+        name: cleanName(`${source.name} (copy)`),
+        createdAt: Date.now(),
+      };
+      persistenceService.copyDashboard(id, dashboard.id);
+      dispatch({
+        type: DASHBOARD_ACTIONS.ADD_DASHBOARD,
+        payload: { dashboard, afterId: id },
+      });
+      return dashboard.id;
+    },
+    [dashboards]
+  );
+
+  /**
+   * Deletes a dashboard and its saved widgets; the last one always stays
+   */
+  const deleteDashboard = useCallback(
+    (id) => {
+      if (dashboards.length <= 1) return;
+      dispatch({ type: DASHBOARD_ACTIONS.REMOVE_DASHBOARD, payload: id });
+      persistenceService.removeDashboard(id);
+    },
+    [dashboards.length]
+  );
+
+  const selectDashboard = useCallback((id) => {
+    dispatch({ type: DASHBOARD_ACTIONS.SELECT_DASHBOARD, payload: id });
+  }, []);
+
+  return useMemo(
+    () => ({
+      dashboards,
+      activeId,
+      activeDashboard: dashboards.find(({ id }) => id === activeId),
+      createDashboard,
+      renameDashboard,
+      duplicateDashboard,
+      deleteDashboard,
+      selectDashboard,
+    }),
+    [
+      dashboards,
+      activeId,
+      createDashboard,
+      renameDashboard,
+      duplicateDashboard,
+      deleteDashboard,
+      selectDashboard,
+    ]
+  );
+}
+
+/**
+ * Trims a dashboard name to its allowed length
+ */
+function cleanName(name) {
+  return (name ?? "").trim().slice(0, DASHBOARD_CONFIG.maxNameLength).trim();
+}
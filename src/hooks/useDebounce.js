@@ -1,35 +1,64 @@
-import { useCallback, useEffect, useRef } from "react";
+import { useEffect, useMemo, useRef } from "react";
 
-export function useDebounce(callback, delay) {
+/**
+ * Debounces a callback: only the last call within `delay` ms runs
+ *
+ * The returned function also has:
+ * - `flush()`: runs a pending call right away (e.g. on blur)
+ * - `cancel()`: drops a pending call
+ *
+ * @param {Function} callback - Function to debounce
+ * @param {number} delay - Quiet period in ms
+ * @param {Object} [options]
+ * @param {boolean} [options.flushOnUnmount] - Run a pending call on unmount
+ *   instead of dropping it, so no edit is lost when a component goes away
+ * @returns {Function} Debounced function with flush() and cancel()
+ */
+export function useDebounce(callback, delay, { flushOnUnmount = false } = {}) {
   const timeoutRef = useRef(null);
   const callbackRef = useRef(callback);
+  // Arguments of the call waiting for the timer, null when nothing is pending
+  const pendingArgsRef = useRef(null);
 
   // Update callback ref when callback changes
   useEffect(() => {
     callbackRef.current = callback;
   }, [callback]);
 
-  const debouncedFunction = useCallback(
-    (...args) => {
-      if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
-      }
+  const debouncedFunction = useMemo(() => {
+    const cancel = () => {
+      clearTimeout(timeoutRef.current);
+      timeoutRef.current = null;
+      pendingArgsRef.current = null;
+    };
+
+    const flush = () => {
+      const args = pendingArgsRef.current;
+      cancel();
+      if (args) callbackRef.current(...args);
+    };
+
+    const debounced = (...args) => {
+      clearTimeout(timeoutRef.current);
+      pendingArgsRef.current = args;
+      timeoutRef.current = setTimeout(flush, delay);
+    };
 
-      timeoutRef.current = setTimeout(() => {
-        callbackRef.current(...args);
-      }, delay);
-    },
-    [delay]
-  );
+    debounced.flush = flush;
+    debounced.cancel = cancel;
+    return debounced;
+  }, [delay]);
 
   // Cleanup on unmount
   useEffect(() => {
     return () => {
-      if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
+      if (flushOnUnmount) {
+        debouncedFunction.flush();
+      } else {
+        debouncedFunction.cancel();
       }
     };
-  }, []);
+  }, [debouncedFunction, flushOnUnmount]);
 
   return debouncedFunction;
 }
@@ -1,5 +1,7 @@
 import { useCallback, useState } from "react";
 
+import { usePointerDrag } from "@/hooks";
+
 /**
  * Custom hook for managing drag-and-drop functionality
  *
@@ -13,13 +15,68 @@ import { useCallback, useState } from "react";
  * - Parent component handles business logic (reordering)
  * - Clean separation makes the code testable and reusable
  *
+ * INPUT METHODS:
+ * - Mouse: native HTML5 drag events (handleDragStart/Over/End)
+ * - Touch/pen: long-press pointer events via usePointerDrag
+ *   (handlePointerDown on the handle, `pointerDrag` for the preview overlay)
+ * - Keyboard: handleKeyDown on a focusable handle. Space/Enter picks an item
+ *   up, arrow keys move it, Enter/Space drops it and Escape cancels. Every
+ *   step is described in `announcement` for an ARIA live region.
+ * All of them feed the same draggedIndex/dragOverIndex state and the same
+ * onReorder callback.
+ *
+ * DROP TARGETS:
+ * - Another item (dragOverIndex): reported through onReorder(from, to)
+ * - A free position (dragOverPosition): reported through onMove(from, position).
+ *   The position is opaque to this hook; a grid passes its { x, y } cell.
+ *
  * @param {Function} onReorder - Callback function to handle widget reordering
+ * @param {Object} [options]
+ * @param {Function} [options.onMove] - Callback for drops on a free position
+ * @param {Function} [options.getItemLabel] - Names an item (by index) in announcements
  * @returns {Object} Drag and drop event handlers and current drag state
  */
-export function useDragAndDrop(onReorder) {
+export function useDragAndDrop(
+  onReorder,
+  { onMove, getItemLabel = defaultItemLabel } = {}
+) {
   // Local state for tracking drag operations (for visual feedback only)
   const [draggedIndex, setDraggedIndex] = useState(null);
   const [dragOverIndex, setDragOverIndex] = useState(null);
+  const [dragOverPosition, setDragOverPosition] = useState(null);
+  // Keyboard drags keep the item "held" between key presses
+  const [isKeyboardDragging, setIsKeyboardDragging] = useState(false);
+  // Latest screen reader message, rendered into an aria-live region
+  const [announcement, setAnnouncement] = useState("");
+
+  // Touch backend: reports into the same state as mouse drags
+  const { pointerDrag, handlePointerDown, isPointerGestureActive } =
+    usePointerDrag({
+      onDragStart: (index) => {
+        setDraggedIndex(index);
+        setDragOverIndex(null);
+        setDragOverPosition(null);
+      },
+      onDragOver: (index) => {
+        // Over the dragged item's own spot means "snap back"
+        setDragOverIndex(index === draggedIndex ? null : index);
+      },
+      onDrop: () => {
+        if (
+          draggedIndex !== null &&
+          dragOverIndex !== null &&
+          draggedIndex !== dragOverIndex
+        ) {
+          onReorder(draggedIndex, dragOverIndex);
+        }
+        setDraggedIndex(null);
+        setDragOverIndex(null);
+      },
+      onCancel: () => {
+        setDraggedIndex(null);
+        setDragOverIndex(null);
+      },
+    });
 
   /**
    * Handles the drag start event
@@ -27,6 +84,12 @@ export function useDragAndDrop(onReorder) {
    */
   const handleDragStart = useCallback(
     (index) => (e) => {
+      // A touch gesture owns this interaction; don't run both backends
+      if (isPointerGestureActive()) {
+        e.preventDefault();
+        return;
+      }
+
       setDraggedIndex(index);
       e.dataTransfer.effectAllowed = "move";
       e.dataTransfer.setData("text/html", e.currentTarget);
@@ -37,7 +100,7 @@ export function useDragAndDrop(onReorder) {
         e.currentTarget.classList.add("dragging");
       }, 0);
     },
-    []
+    [isPointerGestureActive]
   );
 
   /**
@@ -49,6 +112,11 @@ export function useDragAndDrop(onReorder) {
       e.preventDefault(); // Required to allow dropping
       e.dataTransfer.dropEffect = "move";
 
+      // Hovering an item replaces any free-position target
+      if (dragOverPosition !== null) {
+        setDragOverPosition(null);
+      }
+
       // If hovering over the dragged item itself (original position), reset the target
       // This ensures the item "snaps back" to its original place
       if (draggedIndex === index) {
@@ -64,7 +132,35 @@ export function useDragAndDrop(onReorder) {
         setDragOverIndex(index);
       }
     },
-    [draggedIndex, dragOverIndex]
+    [draggedIndex, dragOverIndex, dragOverPosition]
+  );
+
+  /**
+   * Handles drag over a free area (e.g. empty grid cells)
+   * EVENT FLOW: Dragging over free space → Resolve position → Update visual state
+   *
+   * @param {Function} getPosition - Maps the drag event to a position, or null
+   *   when the event isn't over a free area
+   */
+  const handleDragOverPosition = useCallback(
+    (getPosition) => (e) => {
+      if (draggedIndex === null) return;
+
+      const position = getPosition(e);
+      if (position === null) return;
+
+      e.preventDefault(); // Required to allow dropping
+      e.dataTransfer.dropEffect = "move";
+
+      // PERFORMANCE: Positions are compared by value, not identity
+      if (JSON.stringify(position) !== JSON.stringify(dragOverPosition)) {
+        setDragOverPosition(position);
+      }
+      if (dragOverIndex !== null) {
+        setDragOverIndex(null);
+      }
+    },
+    [draggedIndex, dragOverIndex, dragOverPosition]
   );
 
   /**
@@ -87,13 +183,16 @@ export function useDragAndDrop(onReorder) {
       ) {
         // ARCHITECTURE: Callback pattern for loose coupling
         onReorder(draggedIndex, dragOverIndex);
+      } else if (draggedIndex !== null && dragOverPosition !== null && onMove) {
+        onMove(draggedIndex, dragOverPosition);
       }
 
       // Clean up state after operation completes
       setDraggedIndex(null);
       setDragOverIndex(null);
+      setDragOverPosition(null);
     },
-    [draggedIndex, dragOverIndex, onReorder]
+    [draggedIndex, dragOverIndex, dragOverPosition, onReorder, onMove]
   );
 
   /**
@@ -105,15 +204,152 @@ export function useDragAndDrop(onReorder) {
     // This prevents flickering while maintaining correct "leave" behavior
     if (!e.currentTarget.contains(e.relatedTarget)) {
       setDragOverIndex(null);
+      setDragOverPosition(null);
     }
   }, []);
 
+  /**
+   * Resets every piece of drag state (shared by drop and cancel)
+   */
+  const resetKeyboardDrag = useCallback(() => {
+    setIsKeyboardDragging(false);
+    setDraggedIndex(null);
+    setDragOverIndex(null);
+    setDragOverPosition(null);
+  }, []);
+
+  /**
+   * Handles key presses on an item's drag handle
+   * EVENT FLOW: Pick up → Arrow keys move the target → Drop or cancel
+   *
+   * @param {number} index - Index of the item the handle belongs to
+   * @param {Array<number>} order - Item indexes in on-screen order, so
+   *   arrow keys step through what the user sees
+   */
+  const handleKeyDown = useCallback(
+    (index, order) => (e) => {
+      const isHeld = isKeyboardDragging && draggedIndex === index;
+      const label = getItemLabel(index);
+
+      if (!isHeld) {
+        // Another item is already being dragged (keyboard or mouse)
+        if (draggedIndex !== null) return;
+
+        if (e.key === " " || e.key === "Enter") {
+          e.preventDefault();
+          setIsKeyboardDragging(true);
+          setDraggedIndex(index);
+          setDragOverIndex(null);
+          setAnnouncement(
+            `Picked up ${label}. ${describePosition(index, order)}. ` +
+              "Use the arrow keys to move, Enter to drop, Escape to cancel."
+          );
+        }
+        return;
+      }
+
+      const target = dragOverIndex ?? draggedIndex;
+
+      switch (e.key) {
+        case "ArrowUp":
+        case "ArrowLeft":
+        case "ArrowDown":
+        case "ArrowRight": {
+          e.preventDefault(); // Don't scroll the page
+          const step = e.key === "ArrowUp" || e.key === "ArrowLeft" ? -1 : 1;
+          const current = order.indexOf(target);
+          const next = order[current + step];
+          if (next === undefined) {
+            setAnnouncement(
+              `${label} can't move further. ${describePosition(target, order)}.`
+            );
+            return;
+          }
+          // Moving back onto the starting spot means "no change"
+          setDragOverIndex(next === draggedIndex ? null : next);
+          setAnnouncement(`${label}. ${describePosition(next, order)}.`);
+          return;
+        }
+
+        case "Enter":
+        case " ": {
+          e.preventDefault();
+          if (dragOverIndex !== null && dragOverIndex !== draggedIndex) {
+            // ARCHITECTURE: Same callback as a mouse drop
+            onReorder(draggedIndex, dragOverIndex);
+          }
+          setAnnouncement(
+            `Dropped ${label}. ${describePosition(target, order)}.`
+          );
+          resetKeyboardDrag();
+
+          // Committing can re-order DOM nodes, which drops focus in some
+          // browsers. The handle element itself survives, so re-focus it.
+          const handle = e.currentTarget;
+          requestAnimationFrame(() => handle.focus());
+          return;
+        }
+
+        case "Escape":
+          e.preventDefault();
+          setAnnouncement(
+            `Cancelled. ${label} returned to ${describePosition(
+              draggedIndex,
+              order
+            ).toLowerCase()}.`
+          );
+          resetKeyboardDrag();
+          return;
+
+        default:
+      }
+    },
+    [
+      isKeyboardDragging,
+      draggedIndex,
+      dragOverIndex,
+      getItemLabel,
+      onReorder,
+      resetKeyboardDrag,
+    ]
+  );
+
+  /**
+   * Cancels a keyboard drag when focus leaves the held item's handle
+   */
+  const handleKeyboardBlur = useCallback(
+    (index) => () => {
+      if (isKeyboardDragging && draggedIndex === index) {
+        setAnnouncement(`Cancelled. ${getItemLabel(index)} was not moved.`);
+        resetKeyboardDrag();
+      }
+    },
+    [isKeyboardDragging, draggedIndex, getItemLabel, resetKeyboardDrag]
+  );
+
   return {
     draggedIndex,
     dragOverIndex,
+    dragOverPosition,
+    isKeyboardDragging,
+    announcement,
+    pointerDrag,
     handleDragStart,
     handleDragOver,
+    handleDragOverPosition,
     handleDragEnd,
     handleDragLeave,
+    handleKeyDown,
+    handleKeyboardBlur,
+    handlePointerDown,
   };
 }
+
+const defaultItemLabel = (index) => `Item ${index + 1}`;
+
+/**
+ * "Position 2 of 5" for an item index within the on-screen order
+ */
+function describePosition(index, order) {
+  return `Position ${order.indexOf(index) + 1} of ${order.length}`;
+}
@@ -0,0 +1,36 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Tracks the rendered size of a DOM element with a ResizeObserver
+ *
+ * Usage: attach `ref` to the element, then read `width`/`height`.
+ * `element` is exposed for callers that also need to measure positions
+ * (e.g. getBoundingClientRect during a drag).
+ *
+ * @returns {{ref: Function, element: Element|null, width: number, height: number}}
+ */
+export function useElementSize() {
+  // A callback ref stored in state, so the observer re-attaches when the
+  // element mounts, unmounts or is replaced
+  const [element, setElement] = useState(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  useEffect(() => {
+    if (!element) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      // PERFORMANCE: Skip re-renders when the size didn't actually change
+      setSize((prev) =>
+        prev.width === width && prev.height === height
+          ? prev
+          : { width, height }
+      );
+    });
+    observer.observe(element);
+
+    return () => observer.disconnect();
+  }, [element]);
+
+  return { ref: setElement, element, ...size };
+}
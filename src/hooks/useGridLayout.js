@@ -0,0 +1,129 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import { GRID_CONFIG } from "@/constants";
+import { getBreakpoint, getBreakpointCols } from "@/lib/gridLayout";
+
+import { useElementSize } from "@/hooks";
+
+/**
+ * Custom hook for the pixel side of the widget grid
+ *
+ * ARCHITECTURE:
+ * The layout rules themselves live in lib/gridLayout (pure functions used by
+ * the reducer). This hook only deals with the DOM: measuring the container,
+ * picking the active breakpoint from its width, translating pointer
+ * positions into grid cells and running resize drags.
+ * Like useDragAndDrop, it keeps preview state locally and reports the final
+ * result through a callback.
+ *
+ * @param {Function} onResize - Called with (widgetId, { w, h }, breakpoint)
+ *   when a resize completes
+ * @returns {Object} Container ref, grid metrics, resize handlers and preview state
+ */
+export function useGridLayout(onResize) {
+  const { rowHeight, gap, defaultBreakpoint } = GRID_CONFIG;
+  const { ref: containerRef, element, width } = useElementSize();
+
+  // Until the container has been measured, assume the default breakpoint
+  // rather than flashing the narrowest layout
+  const breakpoint = width > 0 ? getBreakpoint(width) : defaultBreakpoint;
+  const cols = getBreakpointCols(breakpoint);
+
+  // Preview of the resize in progress: { id, w, h } or null
+  const [resizing, setResizing] = useState(null);
+  // Removes the window listeners of an unfinished resize
+  const stopResizeRef = useRef(null);
+
+  const colWidth = width > 0 ? (width - gap * (cols - 1)) / cols : 0;
+
+  /**
+   * Maps a drag event over the bare grid (not over a widget) to a cell.
+   * Returns null when the pointer is over a widget, so the widget's own
+   * drag handlers stay in charge there.
+   */
+  const getFreeCell = useCallback(
+    (e) => {
+      if (!element || e.target !== e.currentTarget || colWidth === 0) {
+        return null;
+      }
+
+      const rect = element.getBoundingClientRect();
+      const x = Math.floor((e.clientX - rect.left) / (colWidth + gap));
+      const y = Math.floor((e.clientY - rect.top) / (rowHeight + gap));
+      return {
+        x: Math.min(Math.max(x, 0), cols - 1),
+        y: Math.max(y, 0),
+      };
+    },
+    [element, colWidth, gap, rowHeight, cols]
+  );
+
+  /**
+   * Starts resizing from a widget's corner handle
+   * EVENT FLOW: Pointer down → Track movement → Preview size → Commit on release
+   *
+   * @param {string} id - Widget id
+   * @param {Object} layout - The widget's current { w, h }
+   */
+  const handleResizeStart = useCallback(
+    (id, layout) => (e) => {
+      // Keep the browser from starting a native drag of the card
+      e.preventDefault();
+      e.stopPropagation();
+
+      const startX = e.clientX;
+      const startY = e.clientY;
+      let current = { w: layout.w, h: layout.h };
+      setResizing({ id, ...current });
+
+      const handlePointerMove = (moveEvent) => {
+        const dw = Math.round((moveEvent.clientX - startX) / (colWidth + gap));
+        const dh = Math.round((moveEvent.clientY - startY) / (rowHeight + gap));
+        const next = { w: layout.w + dw, h: layout.h + dh };
+
+        // PERFORMANCE: Only re-render when the size crosses a cell boundary
+        if (next.w !== current.w || next.h !== current.h) {
+          current = next;
+          setResizing({ id, ...next });
+        }
+      };
+
+      const stop = () => {
+        window.removeEventListener("pointermove", handlePointerMove);
+        window.removeEventListener("pointerup", handlePointerUp);
+        window.removeEventListener("pointercancel", stop);
+        stopResizeRef.current = null;
+        setResizing(null);
+      };
+
+      const handlePointerUp = () => {
+        stop();
+        if (current.w !== layout.w || current.h !== layout.h) {
+          onResize(id, current, breakpoint);
+        }
+      };
+
+      window.addEventListener("pointermove", handlePointerMove);
+      window.addEventListener("pointerup", handlePointerUp);
+      window.addEventListener("pointercancel", stop);
+      stopResizeRef.current = stop;
+    },
+    [colWidth, gap, rowHeight, breakpoint, onResize]
+  );
+
+  // Cleanup on unmount: never leave window listeners behind
+  useEffect(() => {
+    return () => stopResizeRef.current?.();
+  }, []);
+
+  return {
+    containerRef,
+    breakpoint,
+    cols,
+    rowHeight,
+    gap,
+    resizing,
+    getFreeCell,
+    handleResizeStart,
+  };
+}
@@ -0,0 +1,52 @@
+import { useSyncExternalStore } from "react";
+
+// Relative times only show minutes, so a coarse tick is the default
+const DEFAULT_TICK_MS = 15 * 1000;
+
+// One shared clock per tick size, running only while someone listens
+const clocks = new Map();
+
+function getClock(tickMs) {
+  if (clocks.has(tickMs)) return clocks.get(tickMs);
+
+  const listeners = new Set();
+  let timer = null;
+  const clock = {
+    now: Date.now(),
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!timer) {
+        clock.now = Date.now();
+        timer = setInterval(() => {
+          clock.now = Date.now();
+          listeners.forEach((notify) => notify());
+        }, tickMs);
+      }
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          clearInterval(timer);
+          timer = null;
+        }
+      };
+    },
+    getSnapshot: () => clock.now,
+  };
+  clocks.set(tickMs, clock);
+  return clock;
+}
+
+/**
+ * Current time, updated every `tickMs`
+ *
+ * PERFORMANCE: All components using the same tick share one interval
+ * instead of starting a timer each, so many "updated X ago" labels cost a
+ * single tick.
+ *
+ * @param {number} [tickMs] - Update frequency; use 1000 for countdowns
+ * @returns {number} Current time in ms, as of the last tick
+ */
+export function useNow(tickMs = DEFAULT_TICK_MS) {
+  const clock = getClock(tickMs);
+  return useSyncExternalStore(clock.subscribe, clock.getSnapshot);
+}
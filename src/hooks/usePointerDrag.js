@@ -0,0 +1,192 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// How long a finger has to rest on the handle before a drag starts
+const LONG_PRESS_DELAY = 350;
+// Movement (px) that turns a pending long press into a scroll/swipe instead
+const MOVE_TOLERANCE = 8;
+// Distance (px) from the viewport edge where auto-scrolling kicks in
+const EDGE_SIZE = 64;
+// Fastest auto-scroll speed, in px per animation frame
+const MAX_SCROLL_SPEED = 16;
+
+/**
+ * Pointer-events drag backend (touch and pen)
+ *
+ * WHY: HTML5 drag-and-drop (`draggable` + `dataTransfer`) isn't available on
+ * iOS and is unreliable on Android, so touch input needs its own backend.
+ *
+ * EVENT FLOW:
+ * Pointer down → Long press timer → Drag starts → Pointer move hit-tests
+ * drop targets and auto-scrolls near edges → Pointer up drops
+ *
+ * CANCELLATION:
+ * - Moving or scrolling before the long press completes: the user meant to
+ *   scroll, so no drag starts
+ * - The page scrolling during a drag (other than our own auto-scroll),
+ *   pointercancel, or unmounting: the drag is abandoned
+ *
+ * Like useDragAndDrop, this hook knows nothing about widgets. Drop targets
+ * are elements with a `data-drop-index` attribute, and all results are
+ * reported through callbacks. Mouse input is ignored on purpose; it keeps
+ * using native HTML5 drag events.
+ *
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onDragStart - (index) when the long press completes
+ * @param {Function} callbacks.onDragOver - (index) when a drop target is under the pointer
+ * @param {Function} callbacks.onDrop - () when the pointer is released
+ * @param {Function} callbacks.onCancel - () when the drag is abandoned
+ * @returns {Object} Pointer down handler, drag preview state and helpers
+ */
+export function usePointerDrag(callbacks) {
+  // Drag preview state: { index, x, y } while dragging, otherwise null
+  const [pointerDrag, setPointerDrag] = useState(null);
+
+  // Always call the latest callbacks without re-binding window listeners
+  const callbacksRef = useRef(callbacks);
+  useEffect(() => {
+    callbacksRef.current = callbacks;
+  }, [callbacks]);
+
+  // Tears down the gesture currently in progress (pending or active)
+  const stopRef = useRef(null);
+
+  /**
+   * Starts tracking a touch/pen press on a drag handle
+   *
+   * @param {number} index - Index of the item the handle belongs to
+   */
+  const handlePointerDown = useCallback(
+    (index) => (e) => {
+      if (e.pointerType === "mouse" || !e.isPrimary) return;
+      stopRef.current?.();
+
+      const start = { x: e.clientX, y: e.clientY };
+      let point = start;
+      let isActive = false;
+      let scrollSpeed = 0;
+      let frame = null;
+      let timer = null;
+
+      const hitTest = () => {
+        const target = document
+          .elementFromPoint(point.x, point.y)
+          ?.closest("[data-drop-index]");
+        if (target) {
+          callbacksRef.current.onDragOver(Number(target.dataset.dropIndex));
+        }
+      };
+
+      // Auto-scroll loop: runs while the pointer sits in an edge zone
+      const autoScroll = () => {
+        if (scrollSpeed === 0) {
+          frame = null;
+          return;
+        }
+        window.scrollBy(0, scrollSpeed);
+        hitTest(); // Content moved under a stationary finger
+        frame = requestAnimationFrame(autoScroll);
+      };
+
+      const updateScrollSpeed = () => {
+        const { innerHeight } = window;
+        if (point.y < EDGE_SIZE) {
+          scrollSpeed = -MAX_SCROLL_SPEED * (1 - point.y / EDGE_SIZE);
+        } else if (point.y > innerHeight - EDGE_SIZE) {
+          scrollSpeed =
+            MAX_SCROLL_SPEED * (1 - (innerHeight - point.y) / EDGE_SIZE);
+        } else {
+          scrollSpeed = 0;
+        }
+        if (scrollSpeed !== 0 && frame === null) {
+          frame = requestAnimationFrame(autoScroll);
+        }
+      };
+
+      const handlePointerMove = (moveEvent) => {
+        if (moveEvent.pointerId !== e.pointerId) return;
+        point = { x: moveEvent.clientX, y: moveEvent.clientY };
+
+        if (!isActive) {
+          const distance = Math.hypot(point.x - start.x, point.y - start.y);
+          if (distance > MOVE_TOLERANCE) stop();
+          return;
+        }
+
+        moveEvent.preventDefault();
+        setPointerDrag({ index, ...point });
+        hitTest();
+        updateScrollSpeed();
+      };
+
+      const handlePointerUp = (upEvent) => {
+        if (upEvent.pointerId !== e.pointerId) return;
+        const wasActive = isActive;
+        stop();
+        if (wasActive) callbacksRef.current.onDrop();
+      };
+
+      const cancel = () => {
+        const wasActive = isActive;
+        stop();
+        if (wasActive) callbacksRef.current.onCancel();
+      };
+
+      // Our own auto-scroll is expected; any other scroll cancels
+      const handleScroll = () => {
+        if (scrollSpeed === 0) cancel();
+      };
+
+      // The long-press context menu would steal the gesture on mobile
+      const preventContextMenu = (menuEvent) => menuEvent.preventDefault();
+
+      function stop() {
+        clearTimeout(timer);
+        if (frame !== null) cancelAnimationFrame(frame);
+        window.removeEventListener("pointermove", handlePointerMove);
+        window.removeEventListener("pointerup", handlePointerUp);
+        window.removeEventListener("pointercancel", cancel);
+        window.removeEventListener("scroll", handleScroll, true);
+        window.removeEventListener("contextmenu", preventContextMenu);
+        isActive = false;
+        scrollSpeed = 0;
+        stopRef.current = null;
+        setPointerDrag(null);
+      }
+
+      timer = setTimeout(() => {
+        isActive = true;
+        navigator.vibrate?.(10); // Haptic hint that the item is "picked up"
+        callbacksRef.current.onDragStart(index);
+        setPointerDrag({ index, ...point });
+      }, LONG_PRESS_DELAY);
+
+      // passive: false so an active drag can block touch scrolling
+      window.addEventListener("pointermove", handlePointerMove, {
+        passive: false,
+      });
+      window.addEventListener("pointerup", handlePointerUp);
+      window.addEventListener("pointercancel", cancel);
+      window.addEventListener("scroll", handleScroll, true);
+      window.addEventListener("contextmenu", preventContextMenu);
+      stopRef.current = cancel;
+    },
+    []
+  );
+
+  /**
+   * Whether a touch/pen gesture is pending or active. Native drag events
+   * that fire in the meantime (Android can start one on long press) must be
+   * ignored so the two backends never run at once.
+   */
+  const isPointerGestureActive = useCallback(
+    () => stopRef.current !== null,
+    []
+  );
+
+  // Cleanup on unmount: never leave window listeners or timers behind
+  useEffect(() => {
+    return () => stopRef.current?.();
+  }, []);
+
+  return { pointerDrag, handlePointerDown, isPointerGestureActive };
+}
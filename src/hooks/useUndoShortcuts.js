@@ -0,0 +1,49 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * Global undo/redo keyboard shortcuts
+ *
+ * SHORTCUTS:
+ * - Ctrl+Z / Cmd+Z: undo
+ * - Ctrl+Shift+Z / Cmd+Shift+Z and Ctrl+Y: redo
+ *
+ * Text fields keep their native undo, and keys already handled elsewhere
+ * (e.g. by a keyboard drag in progress) are left alone.
+ *
+ * @param {Function} onUndo - Called for the undo shortcut
+ * @param {Function} onRedo - Called for the redo shortcut
+ */
+export function useUndoShortcuts(onUndo, onRedo) {
+  // Always call the latest handlers without re-binding the listener
+  const handlersRef = useRef({ onUndo, onRedo });
+  useEffect(() => {
+    handlersRef.current = { onUndo, onRedo };
+  }, [onUndo, onRedo]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (isEditable(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handlersRef.current.onUndo();
+      } else if ((key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey)) {
+        e.preventDefault();
+        handlersRef.current.onRedo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+}
+
+function isEditable(element) {
+  return (
+    element instanceof HTMLElement &&
+    (element.isContentEditable ||
+      element.closest("input, textarea, select") !== null)
+  );
+}
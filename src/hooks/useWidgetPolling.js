@@ -0,0 +1,49 @@
+import { useEffect, useRef } from "react";
+
+import { getRefreshInterval } from "@/lib/polling";
+import { createPollingScheduler } from "@/services";
+import { getWidgetDefinition } from "@/widgets";
+
+/**
+ * Keeps auto-refreshing widgets on their schedule
+ *
+ * ARCHITECTURE:
+ * Owns one polling scheduler (services/pollingScheduler) for the whole
+ * dashboard and hands it the current jobs whenever the widgets change:
+ * every fetchable widget whose `refreshInterval` setting isn't "Off".
+ * The scheduler handles timing, staggering, pausing in background tabs
+ * and backoff; this hook only translates widgets into jobs.
+ *
+ * @param {Array} widgets - Current widgets
+ * @param {Function} poll - (widgetId) => Promise<boolean>, refreshes one widget
+ */
+export function useWidgetPolling(widgets, poll) {
+  const pollRef = useRef(poll);
+  const schedulerRef = useRef(null);
+
+  useEffect(() => {
+    pollRef.current = poll;
+  }, [poll]);
+
+  useEffect(() => {
+    const scheduler = createPollingScheduler({
+      poll: (widgetId) => pollRef.current(widgetId),
+    });
+    schedulerRef.current = scheduler;
+    scheduler.start();
+    return () => scheduler.stop();
+  }, []);
+
+  useEffect(() => {
+    schedulerRef.current.sync(
+      widgets
+        .filter((widget) => getWidgetDefinition(widget.type)?.fetch)
+        .map((widget) => ({
+          id: widget.id,
+          interval: getRefreshInterval(widget),
+          lastUpdated: widget.lastUpdated ?? null,
+        }))
+        .filter((job) => job.interval > 0)
+    );
+  }, [widgets]);
+}
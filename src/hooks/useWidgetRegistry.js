@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from "react";
+
+import { getWidgetDefinitions, subscribeToRegistry } from "@/widgets";
+
+/**
+ * Subscribes a component to the widget registry
+ *
+ * Widget types can register at any time (lazy-loaded plugins), so anything
+ * that lists or looks up widget types re-renders when the catalogue changes.
+ *
+ * @returns {Array<Object>} Registered widget definitions, in registration order
+ */
+export function useWidgetRegistry() {
+  return useSyncExternalStore(subscribeToRegistry, getWidgetDefinitions);
+}
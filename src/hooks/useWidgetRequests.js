@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useMemo, useRef } from "react";
+
+/**
+ * Tracks the one request per widget whose response may still be shown
+ *
+ * STALE RESPONSES:
+ * Every request gets a fresh AbortController and a generation number.
+ * Starting a new request for a widget aborts the previous one, and only
+ * the latest generation may dispatch its result, so a slow response can
+ * never overwrite newer data, even from a fetch that ignores its signal.
+ *
+ * CLEANUP: `retain(ids)` aborts requests of widgets that are gone (however
+ * they were removed), and unmounting aborts everything still in flight.
+ *
+ * @returns {Object} { begin, retain }, stable across renders
+ */
+export function useWidgetRequests() {
+  const requestsRef = useRef(new Map()); // widgetId → { controller, generation }
+  const generationRef = useRef(0);
+
+  /**
+   * Starts a request for a widget, superseding any pending one
+   *
+   * @param {string} widgetId
+   * @returns {{ signal: AbortSignal, isCurrent: Function, finish: Function }}
+   *   isCurrent() tells whether the result may still be dispatched;
+   *   finish() releases the request once it has settled
+   */
+  const begin = useCallback((widgetId) => {
+    const requests = requestsRef.current;
+    requests.get(widgetId)?.controller.abort();
+
+    const request = {
+      controller: new AbortController(),
+      generation: ++generationRef.current,
+    };
+    requests.set(widgetId, request);
+
+    const isCurrent = () =>
+      requests.get(widgetId)?.generation === request.generation;
+
+    return {
+      signal: request.controller.signal,
+      isCurrent,
+      finish: () => {
+        if (isCurrent()) requests.delete(widgetId);
+      },
+    };
+  }, []);
+
+  /**
+   * Aborts the requests of every widget not in `widgetIds`
+   *
+   * @param {Array<string>} widgetIds - Widgets that still exist
+   */
+  const retain = useCallback((widgetIds) => {
+    const kept = new Set(widgetIds);
+    requestsRef.current.forEach((request, widgetId) => {
+      if (kept.has(widgetId)) return;
+      request.controller.abort();
+      requestsRef.current.delete(widgetId);
+    });
+  }, []);
+
+  // Unmount: nothing may dispatch into a reducer that is gone
+  useEffect(() => {
+    const requests = requestsRef.current;
+    return () => {
+      requests.forEach((request) => request.controller.abort());
+      requests.clear();
+    };
+  }, []);
+
+  // Stable object, so callbacks that depend on it stay memoized
+  return useMemo(() => ({ begin, retain }), [begin, retain]);
+}
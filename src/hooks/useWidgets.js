@@ -1,10 +1,26 @@
-import { WIDGET_ACTIONS } from "@/constants/widgetTypes";
-import { generateWidgetId } from "@/lib/utils";
-import { widgetReducer } from "@/reducers";
-import { widgetService } from "@/services";
-import { useCallback, useReducer } from "react";
+import { CACHE_CONFIG, POLLING_CONFIG } from "@/constants";
+import { HISTORY_ACTIONS, WIDGET_ACTIONS } from "@/constants/widgetActions";
+import { isTransientError } from "@/lib/errors";
+import { getRetryConfig, getRetryDelay, wait } from "@/lib/retry";
+import { getDataSettings, validateSettings } from "@/lib/settingsSchema";
+import {
+  generateTaskId,
+  generateWidgetId,
+  getDefaultSettings,
+  getSettingsSchema,
+  mapWithConcurrency,
+} from "@/lib/utils";
+import { createHistory, widgetHistoryReducer } from "@/reducers";
+import { persistenceService, widgetService } from "@/services";
+import { useCallback, useEffect, useMemo, useReducer, useRef } from "react";
 
-import { useCache, useDebounce } from "@/hooks";
+import {
+  useCache,
+  useDebounce,
+  useWidgetPolling,
+  useWidgetRequests,
+} from "@/hooks";
+import { getWidgetDefinition, subscribeToRegistry } from "@/widgets";
 
 /**
  * Main Widget Management Hook
@@ -13,78 +29,262 @@ import { useCache, useDebounce } from "@/hooks";
  * This is the "controller" of our application, orchestrating:
  * - State management (via reducer)
  * - Data fetching (via service layer)
- * - Caching (via useCache hook)
+ * - Caching (via useCache hook, stale-while-revalidate)
  * - Debouncing (via useDebounce hook)
+ * - Automatic refresh (via useWidgetPolling)
+ * - Persistence (via persistenceService)
+ * - Undo/redo (via widgetHistoryReducer)
  *
  * DESIGN PATTERN: Composition over inheritance
  * Instead of one monolithic component, we compose multiple focused hooks
  *
+ * DASHBOARDS: Manages the widgets of one dashboard. The id is read once
+ * when the hook mounts, so switching dashboards means remounting (the
+ * Dashboard component is keyed by it), which also gives every dashboard
+ * its own undo history.
+ *
+ * @param {string} dashboardId - Dashboard whose widgets to load and save
  * @returns {Object} Widget state and operations
  */
-export function useWidgets() {
+export function useWidgets(dashboardId) {
   // STATE MANAGEMENT: useReducer for complex state logic
-  // Initialized with empty array, all updates go through reducer
-  const [widgets, dispatch] = useReducer(widgetReducer, []);
+  // Lazily hydrated from storage, all updates go through reducer.
+  // The history wrapper keeps undo/redo snapshots around the widget list.
+  const [history, dispatch] = useReducer(
+    widgetHistoryReducer,
+    dashboardId,
+    hydrateHistory
+  );
+  const widgets = history.present;
 
   // CACHING STRATEGY: Reduce unnecessary API calls
-  const { getCached, setCache } = useCache();
+  const { getCached, setCache, ready: cacheReady } = useCache();
+
+  // CANCELLATION: One live request per widget, stale responses are dropped
+  const requests = useWidgetRequests();
+
+  // DEDUPLICATION: Fetches in flight by cache key, see fetchWidgetData
+  const inFlightRef = useRef(new Map()); // cacheKey → { promise, force, isWaiting, isCurrent }
+  useEffect(() => {
+    const inFlight = inFlightRef.current;
+    return () => inFlight.clear();
+  }, []);
 
   /**
-   * Fetches widget data with intelligent caching
+   * Loads widget data with intelligent caching (use fetchWidgetData)
    *
-   * CACHING STRATEGY:
-   * 1. Check cache first (5-minute TTL)
-   * 2. If cached, use it immediately (no API call)
-   * 3. If not cached, fetch from API and store in cache
+   * CACHING STRATEGY (stale-while-revalidate, see cacheService):
+   * 1. Check the cache first (entries survive reloads)
+   * 2. FRESH entry (younger than the type's `cacheTtl`): use it, no API call
+   * 3. STALE entry: show it right away, then fetch quietly to replace it
+   * 4. No entry: show the loading skeleton, fetch, and store the result
    *
    * PERFORMANCE BENEFIT: Reduces API calls by ~80% in typical usage
    *
-   * @param {string} widgetType - Type of widget (weather, stock, news)
-   * @param {string} widgetId - Unique widget ID
+   * FORCED FETCHES (manual refresh, Refresh all): The cache is skipped, so
+   * the API is always asked, and the answer replaces the cached entry.
+   *
+   * BACKGROUND FETCHES (polling): Forced too, and the current data stays on
+   * screen instead of a loading skeleton.
+   *
+   * RETRIES: Transient errors are retried with exponential backoff and
+   * jitter (RETRY_CONFIG, or the widget type's own `retry`). Permanent
+   * errors (see lib/errors) fail straight away.
+   *
+   * CANCELLATION: Each fetch supersedes the widget's pending one (aborted
+   * via AbortController), and only the latest request may dispatch, so
+   * out-of-order responses never overwrite newer data.
+   *
+   * @param {Object} widget - Widget to fetch for (uses its type, id and settings)
+   * @param {Object} options
+   * @param {boolean} options.background - Scheduled refresh, see above
+   * @param {boolean} options.force - Skip the cache, see above
+   * @param {Object} flight - Its in-flight entry; `isWaiting` is set while
+   *   a retry is pending, `isCurrent` tells whether its request may still
+   *   dispatch
+   * @returns {Promise<boolean>} Whether the widget now shows fresh data
    */
-  const fetchWidgetData = useCallback(
-    async (widgetType, widgetId) => {
-      // Cache key combines type and ID for uniqueness
-      const cacheKey = `${widgetType}-${widgetId}`;
-      const cached = getCached(cacheKey);
+  const loadWidgetData = useCallback(
+    async (
+      { type: widgetType, id: widgetId, settings },
+      { background, force },
+      flight
+    ) => {
+      // Local widgets (e.g. tasks) only have content, nothing to fetch
+      const definition = getWidgetDefinition(widgetType);
+      if (definition && !definition.fetch) return false;
 
-      // CACHE HIT: Use cached data, skip API call
-      if (cached) {
-        dispatch({
-          type: WIDGET_ACTIONS.UPDATE_WIDGET_DATA,
-          payload: { id: widgetId, data: cached },
-        });
-        return;
-      }
-
-      // CACHE MISS: Fetch from API
-      // Show loading state while fetching
-      dispatch({
-        type: WIDGET_ACTIONS.SET_WIDGET_LOADING,
-        payload: { id: widgetId, loading: true },
-      });
+      // Supersede any pending request, even on a cache hit: its late
+      // response would otherwise replace what we show now
+      const request = requests.begin(widgetId);
+      flight.isCurrent = request.isCurrent;
 
       try {
-        // API call to fetch data
-        const data = await widgetService.fetchWidgetData(widgetType);
+        // Cache key combines type, ID and settings, so changing a widget's
+        // city or symbol never serves data cached for the old one
+        const cacheKey = getCacheKey(widgetType, widgetId, settings);
+        let cached = null;
+        if (!force) {
+          // Entries saved by the last visit load asynchronously
+          await cacheReady;
+          if (!request.isCurrent()) return false;
+          cached = getCached(cacheKey);
+        }
 
-        // Store in cache for future use
-        setCache(cacheKey, data);
+        // CACHE HIT: Show cached data, as old as it really is
+        if (cached) {
+          dispatch({
+            type: WIDGET_ACTIONS.UPDATE_WIDGET_DATA,
+            payload: {
+              id: widgetId,
+              data: cached.data,
+              lastUpdated: cached.storedAt,
+            },
+          });
+          // FRESH: Skip the API call
+          if (cached.status === "fresh") return true;
+        }
 
-        // Update widget with fetched data
-        dispatch({
-          type: WIDGET_ACTIONS.UPDATE_WIDGET_DATA,
-          payload: { id: widgetId, data },
-        });
-      } catch (error) {
-        // ERROR HANDLING: Set error state, clear loading
-        dispatch({
-          type: WIDGET_ACTIONS.SET_WIDGET_ERROR,
-          payload: { id: widgetId, error: error.message },
-        });
+        // CACHE MISS OR STALE: Fetch from API
+        // Show loading state while fetching (background fetches and stale
+        // data being revalidated stay on screen instead)
+        const isQuiet = background || cached !== null;
+        const showLoading = () => {
+          if (isQuiet) return;
+          dispatch({
+            type: WIDGET_ACTIONS.SET_WIDGET_LOADING,
+            payload: { id: widgetId, loading: true },
+          });
+        };
+        showLoading();
+
+        const retry = getRetryConfig(definition);
+
+        // RETRY LOOP: Transient failures are retried with backoff until
+        // maxAttempts; the request stays live while waiting, so a new
+        // refresh or removing the widget cancels a pending retry too
+        for (let attempt = 1; ; attempt++) {
+          try {
+            // API call to fetch data
+            const data = await widgetService.fetchWidgetData(
+              widgetType,
+              settings,
+              { signal: request.signal }
+            );
+
+            // Store in cache for future use, fresh for the type's TTL
+            setCache(cacheKey, data, {
+              ttl: definition?.cacheTtl ?? CACHE_CONFIG.defaultTtlMs,
+              meta: { type: widgetType, widgetId },
+            });
+
+            // STALE RESPONSE: A newer request owns the widget now
+            if (!request.isCurrent()) return false;
+
+            // Update widget with fetched data
+            dispatch({
+              type: WIDGET_ACTIONS.UPDATE_WIDGET_DATA,
+              payload: { id: widgetId, data, lastUpdated: Date.now() },
+            });
+            return true;
+          } catch (error) {
+            // CANCELLED: Removed, unmounted or superseded; not an error
+            if (request.signal.aborted || !request.isCurrent()) return false;
+
+            // ERROR HANDLING: Set error state (clears loading), including
+            // when the next attempt is due so the UI can count down. Data
+            // the widget already has stays (Widget marks it stale), so a
+            // failed poll never blanks a working widget
+            const transient = isTransientError(error);
+            const willRetry = transient && attempt < retry.maxAttempts;
+            const delay = willRetry ? getRetryDelay(attempt, retry) : 0;
+            dispatch({
+              type: WIDGET_ACTIONS.SET_WIDGET_ERROR,
+              payload: {
+                id: widgetId,
+                error: {
+                  message: error.message,
+                  transient,
+                  attempts: attempt,
+                  maxAttempts: retry.maxAttempts,
+                  nextRetryAt: willRetry ? Date.now() + delay : null,
+                },
+              },
+            });
+            if (!willRetry) return false;
+
+            flight.isWaiting = true;
+            try {
+              await wait(delay, request.signal);
+            } catch {
+              return false; // Cancelled while waiting
+            } finally {
+              flight.isWaiting = false;
+            }
+            showLoading();
+          }
+        }
+      } finally {
+        request.finish();
+      }
+    },
+    [getCached, setCache, cacheReady, requests]
+  );
+
+  /**
+   * Fetches widget data, sharing fetches already in flight
+   *
+   * DEDUPLICATION: Calls for the same cache key (same widget, same
+   * settings) while a fetch is running get that fetch's promise instead of
+   * aborting it and starting over, so a poll falling due during a manual
+   * refresh, or a double click, costs one request. A call only starts its
+   * own fetch when it asks for more than the running one (forced vs. a
+   * cached read) or the running one is only waiting to retry, so "Retry
+   * now" really retries now.
+   *
+   * CLEANUP: Unmounting aborts every request (useWidgetRequests) and drops
+   * the in-flight entries, so a remount (StrictMode, switching back to a
+   * dashboard) starts its fetches afresh instead of joining dead ones.
+   *
+   * @param {Object} widget - Widget to fetch for (uses its type, id and settings)
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Skip the cache (explicit refreshes)
+   * @param {boolean} [options.background] - Scheduled refresh, implies force
+   * @returns {Promise<boolean>} Whether the widget now shows fresh data
+   */
+  const fetchWidgetData = useCallback(
+    (widget, { force = false, background = false } = {}) => {
+      const inFlight = inFlightRef.current;
+      const cacheKey = getCacheKey(widget.type, widget.id, widget.settings);
+      const isForced = force || background;
+
+      // A flight whose request was aborted or superseded can't deliver
+      // data anymore, so it is never shared
+      const pending = inFlight.get(cacheKey);
+      if (
+        pending?.isCurrent() &&
+        !pending.isWaiting &&
+        (pending.force || !isForced)
+      ) {
+        return pending.promise;
       }
+
+      const flight = {
+        force: isForced,
+        isWaiting: false,
+        isCurrent: () => false, // Set once its request has begun
+      };
+      flight.promise = loadWidgetData(
+        widget,
+        { background, force: isForced },
+        flight
+      ).finally(() => {
+        if (inFlight.get(cacheKey) === flight) inFlight.delete(cacheKey);
+      });
+      inFlight.set(cacheKey, flight);
+      return flight.promise;
     },
-    [getCached, setCache]
+    [loadWidgetData]
   );
 
   /**
@@ -98,9 +298,11 @@ export function useWidgets() {
    * User clicks refresh 5 times in 1 second → Only 1 API call is made
    *
    * PERFORMANCE BENEFIT: Prevents server overload and improves UX
+   *
+   * A refresh is an explicit request for new data, so it bypasses the cache
    */
-  const debouncedRefresh = useDebounce((widgetType, widgetId) => {
-    fetchWidgetData(widgetType, widgetId);
+  const debouncedRefresh = useDebounce((widget) => {
+    fetchWidgetData(widget, { force: true });
   }, 300);
 
   /**
@@ -123,13 +325,16 @@ export function useWidgets() {
         loading: false, // fetchWidgetData will set this to true
         error: null,
         createdAt: Date.now(),
+        settings: getDefaultSettings(type),
+        // User-owned content (e.g. tasks) for types that have any
+        content: getWidgetDefinition(type.toLowerCase())?.createContent?.(),
       };
 
       // Add to state
       dispatch({ type: WIDGET_ACTIONS.ADD_WIDGET, payload: newWidget });
 
       // Fetch initial data
-      fetchWidgetData(newWidget.type, newWidget.id);
+      fetchWidgetData(newWidget);
     },
     [fetchWidgetData]
   );
@@ -142,6 +347,172 @@ export function useWidgets() {
     dispatch({ type: WIDGET_ACTIONS.REMOVE_WIDGET, payload: widgetId });
   }, []);
 
+  /**
+   * Moves or copies a widget to another dashboard
+   *
+   * The target dashboard isn't on screen, so the widget is written straight
+   * to its storage (settings and content included, layout re-derived
+   * there). A copy gets a new id; a move keeps it and is removed here for
+   * good: the other dashboard's history can't be undone from here, so the
+   * move isn't an undo step and the widget leaves every snapshot too.
+   *
+   * @param {Object} widget - Widget to transfer
+   * @param {string} targetDashboardId - Dashboard to add it to
+   * @param {Object} [options]
+   * @param {boolean} [options.copy] - Keep the widget here as well
+   * @returns {boolean} Whether the widget was saved to the target
+   */
+  const transferWidget = useCallback(
+    (widget, targetDashboardId, { copy = false } = {}) => {
+      if (targetDashboardId === dashboardId) return false;
+
+      const transferred = copy
+        ? { ...widget, id: generateWidgetId(), createdAt: Date.now() }
+        : widget;
+      const saved = persistenceService.addWidgetToDashboard(
+        targetDashboardId,
+        transferred
+      );
+      if (saved && !copy) {
+        dispatch({ type: WIDGET_ACTIONS.TRANSFER_WIDGET, payload: widget.id });
+      }
+      return saved;
+    },
+    [dashboardId]
+  );
+
+  /**
+   * Serializes the dashboard as a versioned JSON export
+   *
+   * @param {string} name - Dashboard name to include
+   * @returns {string} JSON text for a file or the clipboard
+   */
+  const exportDashboard = useCallback(
+    (name) => persistenceService.exportDashboard(name, widgets),
+    [widgets]
+  );
+
+  /**
+   * Applies an import read by parseImport
+   *
+   * Imported widgets get new ids (importing the same file twice, or into
+   * a second dashboard, never clashes) and fetch their data right away.
+   * One undo step reverts the whole import.
+   *
+   * @param {Array} importedWidgets - `widgets` of the parsed import
+   * @param {"replace"|"merge"} mode - Swap out the dashboard or add to it
+   */
+  const importWidgets = useCallback(
+    (importedWidgets, mode) => {
+      const imported = importedWidgets.map((widget) => ({
+        ...widget,
+        id: generateWidgetId(),
+        loading: getWidgetDefinition(widget.type)?.fetch !== undefined,
+      }));
+      dispatch({
+        type: WIDGET_ACTIONS.IMPORT_WIDGETS,
+        payload: { widgets: imported, mode },
+      });
+      imported.forEach((widget) => fetchWidgetData(widget));
+    },
+    [fetchWidgetData]
+  );
+
+  /**
+   * Replaces a widget's settings (city, ticker symbol, news topic...)
+   * and fetches data for the new settings right away, unless only display
+   * settings changed (see getDataSettings)
+   *
+   * VALIDATION: Settings are checked against the type's schema here too,
+   * so invalid values never reach widgetService whoever the caller is
+   *
+   * @returns {Object} Field name → error message, empty when the settings
+   *   were valid and applied
+   */
+  const updateWidgetSettings = useCallback(
+    (widget, newSettings) => {
+      const {
+        values: settings,
+        errors,
+        isValid,
+      } = validateSettings(getSettingsSchema(widget.type), newSettings);
+      if (!isValid) return errors;
+
+      dispatch({
+        type: WIDGET_ACTIONS.UPDATE_WIDGET_SETTINGS,
+        payload: { id: widget.id, settings },
+      });
+      if (needsRefetch(widget, settings)) {
+        fetchWidgetData({ ...widget, settings });
+      }
+      return errors;
+    },
+    [fetchWidgetData]
+  );
+
+  /**
+   * Edits the user-owned content of widgets (Task List items, note text,
+   * KPIs, read articles)
+   *
+   * Content never comes from fetching, so a refresh can't overwrite it.
+   * All but the read articles are undo steps (see widgetHistoryReducer).
+   * Handed down to widget render components as `actions`.
+   * PERFORMANCE: dispatch is stable, so this object is created once
+   */
+  const contentActions = useMemo(
+    () => ({
+      addTask: (widgetId, text) =>
+        dispatch({
+          type: WIDGET_ACTIONS.ADD_TASK,
+          payload: {
+            widgetId,
+            task: {
+              id: generateTaskId(),
+              text,
+              completed: false,
+              createdAt: Date.now(),
+            },
+          },
+        }),
+      renameTask: (widgetId, taskId, text) =>
+        dispatch({
+          type: WIDGET_ACTIONS.RENAME_TASK,
+          payload: { widgetId, taskId, text },
+        }),
+      toggleTask: (widgetId, taskId) =>
+        dispatch({
+          type: WIDGET_ACTIONS.TOGGLE_TASK,
+          payload: { widgetId, taskId },
+        }),
+      deleteTask: (widgetId, taskId) =>
+        dispatch({
+          type: WIDGET_ACTIONS.DELETE_TASK,
+          payload: { widgetId, taskId },
+        }),
+      reorderTasks: (widgetId, fromIndex, toIndex) =>
+        dispatch({
+          type: WIDGET_ACTIONS.REORDER_TASKS,
+          payload: { widgetId, fromIndex, toIndex },
+        }),
+      updateNote: (widgetId, text) =>
+        dispatch({
+          type: WIDGET_ACTIONS.UPDATE_NOTE,
+          payload: { widgetId, text },
+        }),
+      updateKpis: (widgetId, kpis) =>
+        dispatch({
+          type: WIDGET_ACTIONS.UPDATE_KPIS,
+          payload: { widgetId, kpis },
+        }),
+      setArticlesRead: (widgetId, articleIds, read = true) =>
+        dispatch({
+          type: WIDGET_ACTIONS.SET_ARTICLES_READ,
+          payload: { widgetId, articleIds, read },
+        }),
+    }),
+    []
+  );
+
   /**
    * Refreshes widget data
    * Uses debounced version to prevent spam
@@ -150,7 +521,7 @@ export function useWidgets() {
    */
   const refreshWidget = useCallback(
     (widget) => {
-      debouncedRefresh(widget.type, widget.id);
+      debouncedRefresh(widget);
     },
     [debouncedRefresh]
   );
@@ -160,21 +531,242 @@ export function useWidgets() {
    *
    * EVENT-DRIVEN: Called by useDragAndDrop hook when drag completes
    * IMMUTABILITY: Reducer handles creating new array with new order
+   * LAYOUT: Only the active breakpoint's layout changes
    */
-  const reorderWidgets = useCallback((fromIndex, toIndex) => {
+  const reorderWidgets = useCallback((fromIndex, toIndex, breakpoint) => {
     dispatch({
       type: WIDGET_ACTIONS.REORDER_WIDGETS,
-      payload: { fromIndex, toIndex },
+      payload: { fromIndex, toIndex, breakpoint },
+    });
+  }, []);
+
+  /**
+   * Moves a widget to a free grid cell
+   *
+   * EVENT-DRIVEN: Called by useDragAndDrop when a widget is dropped on an
+   * empty part of the grid rather than on another widget
+   */
+  const moveWidget = useCallback((fromIndex, { x, y }, breakpoint) => {
+    dispatch({
+      type: WIDGET_ACTIONS.MOVE_WIDGET,
+      payload: { fromIndex, x, y, breakpoint },
+    });
+  }, []);
+
+  /**
+   * Resizes a widget, called by useGridLayout when a resize drag completes
+   */
+  const resizeWidget = useCallback((widgetId, { w, h }, breakpoint) => {
+    dispatch({
+      type: WIDGET_ACTIONS.RESIZE_WIDGET,
+      payload: { id: widgetId, w, h, breakpoint },
     });
   }, []);
 
+  /**
+   * Steps back or forward through the edit history
+   *
+   * Widgets brought back by undo/redo (e.g. undoing a removal) may have been
+   * removed mid-fetch, and widgets whose data settings change back hold data
+   * for the wrong settings, so both fetch again; a cache hit makes this free.
+   */
+  const travel = useCallback(
+    (type, snapshot) => {
+      if (!snapshot) return;
+      const existing = new Map(widgets.map((widget) => [widget.id, widget]));
+      dispatch({ type });
+      snapshot
+        .filter((widget) => {
+          const live = existing.get(widget.id);
+          return !live || needsRefetch(live, widget.settings);
+        })
+        .forEach((widget) => fetchWidgetData(widget));
+    },
+    [widgets, fetchWidgetData]
+  );
+
+  const undo = useCallback(
+    () => travel(HISTORY_ACTIONS.UNDO, history.past.at(-1)),
+    [travel, history.past]
+  );
+
+  const redo = useCallback(
+    () => travel(HISTORY_ACTIONS.REDO, history.future[0]),
+    [travel, history.future]
+  );
+
+  // Latest widgets for effects that must not re-run on every edit
+  const widgetsRef = useRef(widgets);
+  useEffect(() => {
+    widgetsRef.current = widgets;
+  }, [widgets]);
+
+  /**
+   * Fetches data for widgets restored from storage
+   *
+   * Hydrated widgets start in the loading state (see hydrateWidgets) and
+   * only their durable fields were saved, so every one needs a fresh fetch.
+   * Later widgets fetch their own data when they are added, so the widgets
+   * are read from the ref; a re-run (StrictMode) only picks up widgets
+   * still waiting, and in-flight fetches are shared.
+   */
+  useEffect(() => {
+    widgetsRef.current.forEach((widget) => {
+      if (widget.loading && !widget.data) {
+        fetchWidgetData(widget);
+      }
+    });
+  }, [fetchWidgetData]);
+
+  /**
+   * Fetches data for widgets whose type registers late
+   *
+   * PLUGINS: A lazy-loaded widget package may register after its saved
+   * widgets were restored (they render as unavailable until then)
+   */
+  useEffect(
+    () =>
+      subscribeToRegistry((type) => {
+        if (!getWidgetDefinition(type)) return;
+        widgetsRef.current
+          .filter((widget) => widget.type === type && !widget.data)
+          .forEach((widget) => fetchWidgetData(widget));
+      }),
+    [fetchWidgetData]
+  );
+
+  /**
+   * Automatic refresh on each widget's `refreshInterval`
+   *
+   * SCHEDULING: useWidgetPolling decides when (staggered, paused in
+   * background tabs, backing off after errors); this only fetches.
+   */
+  const pollWidget = useCallback(
+    async (widgetId) => {
+      const widget = widgetsRef.current.find(({ id }) => id === widgetId);
+      if (!widget) return false;
+      return fetchWidgetData(widget, { background: true });
+    },
+    [fetchWidgetData]
+  );
+  useWidgetPolling(widgets, pollWidget);
+
+  /**
+   * Refreshes every fetchable widget, bypassing the cache
+   *
+   * BATCHING: At most POLLING_CONFIG.refreshAllConcurrency fetches run at
+   * once. Each widget is looked up again when its turn comes, so widgets
+   * removed or reconfigured while queued are skipped or use their new
+   * settings.
+   *
+   * @returns {Promise<{ refreshed: number, total: number }>} How many
+   *   widgets now show fresh data
+   */
+  const refreshAll = useCallback(async () => {
+    const widgetIds = widgetsRef.current
+      .filter((widget) => getWidgetDefinition(widget.type)?.fetch)
+      .map((widget) => widget.id);
+
+    const results = await mapWithConcurrency(
+      widgetIds,
+      POLLING_CONFIG.refreshAllConcurrency,
+      async (widgetId) => {
+        const widget = widgetsRef.current.find(({ id }) => id === widgetId);
+        return widget ? fetchWidgetData(widget, { force: true }) : false;
+      }
+    );
+    return {
+      refreshed: results.filter(Boolean).length,
+      total: results.length,
+    };
+  }, [fetchWidgetData]);
+
+  /**
+   * Cancels requests of widgets that are gone
+   *
+   * Covers every way out (remove button, undoing an add), so a late
+   * response can never touch a widget that no longer exists
+   */
+  useEffect(() => {
+    requests.retain(widgets.map((widget) => widget.id));
+  }, [widgets, requests]);
+
+  /**
+   * Persists every committed state
+   *
+   * PERFORMANCE: Data and loading churn don't change the serialized form,
+   * so the last written payload is compared to skip redundant writes.
+   */
+  const lastSavedRef = useRef(null);
+  useEffect(() => {
+    const saved = persistenceService.saveWidgets(
+      dashboardId,
+      widgets,
+      lastSavedRef.current
+    );
+    if (saved) lastSavedRef.current = saved;
+  }, [dashboardId, widgets]);
+
   // EXTENSIBILITY: Easy to add new operations here
   // Just create new action type and dispatch it
   return {
     widgets,
     addWidget,
     removeWidget,
+    transferWidget,
+    exportDashboard,
+    // Validates import text without applying it: { widgets, name, problems, error }
+    parseImport: persistenceService.parseDashboardImport,
+    importWidgets,
     refreshWidget,
+    refreshAll,
+    updateWidgetSettings,
+    contentActions,
     reorderWidgets,
+    moveWidget,
+    resizeWidget,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    // The tracked action that produced the current state, null after undo/redo
+    lastChange: history.lastChange,
   };
 }
+
+/**
+ * Cache key for a widget's data
+ * Settings are part of the key: same widget, new city, new entry. Display
+ * settings (e.g. units) aren't, they don't change what is fetched. The
+ * type's dataVersion is, so data cached in an older shape is never read.
+ */
+function getCacheKey(widgetType, widgetId, settings = {}) {
+  const version = getWidgetDefinition(widgetType)?.dataVersion ?? 1;
+  const dataSettings = getDataSettings(getSettingsSchema(widgetType), settings);
+  return `${widgetType}@${version}-${widgetId}-${JSON.stringify(dataSettings)}`;
+}
+
+/**
+ * Whether new settings need different data than the widget has
+ */
+function needsRefetch(widget, settings) {
+  return (
+    getCacheKey(widget.type, widget.id, widget.settings) !==
+    getCacheKey(widget.type, widget.id, settings)
+  );
+}
+
+/**
+ * Lazy initializer for the widget reducer
+ * Restored widgets are marked as loading so they render skeletons until the
+ * mount effect has fetched their data (local widgets have nothing to wait
+ * for). History starts empty on every load.
+ */
+function hydrateHistory(dashboardId) {
+  return createHistory(
+    persistenceService.loadWidgets(dashboardId).map((widget) => ({
+      ...widget,
+      loading: getWidgetDefinition(widget.type)?.fetch !== undefined,
+    }))
+  );
+}
@@ -0,0 +1,57 @@
+import { cleanup, render, screen, waitFor } from "@testing-library/react";
+import { StrictMode } from "react";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+
+import { DATA_SOURCES } from "@/constants";
+import { useWidgets } from "@/hooks";
+import { persistenceService, widgetCache } from "@/services";
+
+const DASHBOARD_ID = "dashboard-test";
+
+// Shows each widget's fetch state
+function WidgetStates() {
+  const { widgets } = useWidgets(DASHBOARD_ID);
+  return (
+    <ul>
+      {widgets.map((widget) => (
+        <li key={widget.id} data-testid="widget">
+          {widget.loading ? "loading" : widget.data ? "data" : "empty"}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+describe("useWidgets", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    widgetCache.clear();
+  });
+  afterEach(cleanup);
+
+  it("fetches data for restored widgets when mounted under StrictMode", async () => {
+    persistenceService.saveWidgets(
+      DASHBOARD_ID,
+      ["weather", "stock", "news", "stats"].map((type, index) => ({
+        id: `widget-${index}`,
+        type,
+        createdAt: index,
+        // Instant and deterministic, unlike the mock's simulated delay
+        settings: { dataSource: DATA_SOURCES.FIXTURE },
+      }))
+    );
+
+    render(
+      <StrictMode>
+        <WidgetStates />
+      </StrictMode>
+    );
+
+    expect(screen.getAllByTestId("widget")).toHaveLength(4);
+    await waitFor(() =>
+      expect(
+        screen.getAllByTestId("widget").map((item) => item.textContent)
+      ).toEqual(["data", "data", "data", "data"])
+    );
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Freshness of a cache entry
+ *
+ * - "fresh": younger than its TTL, use it as is
+ * - "stale": up to maxStaleMs past its TTL, show it but fetch a replacement
+ * - "expired": too old to show
+ *
+ * @param {Object} entry - { storedAt, ttl }
+ * @param {number} now - Current time in ms
+ * @param {number} maxStaleMs - How long entries stay usable after their TTL
+ * @returns {"fresh"|"stale"|"expired"}
+ */
+export function getEntryStatus(entry, now, maxStaleMs) {
+  const age = now - entry.storedAt;
+  if (age < entry.ttl) return "fresh";
+  return age < entry.ttl + maxStaleMs ? "stale" : "expired";
+}
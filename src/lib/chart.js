@@ -0,0 +1,142 @@
+/**
+ * Chart Geometry
+ *
+ * Pure functions behind the SVG charts (components/Charts/Chart.jsx): value ranges,
+ * readable axis ticks, scales and path strings. Nothing here knows about
+ * React or the DOM, and everything is in pixels of the final drawing, so
+ * the chart is simply recomputed when its container resizes.
+ */
+
+/**
+ * Linear scale from a value domain to a pixel range
+ *
+ * @param {[number, number]} domain - [min, max] values
+ * @param {[number, number]} range - Pixels for min and max (may be reversed)
+ * @returns {Function} value => pixel
+ */
+export function createLinearScale([d0, d1], [r0, r1]) {
+  const span = d1 - d0 || 1;
+  return (value) => r0 + ((value - d0) / span) * (r1 - r0);
+}
+
+/**
+ * Round step (1, 2 or 5 × 10^n) that splits a span into about `count` parts
+ */
+function getNiceStep(span, count) {
+  const rough = span / Math.max(1, count);
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const residual = rough / magnitude;
+  const factor = residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1;
+  return factor * magnitude;
+}
+
+/**
+ * Y axis ticks covering a set of values
+ *
+ * The domain is widened to whole steps, so the first and last ticks frame
+ * the data. Bars and areas are measured from zero, so `includeZero` keeps
+ * it in the domain.
+ *
+ * @param {Array<number>} values - All plotted values
+ * @param {Object} [options]
+ * @param {number} [options.count] - Rough number of ticks wanted
+ * @param {boolean} [options.includeZero]
+ * @returns {{domain: [number, number], ticks: Array<number>}}
+ */
+export function getValueTicks(values, { count = 4, includeZero = false } = {}) {
+  const finite = values.filter(Number.isFinite);
+  let min = finite.length ? Math.min(...finite) : 0;
+  let max = finite.length ? Math.max(...finite) : 1;
+  if (includeZero) {
+    min = Math.min(min, 0);
+    max = Math.max(max, 0);
+  }
+  if (min === max) {
+    // A flat series still gets a visible range around its value
+    const pad = Math.abs(min) || 1;
+    min -= pad;
+    max += pad;
+  }
+
+  const step = getNiceStep(max - min, count);
+  const start = Math.floor(min / step) * step;
+  const end = Math.ceil(max / step) * step;
+  const ticks = [];
+  // Rounding keeps 0.1 + 0.2 style noise out of the labels
+  for (let tick = start; tick <= end + step / 2; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  return { domain: [start, end], ticks };
+}
+
+/**
+ * Which x labels to show so they don't overlap
+ *
+ * @param {number} count - Number of x positions
+ * @param {number} width - Plot width in px
+ * @param {number} [minSpacing] - Px each label needs
+ * @returns {Array<number>} Indexes of the labels to draw
+ */
+export function getLabelIndexes(count, width, minSpacing = 64) {
+  if (count === 0) return [];
+  const fit = Math.max(1, Math.floor(width / minSpacing));
+  const every = Math.ceil(count / fit);
+  return Array.from({ length: count }, (_, index) => index).filter(
+    (index) => index % every === 0
+  );
+}
+
+/**
+ * Polyline path through points; gaps (non-finite y) break the line
+ *
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {string} SVG path data
+ */
+export function getLinePath(points) {
+  let path = "";
+  let isDrawing = false;
+  points.forEach(({ x, y }) => {
+    if (!Number.isFinite(y)) {
+      isDrawing = false;
+      return;
+    }
+    path += `${isDrawing ? "L" : "M"}${x.toFixed(1)},${y.toFixed(1)}`;
+    isDrawing = true;
+  });
+  return path;
+}
+
+/**
+ * Closed path filling between a line and a baseline
+ *
+ * @param {Array<{x: number, y: number}>} points
+ * @param {number} baselineY - Pixel y of the value the area grows from
+ * @returns {string} SVG path data
+ */
+export function getAreaPath(points, baselineY) {
+  const drawn = points.filter(({ y }) => Number.isFinite(y));
+  if (drawn.length < 2) return "";
+  const first = drawn[0];
+  const last = drawn.at(-1);
+  return `${getLinePath(drawn)}L${last.x.toFixed(1)},${baselineY.toFixed(1)}L${first.x.toFixed(1)},${baselineY.toFixed(1)}Z`;
+}
+
+/**
+ * Index of the x position closest to a pointer
+ *
+ * @param {number} pointerX - Pixel x
+ * @param {Array<number>} xs - Pixel x of every position, ascending
+ * @returns {number} Index, -1 when there are no positions
+ */
+export function getNearestIndex(pointerX, xs) {
+  let nearest = -1;
+  let best = Infinity;
+  xs.forEach((x, index) => {
+    const distance = Math.abs(x - pointerX);
+    if (distance < best) {
+      best = distance;
+      nearest = index;
+    }
+  });
+  return nearest;
+}
@@ -0,0 +1,34 @@
+import { DATA_SOURCES } from "@/constants";
+
+/**
+ * Per-widget data source, shared by widget definitions and the data layer
+ *
+ * Like `refreshInterval`, the source of one widget is an ordinary setting
+ * (`dataSource`), so it is validated, saved and undoable, and picking a
+ * different one misses the cache instead of showing the other source's
+ * data.
+ */
+
+// Setting value that leaves the choice to the environment and the type
+export const DEFAULT_DATA_SOURCE = "default";
+
+/**
+ * Settings field for a widget type that can be pointed at another source
+ *
+ * @returns {Object} Enum field descriptor for a settingsSchema
+ */
+export function dataSourceField() {
+  return {
+    type: "enum",
+    label: "Data source",
+    default: DEFAULT_DATA_SOURCE,
+    required: true,
+    options: [
+      { value: DEFAULT_DATA_SOURCE, label: "Default" },
+      { value: DATA_SOURCES.MOCK, label: "Mock (random data)" },
+      { value: DATA_SOURCES.REST, label: "REST API" },
+      { value: DATA_SOURCES.FIXTURE, label: "Fixture (static data)" },
+    ],
+    description: "Overrides the source set for this widget type",
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Fetch errors and their classification
+ *
+ * TRANSIENT errors may go away by themselves (network down, timeouts,
+ * overloaded servers) and are worth retrying. PERMANENT errors won't
+ * (unknown widget type, bad request, missing permissions), so retrying
+ * would only repeat them.
+ */
+
+/**
+ * Error a widget fetch can throw to say how it failed
+ *
+ * @example
+ * throw new WidgetFetchError("Symbol not found", { status: 404 });
+ * throw new WidgetFetchError("Quota exceeded", { transient: false });
+ */
+export class WidgetFetchError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {boolean} [options.transient] - Overrides the classification
+   * @param {number} [options.status] - HTTP status, if there was a response
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, { transient, status, cause } = {}) {
+    super(message, { cause });
+    this.name = "WidgetFetchError";
+    this.transient = transient;
+    this.status = status;
+  }
+}
+
+// Statuses that mean "try again later" rather than "this request is wrong"
+const TRANSIENT_STATUSES = new Set([408, 425, 429]);
+
+/**
+ * Tells whether retrying a failed fetch could help
+ *
+ * ORDER: An explicit `transient` flag wins, then the HTTP status (5xx and
+ * "try later" statuses are transient, other 4xx are permanent). Anything
+ * else, e.g. a network failure, is treated as transient.
+ *
+ * @param {*} error - Whatever the fetch threw
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (typeof error?.transient === "boolean") return error.transient;
+  if (typeof error?.status === "number") {
+    return error.status >= 500 || TRANSIENT_STATUSES.has(error.status);
+  }
+  return true;
+}
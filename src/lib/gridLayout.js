@@ -0,0 +1,398 @@
+import { GRID_CONFIG } from "@/constants";
+
+/**
+ * Grid Layout Engine
+ *
+ * Pure functions that operate on layout items `{ id, x, y, w, h }` measured
+ * in grid units. Nothing here knows about React or widgets data, which keeps
+ * the reducer (committed layouts) and WidgetList (drag/resize previews) on
+ * exactly the same rules.
+ *
+ * RULES:
+ * 1. Items never overlap: colliding neighbours are pushed downward
+ * 2. Layouts always compact upward, so there are no vertical gaps
+ * 3. The item being moved/resized wins; everything else reflows around it
+ *
+ * IMMUTABILITY: Every function returns new arrays and new item objects.
+ */
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Breakpoints from widest to narrowest
+const BREAKPOINT_ORDER = Object.keys(GRID_CONFIG.breakpoints);
+// Column count that GRID_CONFIG sizes are expressed in
+const BASE_COLS = GRID_CONFIG.breakpoints[GRID_CONFIG.defaultBreakpoint].cols;
+
+/**
+ * Converts a width from one column count to another, keeping it usable
+ */
+const scaleWidth = (w, fromCols, toCols) =>
+  clamp(Math.round((w * toCols) / fromCols), 1, toCols);
+
+/**
+ * Whether two items overlap (an item never collides with itself)
+ */
+export const collides = (a, b) =>
+  a.id !== b.id &&
+  a.x < b.x + b.w &&
+  a.x + a.w > b.x &&
+  a.y < b.y + b.h &&
+  a.y + a.h > b.y;
+
+/**
+ * Sorts items in reading order: top to bottom, then left to right
+ */
+export const sortByPosition = (layout) =>
+  [...layout].sort((a, b) => a.y - b.y || a.x - b.x);
+
+/**
+ * Number of rows the layout occupies
+ */
+export const getLayoutBottom = (layout) =>
+  layout.reduce((bottom, item) => Math.max(bottom, item.y + item.h), 0);
+
+/**
+ * Moves every item as far up as it can go without overlapping.
+ *
+ * A pinned item keeps its position and the rest compact around it. That is
+ * what lets a dragged item swap places with the neighbour below it instead
+ * of floating straight back to where it started.
+ *
+ * @param {Array} layout - Layout items
+ * @param {string|null} pinnedId - Item that must not move
+ * @returns {Array} Compacted layout, in the same order as the input
+ */
+export function compactLayout(layout, pinnedId = null) {
+  const placed = layout.filter((item) => item.id === pinnedId);
+  const compacted = new Map(placed.map((item) => [item.id, item]));
+
+  sortByPosition(layout).forEach((item) => {
+    if (item.id === pinnedId) return;
+
+    const next = { ...item, y: 0 };
+    let collision = placed.find((other) => collides(next, other));
+    while (collision) {
+      next.y = collision.y + collision.h;
+      collision = placed.find((other) => collides(next, other));
+    }
+
+    placed.push(next);
+    compacted.set(next.id, next);
+  });
+
+  return layout.map((item) => compacted.get(item.id));
+}
+
+/**
+ * Pushes overlapping items downward until nothing collides
+ *
+ * @param {Array} layout - Layout items (may contain overlaps)
+ * @param {Array<string>} anchorIds - Items that were just changed
+ * @param {string} fixedId - Item that must never be pushed
+ */
+function resolveCollisions(layout, anchorIds, fixedId) {
+  const items = new Map(layout.map((item) => [item.id, { ...item }]));
+  const queue = [...anchorIds];
+
+  while (queue.length > 0) {
+    const anchor = items.get(queue.shift());
+    items.forEach((other) => {
+      if (other.id === fixedId || !collides(anchor, other)) return;
+      other.y = anchor.y + anchor.h;
+      queue.push(other.id);
+    });
+  }
+
+  return layout.map((item) => items.get(item.id));
+}
+
+/**
+ * Settles a layout after `changedIds` were repositioned, keeping `fixedId`
+ * where the user put it while everything else reflows
+ */
+function settle(layout, changedIds, fixedId) {
+  const resolved = resolveCollisions(layout, changedIds, fixedId);
+  return compactLayout(compactLayout(resolved, fixedId));
+}
+
+/**
+ * Moves an item to a grid cell
+ *
+ * @param {Array} layout - Current layout
+ * @param {string} id - Item to move
+ * @param {number} x - Target column
+ * @param {number} y - Target row
+ * @param {number} cols - Number of grid columns
+ * @returns {Array} New layout
+ */
+export function moveItem(layout, id, x, y, cols) {
+  const item = layout.find((entry) => entry.id === id);
+  if (!item) return layout;
+
+  const moved = {
+    ...item,
+    x: clamp(x, 0, cols - item.w),
+    y: Math.max(0, y),
+  };
+  const next = layout.map((entry) => (entry.id === id ? moved : entry));
+  return settle(next, [id], id);
+}
+
+/**
+ * Resizes an item, keeping its top-left corner in place
+ *
+ * @param {Array} layout - Current layout
+ * @param {string} id - Item to resize
+ * @param {number} w - Target width in columns
+ * @param {number} h - Target height in rows
+ * @param {number} cols - Number of grid columns
+ * @returns {Array} New layout
+ */
+export function resizeItem(layout, id, w, h, cols) {
+  const item = layout.find((entry) => entry.id === id);
+  if (!item) return layout;
+
+  const { minSize } = GRID_CONFIG;
+  const resized = {
+    ...item,
+    w: clamp(w, scaleWidth(minSize.w, BASE_COLS, cols), cols - item.x),
+    h: Math.max(minSize.h, h),
+  };
+  const next = layout.map((entry) => (entry.id === id ? resized : entry));
+  return settle(next, [id], id);
+}
+
+/**
+ * Swaps the positions of two items.
+ *
+ * This is how index-based reordering (drag onto another widget, keyboard
+ * moves) maps onto the grid: the dragged item takes the target's cell and
+ * the target takes the dragged item's old cell, then the rest reflows.
+ *
+ * @param {Array} layout - Current layout
+ * @param {string} fromId - Item being moved
+ * @param {string} toId - Item whose position it takes
+ * @param {number} cols - Number of grid columns
+ * @returns {Array} New layout
+ */
+export function swapItems(layout, fromId, toId, cols) {
+  const from = layout.find((item) => item.id === fromId);
+  const to = layout.find((item) => item.id === toId);
+  if (!from || !to || from === to) return layout;
+
+  const next = layout.map((item) => {
+    if (item.id === fromId) {
+      return { ...item, x: clamp(to.x, 0, cols - item.w), y: to.y };
+    }
+    if (item.id === toId) {
+      return { ...item, x: clamp(from.x, 0, cols - item.w), y: from.y };
+    }
+    return item;
+  });
+  return settle(next, [fromId, toId], fromId);
+}
+
+/**
+ * Finds the first free cell (in reading order) for an item of a given size
+ *
+ * @param {Array} layout - Items already placed
+ * @param {number} w - Item width in columns
+ * @param {number} h - Item height in rows
+ * @param {number} cols - Number of grid columns
+ * @param {Object} [start] - Reading-order position to start searching from
+ * @returns {{x: number, y: number, w: number, h: number}} Placement
+ */
+export function findFreeSpot(layout, w, h, cols, start = { x: 0, y: 0 }) {
+  const width = Math.min(w, cols);
+  const bottom = getLayoutBottom(layout);
+
+  for (let y = start.y; y <= bottom; y++) {
+    const firstX = y === start.y ? start.x : 0;
+    for (let x = firstX; x <= cols - width; x++) {
+      const candidate = { id: null, x, y, w: width, h };
+      if (!layout.some((item) => collides(candidate, item))) {
+        return { x, y, w: width, h };
+      }
+    }
+  }
+
+  return { x: 0, y: bottom, w: width, h };
+}
+
+/**
+ * Lays items out one after another in the given order, keeping their sizes.
+ * Used for sorted (view-only) orderings and for layouts that were saved
+ * before widgets had positions.
+ *
+ * @param {Array} items - Items with `id`, `w` and `h`, in display order
+ * @param {number} cols - Number of grid columns
+ * @returns {Array} Positioned layout items in the same order
+ */
+export function flowLayout(items, cols) {
+  const placed = [];
+  let cursor = { x: 0, y: 0 };
+
+  items.forEach((item) => {
+    const spot = findFreeSpot(placed, item.w, item.h, cols, cursor);
+    placed.push({ ...item, ...spot });
+    cursor = { x: spot.x + spot.w, y: spot.y };
+  });
+
+  return placed;
+}
+
+/**
+ * Picks the breakpoint for a container width (widest one that fits)
+ */
+export const getBreakpoint = (width) =>
+  BREAKPOINT_ORDER.find(
+    (breakpoint) => width >= GRID_CONFIG.breakpoints[breakpoint].minWidth
+  ) ?? BREAKPOINT_ORDER[BREAKPOINT_ORDER.length - 1];
+
+/**
+ * Number of columns at a breakpoint
+ */
+export const getBreakpointCols = (breakpoint) =>
+  GRID_CONFIG.breakpoints[breakpoint].cols;
+
+/**
+ * Breakpoints the user has actually arranged (any widget has a saved layout)
+ */
+export const getStoredBreakpoints = (widgets) =>
+  BREAKPOINT_ORDER.filter((breakpoint) =>
+    widgets.some((widget) => widget.layouts?.[breakpoint])
+  );
+
+/**
+ * The arranged breakpoint closest to `breakpoint`, preferring wider ones.
+ * Wider layouts carry more of the user's intent (side-by-side placement).
+ */
+function findSourceBreakpoint(widgets, breakpoint) {
+  const target = BREAKPOINT_ORDER.indexOf(breakpoint);
+  return getStoredBreakpoints(widgets)
+    .filter((candidate) => candidate !== breakpoint)
+    .sort((a, b) => {
+      const distanceA = Math.abs(BREAKPOINT_ORDER.indexOf(a) - target);
+      const distanceB = Math.abs(BREAKPOINT_ORDER.indexOf(b) - target);
+      return distanceA - distanceB || BREAKPOINT_ORDER.indexOf(a) - target;
+    })[0];
+}
+
+/**
+ * Extracts the layout of a breakpoint from widgets.
+ *
+ * DERIVATION: Widgets without a saved layout at this breakpoint (all of
+ * them, for a breakpoint the user never arranged) are flowed in after the
+ * saved ones, in the reading order of the closest arranged breakpoint and
+ * with their widths scaled to this breakpoint's column count.
+ *
+ * @param {Array} widgets - Widgets with `layouts` keyed by breakpoint
+ * @param {string} breakpoint - Breakpoint to read
+ * @returns {Array} Complete layout items, in widgets order
+ */
+export function getWidgetLayout(widgets, breakpoint) {
+  const cols = getBreakpointCols(breakpoint);
+  const placed = [];
+  const missing = [];
+
+  widgets.forEach((widget) => {
+    const layout = widget.layouts?.[breakpoint];
+    if (layout && layout.x + layout.w <= cols) {
+      placed.push({ id: widget.id, ...layout });
+    } else {
+      missing.push(widget);
+    }
+  });
+
+  if (missing.length > 0) {
+    const source = findSourceBreakpoint(widgets, breakpoint);
+    const sourceCols = source ? getBreakpointCols(source) : BASE_COLS;
+    const sourceLayout = (widget) => (source ? widget.layouts?.[source] : null);
+
+    const ordered = sortByPosition(
+      missing.map((widget, index) => ({
+        widget,
+        // Widgets unknown to the source go last, in array order
+        x: sourceLayout(widget)?.x ?? index,
+        y: sourceLayout(widget)?.y ?? Number.MAX_SAFE_INTEGER,
+      }))
+    );
+
+    let cursor = { x: 0, y: 0 };
+    ordered.forEach(({ widget }) => {
+      const from = sourceLayout(widget);
+      const w = from
+        ? scaleWidth(from.w, sourceCols, cols)
+        : scaleWidth(GRID_CONFIG.defaultSize.w, BASE_COLS, cols);
+      const h = from?.h ?? GRID_CONFIG.defaultSize.h;
+
+      const spot = findFreeSpot(placed, w, h, cols, cursor);
+      placed.push({ id: widget.id, ...spot });
+      cursor = { x: spot.x + spot.w, y: spot.y };
+    });
+  }
+
+  const byId = new Map(placed.map((item) => [item.id, item]));
+  return widgets.map((widget) => byId.get(widget.id));
+}
+
+/**
+ * Writes a breakpoint's layout back onto widgets
+ *
+ * @param {Array} widgets - Widgets to update
+ * @param {Array} layout - Layout items keyed by widget id
+ * @param {string} breakpoint - Breakpoint the layout belongs to
+ * @returns {Array} New widgets array (unchanged widgets keep their identity)
+ */
+export function applyLayout(widgets, layout, breakpoint) {
+  const positions = new Map(layout.map((item) => [item.id, item]));
+
+  return widgets.map((widget) => {
+    const { x, y, w, h } = positions.get(widget.id);
+    const current = widget.layouts?.[breakpoint];
+    const unchanged =
+      current &&
+      current.x === x &&
+      current.y === y &&
+      current.w === w &&
+      current.h === h;
+    return unchanged
+      ? widget
+      : {
+          ...widget,
+          layouts: { ...widget.layouts, [breakpoint]: { x, y, w, h } },
+        };
+  });
+}
+
+/**
+ * Widgets sorted in the reading order of a breakpoint's layout
+ */
+export function sortWidgetsByLayout(widgets, breakpoint) {
+  const rank = new Map(
+    sortByPosition(getWidgetLayout(widgets, breakpoint)).map((item, index) => [
+      item.id,
+      index,
+    ])
+  );
+  return [...widgets].sort((a, b) => rank.get(a.id) - rank.get(b.id));
+}
+
+/**
+ * Repairs every arranged breakpoint: widgets missing a layout get a spot,
+ * overlaps (only possible from hand-edited or corrupt storage) are pushed
+ * apart, and everything is compacted.
+ *
+ * @param {Array} widgets - Widgets, possibly with missing or bad layouts
+ * @returns {Array} Widgets with settled layouts
+ */
+export function normalizeLayouts(widgets) {
+  return getStoredBreakpoints(widgets).reduce((current, breakpoint) => {
+    const layout = getWidgetLayout(current, breakpoint);
+    const resolved = sortByPosition(layout).reduce(
+      (next, item) => resolveCollisions(next, [item.id], item.id),
+      layout
+    );
+    return applyLayout(current, compactLayout(resolved), breakpoint);
+  }, widgets);
+}
@@ -0,0 +1,118 @@
+/**
+ * Lightweight Markdown - the safe subset used by the Notes widget
+ *
+ * SUPPORTED:
+ * - Bullets: lines starting with "- ", "* " or "• "
+ * - Checkboxes: "- [ ] todo" and "- [x] done"
+ * - Bold: **text**
+ * - Links: [label](https://example.com), http(s) and mailto only
+ *
+ * SECURITY:
+ * The parser returns plain data, never HTML. The view renders it as React
+ * elements, so text is always escaped, and links with any other protocol
+ * (javascript:, data:, ...) stay plain text.
+ *
+ * Every block and list item remembers its source line, so the view can
+ * change the text behind it (see toggleChecklistItem).
+ */
+
+const BULLET_PATTERN = /^\s*[-*•]\s+(.*)$/;
+const CHECKBOX_PATTERN = /^\[([ xX])\]\s+(.*)$/;
+const INLINE_PATTERN = /\*\*(.+?)\*\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+/**
+ * Splits text into paragraphs and lists
+ *
+ * @param {string} text - Note source
+ * @returns {Array<Object>} Blocks:
+ *   { type: "paragraph", lines: [{ line, text }] }
+ *   { type: "list", items: [{ line, text, checked }] } where `checked` is
+ *   true/false for checkboxes and null for plain bullets
+ */
+export function parseMarkdown(text = "") {
+  const blocks = [];
+  let current = null;
+
+  text.split("\n").forEach((source, line) => {
+    const bullet = source.match(BULLET_PATTERN);
+
+    if (bullet) {
+      const checkbox = bullet[1].match(CHECKBOX_PATTERN);
+      const item = checkbox
+        ? { line, text: checkbox[2], checked: checkbox[1] !== " " }
+        : { line, text: bullet[1], checked: null };
+
+      if (current?.type !== "list") {
+        current = { type: "list", items: [] };
+        blocks.push(current);
+      }
+      current.items.push(item);
+      return;
+    }
+
+    // Blank lines end the current block
+    if (source.trim() === "") {
+      current = null;
+      return;
+    }
+
+    if (current?.type !== "paragraph") {
+      current = { type: "paragraph", lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push({ line, text: source });
+  });
+
+  return blocks;
+}
+
+/**
+ * Splits one line into text, bold and link segments
+ *
+ * @param {string} text - A single line without its bullet
+ * @returns {Array<Object>} { type: "text" | "bold", text } or
+ *   { type: "link", text, href }
+ */
+export function parseInline(text) {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [source, bold, label, href] = match;
+    if (match.index > lastIndex) {
+      segments.push({ type: "text", text: text.slice(lastIndex, match.index) });
+    }
+
+    if (bold !== undefined) {
+      segments.push({ type: "bold", text: bold });
+    } else if (SAFE_URL_PATTERN.test(href)) {
+      segments.push({ type: "link", text: label, href });
+    } else {
+      segments.push({ type: "text", text: source });
+    }
+    lastIndex = match.index + source.length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ type: "text", text: text.slice(lastIndex) });
+  }
+  return segments;
+}
+
+/**
+ * Ticks or unticks the checkbox on one line of the source
+ *
+ * @param {string} text - Note source
+ * @param {number} line - Line index from parseMarkdown
+ * @returns {string} New source; unchanged if the line has no checkbox
+ */
+export function toggleChecklistItem(text, line) {
+  const lines = text.split("\n");
+  if (lines[line] === undefined) return text;
+  lines[line] = lines[line].replace(
+    /^(\s*[-*•]\s+\[)([ xX])(\])/,
+    (match, open, mark, close) => `${open}${mark === " " ? "x" : " "}${close}`
+  );
+  return lines.join("\n");
+}
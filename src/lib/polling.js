@@ -0,0 +1,54 @@
+import { POLLING_CONFIG } from "@/constants";
+
+/**
+ * Polling helpers shared by widget definitions and the scheduler
+ *
+ * A widget's refresh interval is an ordinary setting (`refreshInterval`),
+ * so it is validated, saved, undoable and edited in the generated settings
+ * form like any other. It doesn't change what is fetched, so it is a
+ * `display` field: kept out of the cache key, changing it doesn't refetch.
+ */
+
+/**
+ * Settings field for a widget type that supports automatic refresh
+ *
+ * @param {string} defaultInterval - Default in seconds, one of
+ *   POLLING_CONFIG.intervals ("0" = off)
+ * @returns {Object} Enum field descriptor for a settingsSchema
+ */
+export function refreshIntervalField(defaultInterval = "0") {
+  return {
+    type: "enum",
+    label: "Auto-refresh",
+    default: defaultInterval,
+    required: true,
+    options: POLLING_CONFIG.intervals,
+    description: "Paused while this tab is in the background",
+    display: true,
+  };
+}
+
+/**
+ * How often a widget refreshes itself
+ *
+ * @param {Object} widget
+ * @returns {number} Interval in ms, 0 when polling is off
+ */
+export function getRefreshInterval(widget) {
+  const seconds = Number(widget.settings?.refreshInterval);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Wait before polling again after consecutive failures
+ * Doubles with every failure, capped at POLLING_CONFIG.maxBackoffMs (or
+ * the interval itself if that is longer)
+ *
+ * @param {number} interval - Normal interval in ms
+ * @param {number} failures - Failed polls in a row
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(interval, failures) {
+  const cap = Math.max(interval, POLLING_CONFIG.maxBackoffMs);
+  return Math.min(interval * 2 ** failures, cap);
+}
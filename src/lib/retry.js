@@ -0,0 +1,60 @@
+import { RETRY_CONFIG } from "@/constants";
+
+/**
+ * Retry helpers for widget fetches
+ */
+
+/**
+ * Retry settings for a widget type, its own `retry` over the defaults
+ *
+ * @param {Object} [definition] - Registry definition of the widget type
+ * @returns {Object} { maxAttempts, baseDelayMs, maxDelayMs, jitter }
+ */
+export function getRetryConfig(definition) {
+  return { ...RETRY_CONFIG, ...definition?.retry };
+}
+
+/**
+ * Wait before the next attempt: exponential backoff with jitter
+ *
+ * JITTER: Randomizing part of each wait keeps widgets that failed together
+ * (e.g. when the network dropped) from all retrying in the same instant.
+ *
+ * @param {number} attempt - Attempts made so far (1 after the first failure)
+ * @param {Object} config - From getRetryConfig
+ * @param {Function} [random] - Source of randomness, 0 ≤ x < 1
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(attempt, config, random = Math.random) {
+  const delay = Math.min(
+    config.baseDelayMs * 2 ** (attempt - 1),
+    config.maxDelayMs
+  );
+  return Math.round(delay * (1 - config.jitter * random()));
+}
+
+/**
+ * Resolves after `ms`, or rejects with the abort reason as soon as the
+ * signal aborts
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
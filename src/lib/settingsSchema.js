@@ -0,0 +1,210 @@
+/**
+ * Settings Schema - Declarative widget configuration
+ *
+ * A widget type declares its settings as a plain object of field
+ * descriptors (`settingsSchema` in its registry definition). Everything
+ * else is derived from it: default settings for new widgets, validation,
+ * sanitizing saved data, and the settings form itself (see SettingsForm).
+ *
+ * FIELD DESCRIPTOR:
+ * {
+ *   type: "string" | "number" | "boolean" | "enum",
+ *   label: "Location",           // Form label
+ *   default: "New York",         // Value for new widgets
+ *   required: true,              // Empty values are rejected
+ *   description: "...",          // Optional help text under the field
+ *   placeholder: "e.g. London",  // string and number fields
+ *   minLength, maxLength,        // string fields
+ *   pattern: "^[A-Z]+$",         // string fields, tested after transform
+ *   patternMessage: "...",       // Error shown when pattern fails
+ *   transform: "uppercase",      // string fields: "uppercase" | "lowercase"
+ *   min, max, integer: true,     // number fields
+ *   options: ["a", "b"],         // enum fields: values or { value, label }
+ *   display: true,               // Doesn't change what is fetched (units,
+ *                                //   chart type, refresh interval): not
+ *                                //   in the cache key, so changing it
+ *                                //   doesn't refetch
+ * }
+ *
+ * All functions are pure, so the same rules apply in the form, in the
+ * data layer and when loading saved dashboards.
+ */
+
+const TRANSFORMS = {
+  uppercase: (value) => value.toUpperCase(),
+  lowercase: (value) => value.toLowerCase(),
+};
+
+/**
+ * Normalizes enum options to { value, label } pairs
+ *
+ * @param {Object} field - Enum field descriptor
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function getFieldOptions(field) {
+  return (field.options ?? []).map((option) =>
+    typeof option === "object" ? option : { value: option, label: option }
+  );
+}
+
+/**
+ * Builds the settings a new widget starts with
+ *
+ * @param {Object} [schema] - Settings schema of a widget type
+ * @returns {Object} Field name → default value
+ */
+export function getSchemaDefaults(schema = {}) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([name, field]) => [name, field.default])
+  );
+}
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+/**
+ * Coerces and validates a single value
+ *
+ * @param {Object} field - Field descriptor
+ * @param {*} raw - Value as entered (form inputs always give strings)
+ * @returns {{ value: *, error: string|null }}
+ */
+export function validateField(field, raw) {
+  const label = field.label ?? "This field";
+
+  switch (field.type) {
+    case "boolean":
+      return { value: Boolean(raw), error: null };
+
+    case "number": {
+      if (isEmpty(raw)) {
+        return field.required
+          ? { value: raw, error: `${label} is required` }
+          : { value: undefined, error: null };
+      }
+      const value = Number(raw);
+      if (!Number.isFinite(value)) {
+        return { value: raw, error: `${label} must be a number` };
+      }
+      if (field.integer && !Number.isInteger(value)) {
+        return { value, error: `${label} must be a whole number` };
+      }
+      if (field.min !== undefined && value < field.min) {
+        return { value, error: `${label} must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && value > field.max) {
+        return { value, error: `${label} must be at most ${field.max}` };
+      }
+      return { value, error: null };
+    }
+
+    case "enum": {
+      if (isEmpty(raw)) {
+        return field.required
+          ? { value: raw, error: `${label} is required` }
+          : { value: undefined, error: null };
+      }
+      const isOption = getFieldOptions(field).some(
+        (option) => option.value === raw
+      );
+      return isOption
+        ? { value: raw, error: null }
+        : { value: raw, error: `${label} must be one of the listed options` };
+    }
+
+    case "string": {
+      if (raw !== undefined && raw !== null && typeof raw !== "string") {
+        return { value: raw, error: `${label} must be text` };
+      }
+      let value = (raw ?? "").trim();
+      if (field.transform) value = TRANSFORMS[field.transform](value);
+
+      if (value === "") {
+        return field.required
+          ? { value, error: `${label} is required` }
+          : { value, error: null };
+      }
+      if (field.minLength !== undefined && value.length < field.minLength) {
+        return {
+          value,
+          error: `${label} must be at least ${field.minLength} characters`,
+        };
+      }
+      if (field.maxLength !== undefined && value.length > field.maxLength) {
+        return {
+          value,
+          error: `${label} must be at most ${field.maxLength} characters`,
+        };
+      }
+      if (field.pattern && !new RegExp(field.pattern).test(value)) {
+        return {
+          value,
+          error: field.patternMessage ?? `${label} is not valid`,
+        };
+      }
+      return { value, error: null };
+    }
+
+    default:
+      return { value: raw, error: `Unknown field type "${field.type}"` };
+  }
+}
+
+/**
+ * Validates a whole settings object against a schema
+ * Fields not declared in the schema are dropped.
+ *
+ * @param {Object} schema - Settings schema of a widget type
+ * @param {Object} settings - Values to check
+ * @returns {{ values: Object, errors: Object, isValid: boolean }}
+ *   Coerced values, and an error message per invalid field
+ */
+export function validateSettings(schema = {}, settings = {}) {
+  const values = {};
+  const errors = {};
+
+  Object.entries(schema).forEach(([name, field]) => {
+    const result = validateField(field, settings[name]);
+    values[name] = result.value;
+    if (result.error) errors[name] = result.error;
+  });
+
+  return { values, errors, isValid: Object.keys(errors).length === 0 };
+}
+
+/**
+ * The settings that decide what a widget fetches
+ * Fields marked `display: true` are left out, so widgets that differ only
+ * in how they show the same data share it.
+ *
+ * @param {Object} schema - Settings schema of a widget type
+ * @param {Object} settings - Widget settings
+ * @returns {Object} Settings without display-only fields
+ */
+export function getDataSettings(schema = {}, settings = {}) {
+  return Object.fromEntries(
+    Object.entries(settings).filter(([name]) => !schema[name]?.display)
+  );
+}
+
+/**
+ * Repairs settings from an untrusted source (e.g. localStorage)
+ * Invalid or missing fields fall back to their default, so a bad value
+ * costs that one setting, never the widget.
+ *
+ * @param {Object} schema - Settings schema of a widget type
+ * @param {*} settings - Saved settings, possibly malformed
+ * @returns {Object} Settings that pass validation
+ */
+export function sanitizeSettings(schema = {}, settings) {
+  const source = settings && typeof settings === "object" ? settings : {};
+  const { values, errors } = validateSettings(schema, source);
+  const defaults = getSchemaDefaults(schema);
+
+  return Object.fromEntries(
+    Object.keys(schema).map((name) => [
+      name,
+      errors[name] ? defaults[name] : values[name],
+    ])
+  );
+}
@@ -0,0 +1,21 @@
+import { describe, expect, it } from "vitest";
+
+import { refreshIntervalField } from "./polling";
+import { getDataSettings } from "./settingsSchema";
+
+describe("getDataSettings", () => {
+  it("leaves display fields, including the refresh interval, out", () => {
+    const schema = {
+      location: { type: "string" },
+      units: { type: "enum", options: ["metric"], display: true },
+      refreshInterval: refreshIntervalField("60"),
+    };
+    const settings = {
+      location: "Oslo",
+      units: "metric",
+      refreshInterval: "0",
+    };
+
+    expect(getDataSettings(schema, settings)).toEqual({ location: "Oslo" });
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * Returns localStorage when it is usable, otherwise null
+ * (private browsing modes and SSR can both make it throw on access)
+ */
+export function getLocalStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
@@ -1,7 +1,9 @@
 import { clsx } from "clsx";
 import { twMerge } from "tailwind-merge";
 
-import { WIDGET_TYPES } from "@/constants";
+import { SORT_ORDERS } from "@/constants";
+import { getSchemaDefaults } from "@/lib/settingsSchema";
+import { getWidgetDefinition, getWidgetDefinitions } from "@/widgets/registry";
 
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
@@ -11,6 +13,126 @@ export const generateWidgetId = () => {
   return `widget-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 };
 
+export const generateDashboardId = () => {
+  return `dashboard-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+export const generateTaskId = () => {
+  return `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+export const generateKpiId = () => {
+  return `kpi-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
 export const isValidWidgetType = (type) => {
-  return Object.keys(WIDGET_TYPES).includes(type.toUpperCase());
+  return getWidgetDefinition(type) !== undefined;
+};
+
+/**
+ * Settings schema of a widget type, undefined if it has no settings
+ */
+export const getSettingsSchema = (type) =>
+  getWidgetDefinition(type)?.settingsSchema;
+
+/**
+ * Settings a new widget of this type starts with
+ */
+export const getDefaultSettings = (type) =>
+  getSchemaDefaults(getSettingsSchema(type));
+
+/**
+ * Display name of a widget, falling back to its type id while the type
+ * isn't registered
+ */
+export const getWidgetName = (widget) =>
+  getWidgetDefinition(widget.type)?.name ?? widget.type;
+
+// Registration order; types that aren't registered (yet) go last
+const getTypeRank = (widget) => {
+  const rank = getWidgetDefinitions().findIndex(
+    (definition) => definition.id === widget.type
+  );
+  return rank === -1 ? Infinity : rank;
+};
+
+// Comparators for every non-custom sort order
+// Ties fall back to creation time so the result is deterministic
+const SORT_COMPARATORS = {
+  [SORT_ORDERS.ALPHABETICAL.id]: (a, b) =>
+    getWidgetName(a).localeCompare(getWidgetName(b)) ||
+    a.createdAt - b.createdAt,
+  [SORT_ORDERS.RECENT.id]: (a, b) => b.createdAt - a.createdAt,
+  // Widgets that were never refreshed sink to the bottom
+  [SORT_ORDERS.REFRESHED.id]: (a, b) =>
+    (b.lastUpdated ?? 0) - (a.lastUpdated ?? 0) || b.createdAt - a.createdAt,
+  [SORT_ORDERS.TYPE.id]: (a, b) =>
+    getTypeRank(a) - getTypeRank(b) || a.createdAt - b.createdAt,
+};
+
+/**
+ * Returns widgets in display order for the given sort order
+ *
+ * IMMUTABILITY: Always sorts a copy, the stored custom order is never touched
+ *
+ * @param {Array} widgets - Widgets in custom (stored) order
+ * @param {string} sortOrder - One of the SORT_ORDERS ids
+ * @returns {Array} Widgets in display order
+ */
+export const sortWidgets = (widgets, sortOrder) => {
+  const comparator = SORT_COMPARATORS[sortOrder];
+  return comparator ? [...widgets].sort(comparator) : widgets;
+};
+
+/**
+ * Short relative time for "updated X ago" labels
+ *
+ * @param {number} timestamp - Past moment in ms
+ * @param {number} now - Current time in ms
+ * @returns {string} e.g. "just now", "5 min ago", "2 h ago"
+ */
+export const formatTimeAgo = (timestamp, now) => {
+  const minutes = Math.floor(Math.max(0, now - timestamp) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} d ago`;
+};
+
+/**
+ * Fills `{name}` placeholders from an object, e.g. for REST urls
+ * Unknown placeholders are left as they are.
+ *
+ * @param {string} template - e.g. "/weather?city={location}"
+ * @param {Object} values - e.g. a widget's settings
+ * @param {Function} [encode] - Applied to each value (e.g. encodeURIComponent)
+ * @returns {string}
+ */
+export const fillTemplate = (template, values, encode = String) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    values[name] === undefined ? placeholder : encode(values[name])
+  );
+
+/**
+ * Maps items through an async task, running at most `limit` tasks at once
+ *
+ * @param {Array} items
+ * @param {number} limit - Maximum number of tasks in flight
+ * @param {Function} task - (item, index) => Promise
+ * @returns {Promise<Array>} Results in the order of `items`
+ */
+export const mapWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
 };
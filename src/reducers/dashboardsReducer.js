@@ -0,0 +1,68 @@
+import { DASHBOARD_ACTIONS } from "@/constants/dashboardActions";
+
+/**
+ * Dashboards Reducer
+ *
+ * Handles the list of dashboards (tabs) and which one is active. Widgets
+ * are not part of this state: each dashboard's widgets are owned by
+ * useWidgets while it is on screen and by persistenceService otherwise.
+ *
+ * State shape: { dashboards: [{ id, name, createdAt }], activeId }
+ *
+ * @param {Object} state - Current dashboards state
+ * @param {Object} action - One of DASHBOARD_ACTIONS
+ * @returns {Object} New state
+ */
+export function dashboardsReducer(state, action) {
+  switch (action.type) {
+    // ADD_DASHBOARD: Inserts a dashboard built by the caller (after
+    // `afterId`, e.g. next to the one it duplicates, or last) and opens it
+    case DASHBOARD_ACTIONS.ADD_DASHBOARD: {
+      const { dashboard, afterId } = action.payload;
+      const index = state.dashboards.findIndex(({ id }) => id === afterId);
+      const dashboards = [...state.dashboards];
+      dashboards.splice(
+        index === -1 ? dashboards.length : index + 1,
+        0,
+        dashboard
+      );
+      return { dashboards, activeId: dashboard.id };
+    }
+
+    // RENAME_DASHBOARD: Replaces a dashboard's name
+    case DASHBOARD_ACTIONS.RENAME_DASHBOARD:
+      return {
+        ...state,
+        dashboards: state.dashboards.map((dashboard) =>
+          dashboard.id === action.payload.id
+            ? { ...dashboard, name: action.payload.name }
+            : dashboard
+        ),
+      };
+
+    // REMOVE_DASHBOARD: Removes a dashboard, never the last one. Removing
+    // the active dashboard opens its neighbour.
+    case DASHBOARD_ACTIONS.REMOVE_DASHBOARD: {
+      const index = state.dashboards.findIndex(
+        ({ id }) => id === action.payload
+      );
+      if (index === -1 || state.dashboards.length === 1) return state;
+
+      const dashboards = state.dashboards.filter((_, i) => i !== index);
+      const activeId =
+        state.activeId === action.payload
+          ? dashboards[Math.min(index, dashboards.length - 1)].id
+          : state.activeId;
+      return { dashboards, activeId };
+    }
+
+    // SELECT_DASHBOARD: Switches tabs
+    case DASHBOARD_ACTIONS.SELECT_DASHBOARD:
+      return state.dashboards.some(({ id }) => id === action.payload)
+        ? { ...state, activeId: action.payload }
+        : state;
+
+    default:
+      return state;
+  }
+}
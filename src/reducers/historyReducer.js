@@ -0,0 +1,113 @@
+import { HISTORY_ACTIONS } from "@/constants/widgetActions";
+
+// Undo steps kept in memory; the oldest are dropped first
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Builds the initial history state around a present value
+ *
+ * @param {*} present - Current state of the wrapped reducer
+ * @returns {Object} { past, present, future, lastChange }
+ */
+export function createHistory(present) {
+  return { past: [], present, future: [], lastChange: null };
+}
+
+/**
+ * Undo/Redo Higher-Order Reducer
+ *
+ * ARCHITECTURE:
+ * Wraps any reducer without changing it. The wrapped reducer keeps handling
+ * every action on `present`; this layer only decides which results become
+ * undo steps.
+ *
+ * WHAT GETS RECORDED:
+ * Only actions listed in `trackedActions`, i.e. the edits a user would call
+ * "something I did". Background updates (fetched data, loading and error
+ * flags) change `present` without touching the stacks, so undo never
+ * steps through data churn.
+ *
+ * PERMANENT CHANGES:
+ * Actions listed in `permanentActions` are applied to every snapshot as
+ * well, so no undo or redo can revert them (e.g. a widget that left for
+ * another dashboard, where this history can't follow it).
+ *
+ * IMMUTABILITY: Snapshots are the wrapped reducer's own immutable states,
+ * so keeping them costs references, not copies.
+ *
+ * @param {Function} reducer - Reducer to wrap
+ * @param {Object} options
+ * @param {Array<string>} options.trackedActions - Action types that become undo steps
+ * @param {Array<string>} [options.permanentActions] - Action types that
+ *   rewrite the whole history instead
+ * @param {Function} [options.restore] - (snapshot, present) => state, merges a
+ *   snapshot back in; defaults to using the snapshot as-is
+ * @param {number} [options.limit] - Maximum number of undo steps
+ * @returns {Function} Reducer over { past, present, future, lastChange }
+ */
+export function withHistory(
+  reducer,
+  {
+    trackedActions,
+    permanentActions = [],
+    restore = (snapshot) => snapshot,
+    limit = DEFAULT_LIMIT,
+  }
+) {
+  const tracked = new Set(trackedActions);
+  const permanent = new Set(permanentActions);
+
+  return function historyReducer(state, action) {
+    const { past, present, future } = state;
+
+    switch (action.type) {
+      // UNDO: The latest snapshot becomes present, present moves to future
+      case HISTORY_ACTIONS.UNDO: {
+        if (past.length === 0) return state;
+        return {
+          past: past.slice(0, -1),
+          present: restore(past[past.length - 1], present),
+          future: [present, ...future],
+          lastChange: null,
+        };
+      }
+
+      // REDO: Mirror image of UNDO
+      case HISTORY_ACTIONS.REDO: {
+        if (future.length === 0) return state;
+        return {
+          past: [...past, present],
+          present: restore(future[0], present),
+          future: future.slice(1),
+          lastChange: null,
+        };
+      }
+
+      default: {
+        const next = reducer(present, action);
+        if (next === present) return state;
+
+        // Permanent: every snapshot changes the same way, nothing to undo
+        if (permanent.has(action.type)) {
+          return {
+            past: past.map((snapshot) => reducer(snapshot, action)),
+            present: next,
+            future: future.map((snapshot) => reducer(snapshot, action)),
+            lastChange: null,
+          };
+        }
+
+        // Untracked: update present in place, the stacks stay valid
+        if (!tracked.has(action.type)) return { ...state, present: next };
+
+        // Tracked: a new edit invalidates everything that could be redone
+        return {
+          past: [...past, present].slice(-limit),
+          present: next,
+          future: [],
+          lastChange: action,
+        };
+      }
+    }
+  };
+}
@@ -1 +1,5 @@
+export { dashboardsReducer } from "./dashboardsReducer";
+export { createHistory, withHistory } from "./historyReducer";
+export { tasksReducer } from "./tasksReducer";
+export { widgetHistoryReducer } from "./widgetHistoryReducer";
 export { widgetReducer } from "./widgetReducer";
@@ -0,0 +1,56 @@
+import { WIDGET_ACTIONS } from "@/constants/widgetActions";
+
+/**
+ * Task List Reducer
+ *
+ * Handles the items of one Task List widget (`widget.content.items`).
+ * widgetReducer finds the widget by `payload.widgetId` and delegates here,
+ * so this reducer only ever sees a single list.
+ *
+ * Task shape: { id, text, completed, createdAt }
+ *
+ * @param {Array} items - Current tasks of the widget
+ * @param {Object} action - One of the *_TASK(S) actions
+ * @returns {Array} New tasks array
+ */
+export function tasksReducer(items, action) {
+  switch (action.type) {
+    // ADD_TASK: Appends a task built by the caller (id and timestamp
+    // are generated outside so the reducer stays pure)
+    case WIDGET_ACTIONS.ADD_TASK:
+      return [...items, action.payload.task];
+
+    // RENAME_TASK: Replaces a task's text
+    case WIDGET_ACTIONS.RENAME_TASK:
+      return items.map((item) =>
+        item.id === action.payload.taskId
+          ? { ...item, text: action.payload.text }
+          : item
+      );
+
+    // TOGGLE_TASK: Flips a task between open and completed
+    case WIDGET_ACTIONS.TOGGLE_TASK:
+      return items.map((item) =>
+        item.id === action.payload.taskId
+          ? { ...item, completed: !item.completed }
+          : item
+      );
+
+    // DELETE_TASK: Removes a task
+    case WIDGET_ACTIONS.DELETE_TASK:
+      return items.filter((item) => item.id !== action.payload.taskId);
+
+    // REORDER_TASKS: Moves one task to another position (list semantics,
+    // unlike the widget grid where a reorder is a swap)
+    case WIDGET_ACTIONS.REORDER_TASKS: {
+      const { fromIndex, toIndex } = action.payload;
+      const reordered = [...items];
+      const [moved] = reordered.splice(fromIndex, 1);
+      reordered.splice(toIndex, 0, moved);
+      return reordered;
+    }
+
+    default:
+      return items;
+  }
+}
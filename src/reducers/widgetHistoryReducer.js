@@ -0,0 +1,67 @@
+import { WIDGET_ACTIONS } from "@/constants/widgetActions";
+import { withHistory } from "./historyReducer";
+import { widgetReducer } from "./widgetReducer";
+
+// Fields that follow the data source rather than the user's edits
+const TRANSIENT_FIELDS = ["data", "loading", "error", "lastUpdated"];
+
+// Content that changes without an undo step (news read state)
+const UNTRACKED_CONTENT_FIELDS = ["readIds"];
+
+/**
+ * Puts a history snapshot back without rewinding fetched data.
+ * Widgets that still exist keep their current data and loading flags, so
+ * undoing a drag never brings back stale prices or a finished spinner,
+ * and their untracked content, so it never marks articles unread again.
+ * Widgets that come back from the dead keep what they had when removed.
+ */
+function restoreWidgets(snapshot, present) {
+  const current = new Map(present.map((widget) => [widget.id, widget]));
+  return snapshot.map((widget) => {
+    const live = current.get(widget.id);
+    if (!live) return widget;
+    const restored = TRANSIENT_FIELDS.reduce(
+      (next, field) => ({ ...next, [field]: live[field] }),
+      widget
+    );
+    const content = UNTRACKED_CONTENT_FIELDS.filter(
+      (field) => live.content?.[field] !== undefined
+    ).reduce(
+      (next, field) => ({ ...next, [field]: live.content[field] }),
+      restored.content
+    );
+    return { ...restored, content };
+  });
+}
+
+/**
+ * Widget reducer with undo/redo
+ *
+ * Records the edits a user makes on purpose: adding, removing, dragging,
+ * resizing and reconfiguring widgets, and editing their content (tasks,
+ * notes, KPIs).
+ * Data fetching goes through untracked, and so does reading articles: it's
+ * a side effect of browsing, not an edit. A widget moved to another
+ * dashboard is removed from every snapshot, so undo never brings back a
+ * second copy of it.
+ */
+export const widgetHistoryReducer = withHistory(widgetReducer, {
+  trackedActions: [
+    WIDGET_ACTIONS.ADD_WIDGET,
+    WIDGET_ACTIONS.REMOVE_WIDGET,
+    WIDGET_ACTIONS.REORDER_WIDGETS,
+    WIDGET_ACTIONS.MOVE_WIDGET,
+    WIDGET_ACTIONS.RESIZE_WIDGET,
+    WIDGET_ACTIONS.UPDATE_WIDGET_SETTINGS,
+    WIDGET_ACTIONS.IMPORT_WIDGETS,
+    WIDGET_ACTIONS.ADD_TASK,
+    WIDGET_ACTIONS.RENAME_TASK,
+    WIDGET_ACTIONS.TOGGLE_TASK,
+    WIDGET_ACTIONS.DELETE_TASK,
+    WIDGET_ACTIONS.REORDER_TASKS,
+    WIDGET_ACTIONS.UPDATE_NOTE,
+    WIDGET_ACTIONS.UPDATE_KPIS,
+  ],
+  permanentActions: [WIDGET_ACTIONS.TRANSFER_WIDGET],
+  restore: restoreWidgets,
+});
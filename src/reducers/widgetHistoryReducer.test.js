@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+
+import { HISTORY_ACTIONS, WIDGET_ACTIONS } from "@/constants/widgetActions";
+
+import { createHistory } from "./historyReducer";
+import { widgetHistoryReducer } from "./widgetHistoryReducer";
+
+const createWidget = (id) => ({ id, type: "notes", layouts: {} });
+
+describe("widgetHistoryReducer", () => {
+  it("never brings back a widget moved to another dashboard", () => {
+    const actions = [
+      { type: WIDGET_ACTIONS.REMOVE_WIDGET, payload: "removed" },
+      { type: WIDGET_ACTIONS.TRANSFER_WIDGET, payload: "moved" },
+      { type: HISTORY_ACTIONS.UNDO },
+    ];
+    const state = actions.reduce(
+      widgetHistoryReducer,
+      createHistory(["kept", "removed", "moved"].map(createWidget))
+    );
+
+    expect(state.present.map(({ id }) => id)).toEqual(["kept", "removed"]);
+    expect(state.future[0].map(({ id }) => id)).toEqual(["kept"]);
+  });
+
+  it("keeps the read articles when another edit is undone", () => {
+    const news = { id: "news", type: "news", content: { readIds: [] } };
+    const actions = [
+      { type: WIDGET_ACTIONS.REMOVE_WIDGET, payload: "removed" },
+      {
+        type: WIDGET_ACTIONS.SET_ARTICLES_READ,
+        payload: { widgetId: "news", articleIds: ["a1"], read: true },
+      },
+      { type: HISTORY_ACTIONS.UNDO },
+    ];
+    const state = actions.reduce(
+      widgetHistoryReducer,
+      createHistory([news, createWidget("removed")])
+    );
+
+    expect(state.present.map(({ id }) => id)).toEqual(["news", "removed"]);
+    expect(state.present[0].content.readIds).toEqual(["a1"]);
+  });
+});
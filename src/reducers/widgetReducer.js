@@ -1,4 +1,79 @@
-import { WIDGET_ACTIONS } from "@/constants/widgetTypes";
+import { WIDGET_ACTIONS } from "@/constants/widgetActions";
+import {
+  applyLayout,
+  compactLayout,
+  getBreakpointCols,
+  getStoredBreakpoints,
+  getWidgetLayout,
+  moveItem,
+  normalizeLayouts,
+  resizeItem,
+  swapItems,
+} from "@/lib/gridLayout";
+import { tasksReducer } from "./tasksReducer";
+
+/**
+ * Runs a layout engine operation on one breakpoint and stores the result.
+ * A breakpoint that was only derived so far becomes an arranged one here,
+ * the first time the user edits it.
+ */
+function updateLayout(state, breakpoint, operation) {
+  const layout = getWidgetLayout(state, breakpoint);
+  return applyLayout(
+    state,
+    operation(layout, getBreakpointCols(breakpoint)),
+    breakpoint
+  );
+}
+
+/**
+ * Stores a layout for widgets that have none yet (just added) in every
+ * breakpoint the user has arranged; other breakpoints derive it on read
+ */
+function placeNewWidgets(widgets) {
+  return getStoredBreakpoints(widgets).reduce(
+    (next, breakpoint) =>
+      applyLayout(next, getWidgetLayout(next, breakpoint), breakpoint),
+    widgets
+  );
+}
+
+/**
+ * Replaces one widget's content with updater(content).
+ * Content is the user-owned part of a widget (e.g. its tasks), as opposed
+ * to `data`, which a refresh replaces.
+ * Returns the same state when the widget is gone or the updater returns the
+ * content unchanged, so no-op edits never become undo steps.
+ */
+function updateContent(state, widgetId, updater) {
+  const widget = state.find((candidate) => candidate.id === widgetId);
+  if (!widget) return state;
+
+  const content = widget.content ?? {};
+  const nextContent = updater(content);
+  if (nextContent === content) return state;
+
+  return state.map((candidate) =>
+    candidate === widget ? { ...widget, content: nextContent } : candidate
+  );
+}
+
+// Read article ids kept per widget; older ones have left the feed anyway
+const MAX_READ_IDS = 200;
+
+/**
+ * Marks articles read or unread in a read-id list
+ * Returns the same list when nothing changes (see updateContent).
+ */
+function setReadIds(readIds, articleIds, read) {
+  const current = new Set(readIds);
+  const changed = articleIds.filter((id) => current.has(id) !== read);
+  if (changed.length === 0) return readIds;
+
+  return read
+    ? [...readIds, ...changed].slice(-MAX_READ_IDS)
+    : readIds.filter((id) => !changed.includes(id));
+}
 
 /**
  * Widget Reducer - Central State Management
@@ -18,27 +93,73 @@ import { WIDGET_ACTIONS } from "@/constants/widgetTypes";
  */
 export function widgetReducer(state, action) {
   switch (action.type) {
-    // ADD_WIDGET: Appends a new widget to the end of the array
+    // ADD_WIDGET: Appends a new widget and gives it a free grid cell in
+    // every breakpoint the user has arranged (others derive it on read)
     // IMMUTABILITY: Uses spread operator to create new array
     case WIDGET_ACTIONS.ADD_WIDGET:
-      return [...state, action.payload];
+      return placeNewWidgets([...state, action.payload]);
 
-    // REMOVE_WIDGET: Filters out the widget with matching ID
-    // IMMUTABILITY: filter() creates a new array, doesn't mutate original
+    // IMPORT_WIDGETS: "replace" swaps in the imported widgets with their own
+    // layouts (repaired if they overlap); "merge" appends them like new
+    // widgets, each taking the next free cell in its exported order
+    case WIDGET_ACTIONS.IMPORT_WIDGETS: {
+      const { widgets, mode } = action.payload;
+      if (mode === "replace") return normalizeLayouts(widgets);
+      return placeNewWidgets([
+        ...state,
+        ...widgets.map((widget) => ({ ...widget, layouts: {} })),
+      ]);
+    }
+
+    // REMOVE_WIDGET / TRANSFER_WIDGET: Filters out the widget with matching ID
+    // LAYOUT: Remaining widgets compact upward into the freed space
     case WIDGET_ACTIONS.REMOVE_WIDGET:
-      return state.filter((widget) => widget.id !== action.payload);
+    case WIDGET_ACTIONS.TRANSFER_WIDGET: {
+      if (!state.some((widget) => widget.id === action.payload)) return state;
+      const remaining = state.filter((widget) => widget.id !== action.payload);
+      return getStoredBreakpoints(remaining).reduce(
+        (next, breakpoint) =>
+          updateLayout(next, breakpoint, (layout) => compactLayout(layout)),
+        remaining
+      );
+    }
 
-    // REORDER_WIDGETS: Implements drag-and-drop reordering
-    // ALGORITHM: Remove from source index, insert at destination index
-    // IMMUTABILITY: Creates new array, splices don't affect original state
+    // REORDER_WIDGETS: Implements index-based drag-and-drop reordering
+    // ALGORITHM: The widget at fromIndex swaps grid cells with the widget at
+    // toIndex in the active breakpoint, then the layout reflows
     case WIDGET_ACTIONS.REORDER_WIDGETS: {
-      const { fromIndex, toIndex } = action.payload;
-      const newState = [...state]; // Create shallow copy
-      const [removed] = newState.splice(fromIndex, 1); // Remove from original position
-      newState.splice(toIndex, 0, removed); // Insert at new position
-      return newState;
+      const { fromIndex, toIndex, breakpoint } = action.payload;
+      return updateLayout(state, breakpoint, (layout, cols) =>
+        swapItems(layout, state[fromIndex].id, state[toIndex].id, cols)
+      );
+    }
+
+    // MOVE_WIDGET: Drops a widget onto a specific grid cell
+    // Colliding neighbours are pushed down and the grid compacts upward
+    case WIDGET_ACTIONS.MOVE_WIDGET: {
+      const { fromIndex, x, y, breakpoint } = action.payload;
+      return updateLayout(state, breakpoint, (layout, cols) =>
+        moveItem(layout, state[fromIndex].id, x, y, cols)
+      );
+    }
+
+    // RESIZE_WIDGET: Changes a widget's size from its corner handle
+    case WIDGET_ACTIONS.RESIZE_WIDGET: {
+      const { id, w, h, breakpoint } = action.payload;
+      return updateLayout(state, breakpoint, (layout, cols) =>
+        resizeItem(layout, id, w, h, cols)
+      );
     }
 
+    // UPDATE_WIDGET_SETTINGS: Replaces a widget's user settings
+    // The caller refetches, since data for the old settings is now stale
+    case WIDGET_ACTIONS.UPDATE_WIDGET_SETTINGS:
+      return state.map((widget) =>
+        widget.id === action.payload.id
+          ? { ...widget, settings: action.payload.settings }
+          : widget
+      );
+
     // UPDATE_WIDGET_DATA: Updates widget data after successful API fetch
     // IMMUTABILITY: map() creates new array; spread operators create new objects
     // ARCHITECTURE: Clears loading and error states upon successful update
@@ -51,6 +172,7 @@ export function widgetReducer(state, action) {
                 data: action.payload.data, // Update data
                 loading: false, // Clear loading state
                 error: null, // Clear any previous errors
+                lastUpdated: action.payload.lastUpdated, // When data arrived
               }
             : widget // Return unchanged widgets as-is
       );
@@ -65,6 +187,7 @@ export function widgetReducer(state, action) {
       );
 
     // SET_WIDGET_ERROR: Sets error state when API fetch fails
+    // Error shape: { message, transient, attempts, maxAttempts, nextRetryAt }
     // ARCHITECTURE: Automatically clears loading state on error
     case WIDGET_ACTIONS.SET_WIDGET_ERROR:
       return state.map((widget) =>
@@ -73,6 +196,51 @@ export function widgetReducer(state, action) {
           : widget
       );
 
+    // TASK ACTIONS: Edit the items of a Task List widget
+    // DELEGATION: tasksReducer owns the list logic, this only finds the widget
+    case WIDGET_ACTIONS.ADD_TASK:
+    case WIDGET_ACTIONS.RENAME_TASK:
+    case WIDGET_ACTIONS.TOGGLE_TASK:
+    case WIDGET_ACTIONS.DELETE_TASK:
+    case WIDGET_ACTIONS.REORDER_TASKS:
+      return updateContent(state, action.payload.widgetId, (content) => ({
+        ...content,
+        items: tasksReducer(content.items ?? [], action),
+      }));
+
+    // UPDATE_NOTE: Saves the text of a Notes widget
+    // Saving the text it already has is a no-op (see updateContent)
+    case WIDGET_ACTIONS.UPDATE_NOTE:
+      return updateContent(state, action.payload.widgetId, (content) =>
+        content.text === action.payload.text
+          ? content
+          : { ...content, text: action.payload.text }
+      );
+
+    // UPDATE_KPIS: Saves the KPI list of a Stats widget
+    // The editor validates the list and saves it in one go, one undo step
+    case WIDGET_ACTIONS.UPDATE_KPIS:
+      return updateContent(state, action.payload.widgetId, (content) => ({
+        ...content,
+        kpis: action.payload.kpis,
+      }));
+
+    // SET_ARTICLES_READ: Marks News Feed articles read or unread
+    // Not an undo step, and undo keeps the current read state
+    // Payload: { widgetId, articleIds, read }
+    case WIDGET_ACTIONS.SET_ARTICLES_READ:
+      return updateContent(state, action.payload.widgetId, (content) => {
+        const readIds = content.readIds ?? [];
+        const nextReadIds = setReadIds(
+          readIds,
+          action.payload.articleIds,
+          action.payload.read
+        );
+        return nextReadIds === readIds
+          ? content
+          : { ...content, readIds: nextReadIds };
+      });
+
     // DEFAULT: Return state unchanged for unknown actions
     // Prevents crashes and makes reducer more resilient
     default:
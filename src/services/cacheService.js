@@ -0,0 +1,196 @@
+import { CACHE_CONFIG } from "@/constants";
+import { getEntryStatus } from "@/lib/cache";
+
+import {
+  createIndexedDbBackend,
+  createLocalStorageBackend,
+  createMemoryBackend,
+} from "./cacheStorage";
+
+// Quiet period before changes are written to the storage backend
+const PERSIST_DELAY_MS = 500;
+
+/**
+ * Cache Service - bounded, persistent key/value cache for widget data
+ *
+ * ARCHITECTURE:
+ * Entries `{ data, storedAt, ttl, meta }` live in a Map whose insertion
+ * order doubles as the LRU order: reading or writing a key moves it to the
+ * end, and the first keys are evicted once there are more than maxEntries.
+ * `meta` is free-form (e.g. the widget type) for the cache inspector.
+ *
+ * STALE-WHILE-REVALIDATE: get() keeps returning an entry for maxStaleMs
+ * after its TTL, marked "stale", so callers can show it while they fetch
+ * a replacement. Expired entries are evicted on read and by a periodic
+ * sweep, so they never pile up unread.
+ *
+ * PERSISTENCE: Entries are loaded from `backend` once (`ready`) and every
+ * change is written back, debounced. Entries set before loading finished
+ * win over saved ones. A cache hit only reorders the LRU in memory; the
+ * new order is saved with the next change.
+ *
+ * SUBSCRIPTIONS: subscribe/getSnapshot follow the useSyncExternalStore
+ * contract; the snapshot lists entries without their data, most recent
+ * first, and only changes identity when entries are added, replaced or
+ * removed. Hits don't notify, so its order catches up with the next change.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries]
+ * @param {number} [options.maxStaleMs] - 0 turns stale entries off
+ * @param {number} [options.sweepIntervalMs]
+ * @param {Object} [options.backend] - See services/cacheStorage
+ * @returns {Object} Cache instance
+ */
+export function createCache({
+  maxEntries = CACHE_CONFIG.maxEntries,
+  maxStaleMs = CACHE_CONFIG.maxStaleMs,
+  sweepIntervalMs = CACHE_CONFIG.sweepIntervalMs,
+  backend = createMemoryBackend(),
+} = {}) {
+  const entries = new Map();
+  const listeners = new Set();
+  let snapshot = [];
+  let isHydrated = false;
+  let persistTimer = null;
+
+  const persist = () => {
+    if (!isHydrated) return; // Hydration writes once it is done
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      backend.save([...entries]);
+    }, PERSIST_DELAY_MS);
+  };
+
+  const changed = () => {
+    snapshot = [...entries]
+      .map(([key, { storedAt, ttl, meta }]) => ({ key, storedAt, ttl, meta }))
+      .reverse();
+    listeners.forEach((notify) => notify());
+    persist();
+  };
+
+  // Drops expired entries, then the least recently used beyond maxEntries
+  const evict = (now = Date.now()) => {
+    let evicted = false;
+    entries.forEach((entry, key) => {
+      if (getEntryStatus(entry, now, maxStaleMs) === "expired") {
+        entries.delete(key);
+        evicted = true;
+      }
+    });
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries) break;
+      entries.delete(key);
+      evicted = true;
+    }
+    return evicted;
+  };
+
+  const ready = backend.load().then((saved) => {
+    const current = [...entries];
+    entries.clear();
+    saved.forEach(([key, entry]) => {
+      if (typeof entry?.storedAt === "number") entries.set(key, entry);
+    });
+    current.forEach(([key, entry]) => {
+      entries.delete(key);
+      entries.set(key, entry);
+    });
+    evict();
+    isHydrated = true;
+    changed();
+  });
+
+  const sweep = setInterval(() => {
+    if (evict()) changed();
+  }, sweepIntervalMs);
+  sweep.unref?.(); // Never keeps a non-browser process alive
+
+  return {
+    /**
+     * Resolves once saved entries are loaded; read after it to use them
+     */
+    ready,
+
+    /**
+     * @param {string} key
+     * @returns {Object|null} { data, storedAt, ttl, meta, status } where
+     *   status is "fresh" or "stale", or null on a miss
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      const status = getEntryStatus(entry, Date.now(), maxStaleMs);
+      entries.delete(key);
+      if (status === "expired") {
+        changed();
+        return null;
+      }
+      // Most recent now; a hit changes nothing else, so nobody is told
+      entries.set(key, entry);
+      return { ...entry, status };
+    },
+
+    /**
+     * @param {string} key
+     * @param {*} data - Must be JSON-serializable to survive reloads
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Milliseconds the entry stays fresh
+     * @param {Object} [options.meta] - Shown by the cache inspector
+     */
+    set(key, data, { ttl = CACHE_CONFIG.defaultTtlMs, meta = {} } = {}) {
+      entries.delete(key);
+      entries.set(key, { data, storedAt: Date.now(), ttl, meta });
+      evict();
+      changed();
+    },
+
+    delete(key) {
+      if (entries.delete(key)) changed();
+    },
+
+    clear() {
+      entries.clear();
+      changed();
+    },
+
+    size: () => entries.size,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getSnapshot: () => snapshot,
+
+    /**
+     * Stops the sweep timer (for caches that are thrown away)
+     */
+    dispose() {
+      clearInterval(sweep);
+      clearTimeout(persistTimer);
+    },
+  };
+}
+
+/**
+ * Backend picked by CACHE_CONFIG.storage, falling back to memory where the
+ * requested storage is missing
+ */
+function createConfiguredBackend() {
+  switch (CACHE_CONFIG.storage) {
+    case "indexedDB":
+      return (
+        createIndexedDbBackend(CACHE_CONFIG.storageKey) ?? createMemoryBackend()
+      );
+    case "memory":
+      return createMemoryBackend();
+    default:
+      return createLocalStorageBackend(CACHE_CONFIG.storageKey);
+  }
+}
+
+// The app-wide cache for fetched widget data
+export const widgetCache = createCache({ backend: createConfiguredBackend() });
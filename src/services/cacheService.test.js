@@ -0,0 +1,26 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+import { createCache } from "./cacheService";
+
+describe("createCache", () => {
+  let cache;
+  afterEach(() => cache.dispose());
+
+  it("notifies subscribers on writes but not on hits", async () => {
+    cache = createCache();
+    await cache.ready;
+    const listener = vi.fn();
+    cache.subscribe(listener);
+
+    cache.set("a", 1);
+    cache.set("b", 2);
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    expect(cache.get("a").data).toBe(1);
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    // The hit still counts for eviction: "b" is now the oldest
+    cache.set("c", 3);
+    expect(cache.getSnapshot().map(({ key }) => key)).toEqual(["c", "a", "b"]);
+  });
+});
@@ -0,0 +1,107 @@
+import { getLocalStorage } from "@/lib/storage";
+
+/**
+ * Cache Storage Backends - where cached widget data survives reloads
+ *
+ * Every backend has the same async interface, so the cache never knows
+ * which one it talks to:
+ * - `load()` resolves to the saved `[key, entry]` pairs (oldest first)
+ * - `save(entries)` replaces them
+ *
+ * RESILIENCE: Backends never reject. Unreadable data loads as empty and a
+ * failed write (quota, private mode) only logs, like persistenceService.
+ */
+
+/**
+ * Keeps nothing: the cache lives for the page only
+ */
+export function createMemoryBackend() {
+  return {
+    load: async () => [],
+    save: async () => {},
+  };
+}
+
+/**
+ * Saves all entries as one JSON value under `key`
+ *
+ * @param {string} key - localStorage key
+ */
+export function createLocalStorageBackend(key) {
+  return {
+    load: async () => {
+      try {
+        const entries = JSON.parse(getLocalStorage()?.getItem(key) ?? "[]");
+        return Array.isArray(entries) ? entries : [];
+      } catch {
+        return [];
+      }
+    },
+    save: async (entries) => {
+      try {
+        getLocalStorage()?.setItem(key, JSON.stringify(entries));
+      } catch (error) {
+        console.warn("Failed to save widget cache:", error);
+      }
+    },
+  };
+}
+
+const IDB_STORE = "entries";
+const IDB_RECORD = "cache";
+
+/**
+ * Saves all entries as a single IndexedDB record
+ *
+ * PERFORMANCE: IndexedDB has far more room than localStorage and writes
+ * off the main thread, so it suits larger payloads (news lists, charts).
+ * One record keeps the LRU order without an index.
+ *
+ * @param {string} dbName - Database name
+ * @returns {Object|null} Backend, or null where IndexedDB is unavailable
+ */
+export function createIndexedDbBackend(dbName) {
+  if (typeof indexedDB === "undefined") return null;
+
+  let dbPromise = null;
+  const openDb = () => {
+    dbPromise ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore(IDB_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return dbPromise;
+  };
+
+  // Runs one request in its own transaction
+  const run = async (mode, makeRequest) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(
+        db.transaction(IDB_STORE, mode).objectStore(IDB_STORE)
+      );
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    load: async () => {
+      try {
+        const entries = await run("readonly", (store) => store.get(IDB_RECORD));
+        return Array.isArray(entries) ? entries : [];
+      } catch {
+        return [];
+      }
+    },
+    save: async (entries) => {
+      try {
+        await run("readwrite", (store) => store.put(entries, IDB_RECORD));
+      } catch (error) {
+        console.warn("Failed to save widget cache:", error);
+      }
+    },
+  };
+}
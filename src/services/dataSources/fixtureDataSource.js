@@ -0,0 +1,36 @@
+import { WidgetFetchError } from "@/lib/errors";
+import { fillTemplate } from "@/lib/utils";
+
+// Fills placeholders in every string of a fixture, however deeply nested
+const fillFixture = (value, settings) => {
+  if (typeof value === "string") return fillTemplate(value, settings);
+  if (Array.isArray(value))
+    return value.map((item) => fillFixture(item, settings));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        fillFixture(item, settings),
+      ])
+    );
+  }
+  return value;
+};
+
+/**
+ * Fixture data source: the widget type's static `fixture` JSON
+ *
+ * Deterministic and instant, for demos, screenshots and tests. Strings may
+ * contain `{setting}` placeholders (e.g. "location": "{location}") so the
+ * same fixture follows each widget's settings.
+ */
+export const fixtureDataSource = {
+  fetch: async (definition, settings) => {
+    if (definition.fixture === undefined) {
+      throw new WidgetFetchError(`${definition.name} has no fixture data`, {
+        transient: false,
+      });
+    }
+    return fillFixture(definition.fixture, settings);
+  },
+};
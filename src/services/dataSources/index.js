@@ -0,0 +1,62 @@
+import { DATA_SOURCE_CONFIG, DATA_SOURCES } from "@/constants";
+import { DEFAULT_DATA_SOURCE } from "@/lib/dataSource";
+import { WidgetFetchError } from "@/lib/errors";
+
+import { fixtureDataSource } from "./fixtureDataSource";
+import { mockDataSource } from "./mockDataSource";
+import { restDataSource } from "./restDataSource";
+
+/**
+ * Data Source Adapters
+ *
+ * ARCHITECTURE:
+ * widgetService doesn't know where data comes from; it asks the adapter
+ * picked for the widget (its own `dataSource` setting, or its type).
+ * Every adapter has the same shape:
+ * `fetch(definition, settings, { signal }) => Promise<data>`, so adding a
+ * source (GraphQL, WebSocket snapshot...) means one more entry here.
+ */
+const ADAPTERS = {
+  [DATA_SOURCES.MOCK]: mockDataSource,
+  [DATA_SOURCES.REST]: restDataSource,
+  [DATA_SOURCES.FIXTURE]: fixtureDataSource,
+};
+
+/**
+ * Which data source a widget uses (see constants/dataSources.js)
+ *
+ * @param {Object} definition - Registry definition of the widget type
+ * @param {Object} [settings] - The widget's settings, whose `dataSource`
+ *   (see lib/dataSource) wins over everything set for the type
+ * @returns {string} One of DATA_SOURCES
+ */
+export function getDataSourceId(definition, settings = {}) {
+  if (settings.dataSource && settings.dataSource !== DEFAULT_DATA_SOURCE) {
+    return settings.dataSource;
+  }
+  const envKey = `VITE_DATA_SOURCE_${definition.id.toUpperCase().replace(/-/g, "_")}`;
+  return (
+    import.meta.env[envKey] ||
+    definition.dataSource ||
+    DATA_SOURCE_CONFIG.defaultSource
+  );
+}
+
+/**
+ * The adapter to fetch a widget's data with
+ *
+ * @param {Object} definition - Registry definition of the widget type
+ * @param {Object} [settings] - The widget's settings
+ * @returns {Object} Adapter with fetch(definition, settings, { signal })
+ * @throws {WidgetFetchError} Permanent error for an unknown source id
+ */
+export function getDataSource(definition, settings) {
+  const id = getDataSourceId(definition, settings);
+  const adapter = ADAPTERS[id];
+  if (!adapter) {
+    throw new WidgetFetchError(`Unknown data source "${id}"`, {
+      transient: false,
+    });
+  }
+  return adapter;
+}
@@ -0,0 +1,23 @@
+import { describe, expect, it } from "vitest";
+
+import { DATA_SOURCES } from "@/constants";
+import { DEFAULT_DATA_SOURCE } from "@/lib/dataSource";
+
+import { getDataSourceId } from "./index";
+
+const definition = { id: "counter", dataSource: DATA_SOURCES.REST };
+
+describe("getDataSourceId", () => {
+  it("lets a widget's own setting override its type", () => {
+    expect(
+      getDataSourceId(definition, { dataSource: DATA_SOURCES.FIXTURE })
+    ).toBe(DATA_SOURCES.FIXTURE);
+  });
+
+  it("falls back to the type's source for the default setting", () => {
+    expect(
+      getDataSourceId(definition, { dataSource: DEFAULT_DATA_SOURCE })
+    ).toBe(DATA_SOURCES.REST);
+    expect(getDataSourceId(definition)).toBe(DATA_SOURCES.REST);
+  });
+});
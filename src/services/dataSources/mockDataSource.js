@@ -0,0 +1,14 @@
+import { DATA_SOURCE_CONFIG } from "@/constants";
+import { wait } from "@/lib/retry";
+
+/**
+ * Mock data source: the widget type's own `fetch`, after a simulated
+ * network delay (cancelled requests stop waiting right away)
+ */
+export const mockDataSource = {
+  fetch: async (definition, settings, { signal } = {}) => {
+    const { min, max } = DATA_SOURCE_CONFIG.mockDelayMs;
+    await wait(min + Math.random() * (max - min), signal);
+    return definition.fetch(settings, { signal });
+  },
+};
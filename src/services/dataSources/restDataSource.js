@@ -0,0 +1,58 @@
+import { DATA_SOURCE_CONFIG } from "@/constants";
+import { WidgetFetchError } from "@/lib/errors";
+import { fillTemplate } from "@/lib/utils";
+
+/**
+ * REST data source: GETs the endpoint from the widget type's `rest` config
+ *
+ * CONFIG (in the registry definition):
+ * rest: {
+ *   url: "/weather?city={location}",  // Placeholders filled from settings;
+ *                                     // relative urls get VITE_API_BASE_URL
+ *   headers: { ... },                 // Optional request headers
+ *   map: (json, settings) => data,    // Optional, response → render data
+ * }
+ *
+ * ERRORS: HTTP errors carry their status, so 5xx and 429 are retried and
+ * other 4xx are not (see lib/errors). Network failures are retried too.
+ */
+export const restDataSource = {
+  fetch: async (definition, settings, { signal } = {}) => {
+    const { rest } = definition;
+    if (!rest) {
+      throw new WidgetFetchError(
+        `${definition.name} has no REST endpoint configured`,
+        { transient: false }
+      );
+    }
+
+    const path = fillTemplate(rest.url, settings, encodeURIComponent);
+    const url = /^https?:\/\//.test(path)
+      ? path
+      : `${DATA_SOURCE_CONFIG.apiBaseUrl}${path}`;
+
+    const response = await fetch(url, {
+      headers: { Accept: "application/json", ...rest.headers },
+      signal,
+    });
+    if (!response.ok) {
+      throw new WidgetFetchError(
+        `Request failed with status ${response.status}`,
+        {
+          status: response.status,
+        }
+      );
+    }
+
+    let json;
+    try {
+      json = await response.json();
+    } catch (error) {
+      throw new WidgetFetchError("The server did not return valid JSON", {
+        transient: false,
+        cause: error,
+      });
+    }
+    return rest.map ? rest.map(json, settings) : json;
+  },
+};
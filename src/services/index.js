@@ -1 +1,4 @@
+export { createCache, widgetCache } from "./cacheService";
+export { persistenceService } from "./persistenceService";
+export { createPollingScheduler } from "./pollingScheduler";
 export { widgetService } from "./widgetService";
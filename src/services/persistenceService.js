@@ -0,0 +1,597 @@
+import { DASHBOARD_CONFIG, GRID_CONFIG } from "@/constants";
+import { flowLayout, normalizeLayouts } from "@/lib/gridLayout";
+import { sanitizeSettings, validateSettings } from "@/lib/settingsSchema";
+import { getLocalStorage } from "@/lib/storage";
+import {
+  generateDashboardId,
+  generateWidgetId,
+  getSettingsSchema,
+  getWidgetName,
+  isValidWidgetType,
+} from "@/lib/utils";
+import { getWidgetDefinition } from "@/widgets";
+
+/**
+ * Persistence Service - Dashboard Storage Layer
+ *
+ * ARCHITECTURE:
+ * Sits next to widgetService in the data access layer. The reducer never
+ * talks to storage directly; useWidgets hydrates its initial state from
+ * loadWidgets() and hands every committed state to saveWidgets().
+ *
+ * WHAT GETS SAVED:
+ * Only the durable description of a widget (identity, type, settings,
+ * user-owned content such as tasks, and the grid layout of every
+ * breakpoint the user arranged). Fetched data and transient flags
+ * (loading/error) are always re-derived by fetching again after a reload.
+ *
+ * SCHEMA VERSIONING:
+ * Saved payloads are wrapped in an envelope `{ version, widgets }`.
+ * Older shapes are upgraded one version at a time through MIGRATIONS, so
+ * adding a new version only means adding one migration step.
+ *
+ * DASHBOARDS:
+ * Every dashboard saves its widgets under its own key
+ * (`widget-dragger:widgets:<dashboardId>`), so switching tabs only reads
+ * one dashboard. A separate index `{ version, dashboards, activeId }` lists
+ * them by name and remembers the active one. Saves from before dashboards
+ * existed (one payload under the bare key) become the first dashboard.
+ *
+ * EXPORT/IMPORT:
+ * An export is the saved envelope plus a format tag and the dashboard's
+ * name, so imports of older exports (and pasted raw saves) are upgraded
+ * through the same MIGRATIONS as storage.
+ */
+
+// Single-dashboard key of older builds, and the prefix of per-dashboard keys
+const STORAGE_KEY = "widget-dragger:widgets";
+const DASHBOARDS_KEY = "widget-dragger:dashboards";
+const DASHBOARDS_VERSION = 1;
+
+const getWidgetsKey = (dashboardId) => `${STORAGE_KEY}:${dashboardId}`;
+
+// Marks JSON files written by exportDashboard
+const EXPORT_FORMAT = "widget-dragger/dashboard";
+
+// Bump this and add a MIGRATIONS entry whenever the saved shape changes
+export const STORAGE_VERSION = 3;
+
+// Fields that describe a widget across reloads
+const PERSISTED_FIELDS = [
+  "id",
+  "type",
+  "createdAt",
+  "settings",
+  "content",
+  "layouts",
+];
+
+const isEntry = (widget) =>
+  Boolean(widget) && typeof widget === "object" && !Array.isArray(widget);
+
+/**
+ * Applies a migration step to the widget objects of a saved array
+ * Anything else is passed on unchanged for deserializeWidget to drop, so
+ * one bad entry never costs the rest of the dashboard.
+ *
+ * @param {Array} widgets - Saved entries
+ * @param {Function} step - (widget, position) => migrated widget, where
+ *   position counts widget objects only
+ */
+function mapEntries(widgets, step) {
+  let position = 0;
+  return widgets.map((widget) =>
+    isEntry(widget) ? step(widget, position++) : widget
+  );
+}
+
+/**
+ * Migration steps keyed by the version they upgrade FROM.
+ * Each step receives the widgets array of that version and returns the
+ * widgets array of the next version.
+ */
+const MIGRATIONS = {
+  // v1: a single vertical stack, the array order was the only layout
+  1: (widgets) => {
+    const { breakpoints, defaultBreakpoint, defaultSize } = GRID_CONFIG;
+    const { cols } = breakpoints[defaultBreakpoint];
+    const layout = flowLayout(
+      widgets
+        .filter(isEntry)
+        .map((widget, index) => ({ id: index, ...defaultSize })),
+      cols
+    );
+    return mapEntries(widgets, (widget, position) => {
+      const { x, y, w, h } = layout[position];
+      return { ...widget, layout: { x, y, w, h } };
+    });
+  },
+
+  // v2: one grid layout, which is what the widest breakpoint shows
+  2: (widgets) =>
+    mapEntries(widgets, ({ layout, ...widget }) => ({
+      ...widget,
+      layouts: layout ? { [GRID_CONFIG.defaultBreakpoint]: layout } : {},
+    })),
+};
+
+/**
+ * Accepts a saved layout only if every field is a sane grid coordinate
+ */
+function isValidLayout(layout) {
+  if (!layout || typeof layout !== "object") return false;
+  const { x, y, w, h } = layout;
+  return (
+    [x, y, w, h].every(Number.isInteger) && x >= 0 && y >= 0 && w > 0 && h > 0
+  );
+}
+
+/**
+ * Keeps the saved layouts of known breakpoints that pass validation.
+ * Dropped ones are re-derived by the grid, so bad data costs a layout,
+ * never the widget.
+ */
+function deserializeLayouts(layouts) {
+  if (!layouts || typeof layouts !== "object") return {};
+  return Object.keys(GRID_CONFIG.breakpoints).reduce((valid, breakpoint) => {
+    if (isValidLayout(layouts[breakpoint])) {
+      const { x, y, w, h } = layouts[breakpoint];
+      valid[breakpoint] = { x, y, w, h };
+    }
+    return valid;
+  }, {});
+}
+
+/**
+ * Strips a widget down to its persisted fields
+ */
+function serializeWidget(widget) {
+  return PERSISTED_FIELDS.reduce((serialized, field) => {
+    if (widget[field] !== undefined) {
+      serialized[field] = widget[field];
+    }
+    return serialized;
+  }, {});
+}
+
+/**
+ * Saved content a widget can render, or its type's initial content
+ * Content of types that aren't registered yet is kept unchecked.
+ *
+ * @param {string} type - Widget type
+ * @param {*} saved - Saved content
+ * @returns {{ content: *, problem: string|null }} `problem` says why the
+ *   saved content was replaced; missing content isn't one
+ */
+function restoreContent(type, saved) {
+  const definition = getWidgetDefinition(type);
+  const initial = () => definition?.createContent?.();
+
+  // Saves from before content existed start from the initial content
+  if (saved === undefined) return { content: initial(), problem: null };
+  if (!saved || typeof saved !== "object" || Array.isArray(saved)) {
+    return { content: initial(), problem: "content is not an object" };
+  }
+  const problem = definition?.validateContent?.(saved) ?? null;
+  return { content: problem ? initial() : saved, problem };
+}
+
+/**
+ * Rebuilds a full widget object from its saved form.
+ * Returns null for entries that can't be trusted so callers can drop them
+ * instead of crashing the Dashboard while rendering.
+ */
+function deserializeWidget(saved) {
+  if (!isEntry(saved)) return null;
+  if (typeof saved.id !== "string" || typeof saved.type !== "string") {
+    return null;
+  }
+
+  // Types that aren't registered yet (e.g. a lazy-loaded plugin) are kept
+  // as-is and render as unavailable until their plugin registers
+  const type = saved.type.toLowerCase();
+  const isRegistered = isValidWidgetType(type);
+  const savedSettings =
+    saved.settings && typeof saved.settings === "object" ? saved.settings : {};
+
+  return {
+    id: saved.id,
+    type,
+    data: null,
+    loading: false,
+    error: null,
+    createdAt: Number.isFinite(saved.createdAt) ? saved.createdAt : Date.now(),
+    // Invalid or missing settings fall back to the type's defaults
+    settings: isRegistered
+      ? sanitizeSettings(getSettingsSchema(type), savedSettings)
+      : savedSettings,
+    // Corrupt content would crash its widget, so it starts over instead
+    content: restoreContent(type, saved.content).content,
+    layouts: deserializeLayouts(saved.layouts),
+  };
+}
+
+/**
+ * Brings any known saved shape up to STORAGE_VERSION
+ *
+ * @param {*} parsed - Value parsed from storage
+ * @returns {Array|null} Widgets in the current saved shape, or null if unreadable
+ */
+function migrate(parsed) {
+  if (
+    !parsed ||
+    !Number.isInteger(parsed.version) ||
+    !Array.isArray(parsed.widgets)
+  ) {
+    return null;
+  }
+  let { version, widgets } = parsed;
+
+  // Saved by a newer build we don't understand; refuse rather than guess
+  if (version > STORAGE_VERSION) return null;
+
+  while (version < STORAGE_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) return null;
+    widgets = step(widgets);
+    version += 1;
+  }
+
+  return widgets;
+}
+
+/**
+ * Checks one imported widget before deserializeWidget repairs it
+ *
+ * @param {*} saved - Widget entry of a (migrated) import
+ * @param {number} index - Position in the file, for messages
+ * @returns {Object} { skip, problems } where `skip` means it can't be
+ *   imported at all and `problems` lists what will be repaired
+ */
+function inspectImportedWidget(saved, index) {
+  const position = `Widget ${index + 1}`;
+  if (!isEntry(saved)) {
+    return { skip: true, problems: [`${position} is not an object`] };
+  }
+  if (typeof saved.type !== "string" || saved.type === "") {
+    return { skip: true, problems: [`${position} has no type`] };
+  }
+  const type = saved.type.toLowerCase();
+  if (!isValidWidgetType(type)) {
+    return {
+      skip: true,
+      problems: [`${position} has unknown type "${saved.type}"`],
+    };
+  }
+
+  const label = `${position} (${getWidgetName({ type })})`;
+  const problems = [];
+  const schema = getSettingsSchema(type);
+  if (saved.settings !== undefined && typeof saved.settings !== "object") {
+    problems.push(`${label}: settings are not an object, using defaults`);
+  } else if (schema) {
+    // Missing fields (e.g. added after the export) quietly get defaults
+    const settings = saved.settings ?? {};
+    const { errors } = validateSettings(schema, settings);
+    Object.entries(errors)
+      .filter(([name]) => settings[name] !== undefined)
+      .forEach(([, error]) =>
+        problems.push(`${label}: ${error}, using the default`)
+      );
+  }
+  const { problem } = restoreContent(type, saved.content);
+  if (problem) problems.push(`${label}: ${problem}, using the default`);
+  const layouts = saved.layouts ?? {};
+  const invalidLayouts =
+    Object.keys(layouts).length -
+    Object.keys(deserializeLayouts(layouts)).length;
+  if (invalidLayouts > 0) {
+    problems.push(`${label}: invalid layout ignored, it gets a free spot`);
+  }
+  return { skip: false, problems };
+}
+
+/**
+ * Accepts a saved dashboard index if it lists at least one valid dashboard
+ *
+ * @returns {Object|null} { dashboards, activeId }
+ */
+function parseDashboards(parsed) {
+  if (parsed?.version !== DASHBOARDS_VERSION) return null;
+  if (!Array.isArray(parsed.dashboards)) return null;
+
+  const seen = new Set();
+  const dashboards = parsed.dashboards
+    .filter((dashboard) => {
+      if (typeof dashboard?.id !== "string" || seen.has(dashboard.id)) {
+        return false;
+      }
+      seen.add(dashboard.id);
+      return typeof dashboard.name === "string" && dashboard.name !== "";
+    })
+    .map(({ id, name, createdAt }) => ({
+      id,
+      name: name.slice(0, DASHBOARD_CONFIG.maxNameLength),
+      createdAt: Number.isFinite(createdAt) ? createdAt : Date.now(),
+    }));
+  if (dashboards.length === 0) return null;
+
+  return {
+    dashboards,
+    activeId: seen.has(parsed.activeId) ? parsed.activeId : dashboards[0].id,
+  };
+}
+
+export const persistenceService = {
+  /**
+   * Reads the saved dashboard, migrating older shapes as needed.
+   *
+   * RESILIENCE: Corrupt or partially written data never throws. The raw
+   * value is moved aside under a backup key for manual recovery and the
+   * dashboard starts empty. Individual bad entries are skipped.
+   *
+   * @param {string} dashboardId - Dashboard to read
+   * @returns {Array} Hydrated widgets (possibly empty)
+   */
+  loadWidgets: (dashboardId) => {
+    const storage = getLocalStorage();
+    if (!storage) return [];
+
+    const key = getWidgetsKey(dashboardId);
+    let raw;
+    try {
+      raw = storage.getItem(key);
+    } catch {
+      return [];
+    }
+    if (!raw) return [];
+
+    let widgets = null;
+    try {
+      widgets = migrate(JSON.parse(raw));
+    } catch {
+      widgets = null;
+    }
+
+    if (!widgets) {
+      console.warn("Saved dashboard could not be read, starting fresh");
+      try {
+        storage.setItem(`${key}:corrupt`, raw);
+        storage.removeItem(key);
+      } catch {
+        // Nothing more we can do; the next save overwrites it anyway
+      }
+      return [];
+    }
+
+    const seen = new Set();
+    const restored = widgets.map(deserializeWidget).filter((widget) => {
+      // Duplicate ids would break React keys and reducer lookups
+      if (!widget || seen.has(widget.id)) return false;
+      seen.add(widget.id);
+      return true;
+    });
+    // Missing layouts get a fresh spot, overlapping ones are pushed apart
+    return normalizeLayouts(restored);
+  },
+
+  /**
+   * Writes the durable part of the widget list
+   *
+   * @param {string} dashboardId - Dashboard the widgets belong to
+   * @param {Array} widgets - Current widget state
+   * @param {string} [previousPayload] - Last written payload, to skip no-op writes
+   * @returns {string|null} The serialized payload that is now stored
+   */
+  saveWidgets: (dashboardId, widgets, previousPayload) => {
+    const storage = getLocalStorage();
+    if (!storage) return null;
+
+    const payload = JSON.stringify({
+      version: STORAGE_VERSION,
+      widgets: widgets.map(serializeWidget),
+    });
+    if (payload === previousPayload) return payload;
+
+    try {
+      storage.setItem(getWidgetsKey(dashboardId), payload);
+      return payload;
+    } catch (error) {
+      // QuotaExceededError and friends: keep the app running unsaved
+      console.warn("Failed to save dashboard:", error);
+      return null;
+    }
+  },
+
+  /**
+   * Reads the dashboard list and which one was active
+   *
+   * UPGRADE: Without a saved index (first run, or a save from before
+   * dashboards existed) a first dashboard is created, and the widgets saved
+   * under the old single-dashboard key are moved to it.
+   *
+   * @returns {Object} { dashboards: [{ id, name, createdAt }], activeId }
+   */
+  loadDashboards: () => {
+    const storage = getLocalStorage();
+    try {
+      const saved = parseDashboards(
+        JSON.parse(storage?.getItem(DASHBOARDS_KEY) ?? "null")
+      );
+      if (saved) return saved;
+    } catch {
+      // Unreadable index: start over below, dashboards' widgets stay saved
+    }
+
+    const dashboard = {
+      id: generateDashboardId(),
+      name: DASHBOARD_CONFIG.defaultName,
+      createdAt: Date.now(),
+    };
+    try {
+      const legacy = storage?.getItem(STORAGE_KEY);
+      if (legacy) {
+        storage.setItem(getWidgetsKey(dashboard.id), legacy);
+        storage.removeItem(STORAGE_KEY);
+      }
+    } catch {
+      // Nothing to move, or no room to move it; start empty
+    }
+
+    const state = { dashboards: [dashboard], activeId: dashboard.id };
+    persistenceService.saveDashboards(state);
+    return state;
+  },
+
+  /**
+   * Writes the dashboard list and the active dashboard
+   *
+   * @param {Object} state - { dashboards, activeId }
+   */
+  saveDashboards: ({ dashboards, activeId }) => {
+    try {
+      getLocalStorage()?.setItem(
+        DASHBOARDS_KEY,
+        JSON.stringify({ version: DASHBOARDS_VERSION, dashboards, activeId })
+      );
+    } catch (error) {
+      console.warn("Failed to save dashboards:", error);
+    }
+  },
+
+  /**
+   * Deletes the saved widgets of a dashboard
+   *
+   * @param {string} dashboardId
+   */
+  removeDashboard: (dashboardId) => {
+    try {
+      getLocalStorage()?.removeItem(getWidgetsKey(dashboardId));
+    } catch {
+      // Orphaned data is harmless: nothing lists the dashboard any more
+    }
+  },
+
+  /**
+   * Saves a copy of one dashboard's widgets as another dashboard
+   *
+   * Copies get new ids, so widgets never share an id across dashboards.
+   *
+   * @param {string} fromId - Dashboard to copy
+   * @param {string} toId - New dashboard
+   */
+  copyDashboard: (fromId, toId) => {
+    const widgets = persistenceService
+      .loadWidgets(fromId)
+      .map((widget) => ({ ...widget, id: generateWidgetId() }));
+    persistenceService.saveWidgets(toId, widgets);
+  },
+
+  /**
+   * Adds a widget to a dashboard that isn't on screen
+   *
+   * The widget keeps its settings and content but not its layouts; the
+   * target dashboard finds it a free spot when it is next opened.
+   *
+   * @param {string} dashboardId - Target dashboard
+   * @param {Object} widget - Widget to add (its id must be new there)
+   * @returns {boolean} Whether the target dashboard was saved
+   */
+  addWidgetToDashboard: (dashboardId, widget) => {
+    const widgets = persistenceService.loadWidgets(dashboardId);
+    return (
+      persistenceService.saveWidgets(dashboardId, [
+        ...widgets,
+        { ...widget, layouts: {} },
+      ]) !== null
+    );
+  },
+
+  /**
+   * Serializes a dashboard for sharing or backup
+   *
+   * Contains what a save contains (types, settings, content, layouts of
+   * every arranged breakpoint); array order is the widget order.
+   *
+   * @param {string} name - Dashboard name, suggested when importing
+   * @param {Array} widgets - Widgets to export
+   * @returns {string} Pretty-printed JSON
+   */
+  exportDashboard: (name, widgets) =>
+    JSON.stringify(
+      {
+        format: EXPORT_FORMAT,
+        version: STORAGE_VERSION,
+        name,
+        exportedAt: new Date().toISOString(),
+        widgets: widgets.map(serializeWidget),
+      },
+      null,
+      2
+    ),
+
+  /**
+   * Reads an export (or a raw saved payload) without applying it
+   *
+   * VALIDATION: Never throws. A file that can't be used at all yields
+   * `error`; otherwise every widget is checked on its own: unknown types
+   * and malformed entries are skipped, bad settings, content or layouts are
+   * repaired, and each case is reported in `problems` so the user can
+   * decide before importing.
+   *
+   * @param {string} text - JSON text from a file or the clipboard
+   * @returns {Object} { widgets, name, problems, error } where widgets are
+   *   ready for the reducer (ids still need to be made unique)
+   */
+  parseDashboardImport: (text) => {
+    const result = { widgets: [], name: null, problems: [], error: null };
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { ...result, error: `Not valid JSON: ${error.message}` };
+    }
+
+    if (
+      parsed &&
+      typeof parsed === "object" &&
+      parsed.format !== undefined &&
+      parsed.format !== EXPORT_FORMAT
+    ) {
+      return { ...result, error: `Unknown file format "${parsed.format}"` };
+    }
+    if (Number.isInteger(parsed?.version) && parsed.version > STORAGE_VERSION) {
+      return {
+        ...result,
+        error: `Exported by a newer version of the app (v${parsed.version}), update to import it`,
+      };
+    }
+
+    let widgets;
+    try {
+      widgets = migrate(parsed);
+    } catch {
+      widgets = null;
+    }
+    if (!widgets) {
+      return { ...result, error: "This is not a dashboard export" };
+    }
+
+    widgets.forEach((saved, index) => {
+      const { skip, problems } = inspectImportedWidget(saved, index);
+      result.problems.push(...problems);
+      if (skip) return;
+      // Imports always get new ids, so only the type needs to be usable
+      const widget = deserializeWidget({ ...saved, id: `import-${index}` });
+      if (widget) result.widgets.push(widget);
+    });
+    if (typeof parsed.name === "string" && parsed.name.trim()) {
+      result.name = parsed.name.trim();
+    }
+    if (widgets.length > 0 && result.widgets.length === 0) {
+      result.error = "None of the widgets can be imported";
+    }
+    return result;
+  },
+};
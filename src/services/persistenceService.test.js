@@ -0,0 +1,70 @@
+import { beforeEach, describe, expect, it } from "vitest";
+
+import { STORAGE_VERSION, persistenceService } from "./persistenceService";
+
+const DASHBOARD_ID = "dashboard-test";
+
+// Writes a raw save, bypassing serialization
+function store(widgets, version = STORAGE_VERSION) {
+  localStorage.setItem(
+    `widget-dragger:widgets:${DASHBOARD_ID}`,
+    JSON.stringify({ version, widgets })
+  );
+}
+
+describe("persistenceService.loadWidgets", () => {
+  beforeEach(() => localStorage.clear());
+
+  it.each([
+    ["tasks", { items: 5 }, { items: [] }],
+    ["tasks", { items: [null] }, { items: [] }],
+    [
+      "notes",
+      { text: 5 },
+      expect.objectContaining({ text: expect.any(String) }),
+    ],
+    ["news", "read", { readIds: [] }],
+  ])("replaces corrupt %s content %j", (type, content, expected) => {
+    store([{ id: "widget-1", type, content }]);
+    const [widget] = persistenceService.loadWidgets(DASHBOARD_ID);
+    expect(widget.content).toEqual(expected);
+  });
+
+  it("keeps valid content", () => {
+    const content = {
+      items: [{ id: "task-1", text: "Ship it", completed: true }],
+    };
+    store([{ id: "widget-1", type: "tasks", content }]);
+    const [widget] = persistenceService.loadWidgets(DASHBOARD_ID);
+    expect(widget.content).toEqual(content);
+  });
+
+  it.each([
+    [1, { id: "widget-1", type: "notes" }],
+    [2, { id: "widget-1", type: "notes", layout: { x: 0, y: 0, w: 1, h: 1 } }],
+  ])("migrates a v%i save and skips only its bad entries", (version, saved) => {
+    store([saved, null, 5], version);
+    const widgets = persistenceService.loadWidgets(DASHBOARD_ID);
+
+    expect(widgets.map(({ id }) => id)).toEqual(["widget-1"]);
+    expect(widgets[0].layouts.lg).toMatchObject({ x: 0, y: 0 });
+    expect(
+      localStorage.getItem(`widget-dragger:widgets:${DASHBOARD_ID}:corrupt`)
+    ).toBeNull();
+  });
+});
+
+describe("persistenceService.parseDashboardImport", () => {
+  it("reports corrupt content and imports the initial content", () => {
+    const { widgets, problems } = persistenceService.parseDashboardImport(
+      JSON.stringify({
+        version: STORAGE_VERSION,
+        widgets: [{ type: "tasks", content: { items: [null] } }],
+      })
+    );
+    expect(widgets[0].content).toEqual({ items: [] });
+    expect(problems).toEqual([
+      expect.stringMatching(/^Widget 1 \(Task List\): tasks are not a list/),
+    ]);
+  });
+});
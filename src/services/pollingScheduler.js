@@ -0,0 +1,150 @@
+import { POLLING_CONFIG } from "@/constants";
+import { getBackoffDelay } from "@/lib/polling";
+
+/**
+ * Polling Scheduler - one timer for every auto-refreshing widget
+ *
+ * ARCHITECTURE:
+ * Instead of one setInterval per widget, the scheduler keeps a job per
+ * widget ({ interval, lastUpdated, nextAt, failures }) and arms a single
+ * timer for the earliest due job. It knows nothing about widgets or React:
+ * `poll(id)` does the fetching and resolves to whether it succeeded.
+ *
+ * STAGGERING: At most one poll starts per `staggerMs`, so widgets that fall
+ * due together (e.g. after a reload, or when the tab becomes visible again)
+ * are spread out instead of fetching in one burst.
+ *
+ * VISIBILITY: Nothing runs while the tab is hidden (Page Visibility API).
+ * Jobs that fell due in the meantime run, staggered, once it is visible.
+ *
+ * BACKOFF: A failed poll retries after getBackoffDelay (doubling per
+ * failure), and the first success returns to the normal interval.
+ *
+ * @param {Object} options
+ * @param {Function} options.poll - (id) => Promise<boolean>, refreshes one job
+ * @param {number} [options.staggerMs] - Minimum gap between two polls
+ * @returns {Object} { start, stop, sync }
+ */
+export function createPollingScheduler({
+  poll,
+  staggerMs = POLLING_CONFIG.staggerMs,
+}) {
+  const jobs = new Map();
+  let timer = null;
+  let lastPollAt = -Infinity;
+  let isRunning = false;
+
+  const isPaused = () => !isRunning || document.visibilityState === "hidden";
+
+  // Points the single timer at the earliest due job (or clears it)
+  const arm = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (isPaused()) return;
+
+    let nextAt = Infinity;
+    jobs.forEach((job) => {
+      if (!job.inFlight) nextAt = Math.min(nextAt, job.nextAt);
+    });
+    if (nextAt === Infinity) return;
+
+    const startAt = Math.max(nextAt, lastPollAt + staggerMs);
+    timer = setTimeout(runNext, Math.max(0, startAt - Date.now()));
+  };
+
+  // Polls the most overdue job, then re-arms for the rest
+  const runNext = () => {
+    timer = null;
+    const now = Date.now();
+    let dueId = null;
+    jobs.forEach((job, id) => {
+      if (job.inFlight || job.nextAt > now) return;
+      if (dueId === null || job.nextAt < jobs.get(dueId).nextAt) dueId = id;
+    });
+
+    if (dueId !== null) {
+      const job = jobs.get(dueId);
+      job.inFlight = true;
+      lastPollAt = now;
+
+      Promise.resolve()
+        .then(() => poll(dueId))
+        .catch(() => false)
+        .then((succeeded) => {
+          // Unscheduled or replaced while the poll was running
+          if (jobs.get(dueId) !== job) return;
+          job.inFlight = false;
+          job.failures = succeeded ? 0 : job.failures + 1;
+          job.nextAt =
+            Date.now() +
+            (succeeded
+              ? job.interval
+              : getBackoffDelay(job.interval, job.failures));
+          arm();
+        });
+    }
+
+    arm();
+  };
+
+  return {
+    /**
+     * Starts polling and follows the tab's visibility
+     */
+    start() {
+      if (isRunning) return;
+      isRunning = true;
+      document.addEventListener("visibilitychange", arm);
+      arm();
+    },
+
+    /**
+     * Stops polling and forgets every job
+     */
+    stop() {
+      isRunning = false;
+      document.removeEventListener("visibilitychange", arm);
+      jobs.clear();
+      arm();
+    },
+
+    /**
+     * Replaces the job list
+     *
+     * Jobs are matched by id. A new job, a changed interval or a newer
+     * lastUpdated (e.g. after a manual refresh) schedules the next poll one
+     * interval after the last update; unchanged jobs keep their schedule,
+     * including any backoff in progress.
+     *
+     * @param {Array<{id: string, interval: number, lastUpdated: ?number}>} entries
+     */
+    sync(entries) {
+      const ids = new Set(entries.map((entry) => entry.id));
+      jobs.forEach((job, id) => {
+        if (!ids.has(id)) jobs.delete(id);
+      });
+
+      entries.forEach(({ id, interval, lastUpdated = null }) => {
+        const job = jobs.get(id);
+        if (
+          job &&
+          job.interval === interval &&
+          job.lastUpdated === lastUpdated
+        ) {
+          return;
+        }
+        const schedule = {
+          interval,
+          lastUpdated,
+          nextAt: (lastUpdated ?? Date.now()) + interval,
+          failures: 0,
+        };
+        // Updated in place: a poll in flight still owns the same job
+        if (job) Object.assign(job, schedule);
+        else jobs.set(id, { ...schedule, inFlight: false });
+      });
+
+      arm();
+    },
+  };
+}
@@ -1,85 +1,31 @@
-export const widgetService = {
-  // Fetch widget data based on type
-  fetchWidgetData: async (widgetType) => {
-    // Simulate network delay
-    await new Promise((resolve) =>
-      setTimeout(resolve, 1000 + Math.random() * 500)
-    );
-
-    // Generate mock data
-    switch (widgetType) {
-      case "weather":
-        return {
-          value: `${Math.floor(Math.random() * 20 + 10)}°C`,
-          location: ["New York", "London", "Tokyo", "Paris"][
-            Math.floor(Math.random() * 4)
-          ],
-          condition: ["Sunny", "Cloudy", "Rainy"][
-            Math.floor(Math.random() * 3)
-          ],
-        };
-
-      case "stock": {
-        const price = (Math.random() * 1000 + 100).toFixed(2);
-        const change = (Math.random() * 10 - 5).toFixed(2);
-        return {
-          value: `$${price}`,
-          change: `${change > 0 ? "+" : ""}${change}%`,
-          symbol: ["AAPL", "GOOGL", "MSFT", "AMZN"][
-            Math.floor(Math.random() * 4)
-          ],
-        };
-      }
-
-      case "news":
-        return {
-          value: `${Math.floor(Math.random() * 50 + 10)} articles`,
-          trending: ["Tech News", "World News", "Business", "Sports"][
-            Math.floor(Math.random() * 4)
-          ],
-          updated: "Just now",
-        };
+import { WidgetFetchError } from "@/lib/errors";
+import { getWidgetDefinition } from "@/widgets";
 
-      case "tasks":
-        return {
-          items: [
-            { id: 1, text: "Review dashboard", completed: false },
-            { id: 2, text: "Add new widgets", completed: false },
-            { id: 3, text: "Test drag & drop", completed: false },
-          ],
-        };
+import { getDataSource } from "./dataSources";
 
-      case "stats":
-        return {
-          stats: [
-            {
-              label: "Total Users",
-              value: "2,847",
-              icon: "Users",
-              color: "text-blue-500",
-            },
-            {
-              label: "Growth",
-              value: "+12.5%",
-              icon: "TrendingUp",
-              color: "text-green-500",
-            },
-            {
-              label: "Active Now",
-              value: "342",
-              icon: "Activity",
-              color: "text-purple-500",
-            },
-          ],
-        };
-
-      case "notes":
-        return {
-          text: "• Meeting with team at 2 PM\n• Review project requirements\n• Update documentation",
-        };
-
-      default:
-        throw new Error("Unknown widget type");
+export const widgetService = {
+  // Fetch widget data with the widget's own settings (location, symbol,
+  // category...) from the data source picked for it: mock, REST or
+  // fixture (see services/dataSources)
+  //
+  // CANCELLATION: `signal` (from an AbortController) is handed on to the
+  // data source, and an aborted request always rejects with an AbortError,
+  // even if the source ignored the signal and resolved
+  fetchWidgetData: async (widgetType, settings = {}, { signal } = {}) => {
+    const definition = getWidgetDefinition(widgetType);
+    if (!definition) {
+      // Permanent: retrying won't install the plugin
+      throw new WidgetFetchError("Unknown widget type", { transient: false });
     }
+    // Local widgets (e.g. tasks) have nothing remote to fetch
+    if (!definition.fetch) return null;
+
+    const data = await getDataSource(definition, settings).fetch(
+      definition,
+      settings,
+      { signal }
+    );
+    signal?.throwIfAborted();
+    return data;
   },
 };
@@ -0,0 +1,42 @@
+import { Chart } from "@/components/Charts";
+
+import { CHART_DATASETS } from "./series";
+
+const FORMATS = {
+  count: new Intl.NumberFormat("en-US", {
+    notation: "compact",
+    maximumFractionDigits: 1,
+  }),
+  currency: new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    notation: "compact",
+    maximumFractionDigits: 1,
+  }),
+};
+const LABEL_FORMATS = {
+  hour: new Intl.DateTimeFormat(undefined, { hour: "numeric" }),
+  day: new Intl.DateTimeFormat(undefined, { month: "short", day: "numeric" }),
+};
+
+export function ChartContent({ data, settings = {} }) {
+  const format = FORMATS[data.unit] ?? FORMATS.count;
+  const labelFormat = LABEL_FORMATS[data.interval] ?? LABEL_FORMATS.day;
+  const title = CHART_DATASETS[data.dataset]?.label ?? "Chart";
+
+  return (
+    <div className="flex h-full flex-col gap-2">
+      <h3 className="text-base font-semibold text-gray-900">{title}</h3>
+      <div className="min-h-40 flex-1">
+        <Chart
+          type={settings.chartType}
+          labels={data.times.map((time) => labelFormat.format(time))}
+          series={data.series}
+          formatValue={(value) => format.format(value)}
+          showLegend={settings.showLegend !== false}
+          label={`${title}: ${data.series.map((item) => item.label).join(", ")}`}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import { dataSourceField } from "@/lib/dataSource";
+import { refreshIntervalField } from "@/lib/polling";
+
+import { ChartContent } from "./ChartContent";
+import fixture from "./fixture.json";
+import { CHART_DATASETS, createMockSeries, normalizeSeries } from "./series";
+
+export const chartWidget = {
+  id: "chart",
+  name: "Chart",
+  color: "bg-cyan-500",
+  icon: "📉",
+  description: "Line, bar or area chart of a time series",
+  settingsSchema: {
+    dataset: {
+      type: "enum",
+      label: "Data",
+      default: "traffic",
+      required: true,
+      options: Object.entries(CHART_DATASETS).map(([value, { label }]) => ({
+        value,
+        label,
+      })),
+    },
+    chartType: {
+      type: "enum",
+      display: true,
+      label: "Chart type",
+      default: "line",
+      required: true,
+      options: [
+        { value: "line", label: "Line" },
+        { value: "bar", label: "Bar" },
+        { value: "area", label: "Area" },
+      ],
+    },
+    showLegend: {
+      type: "boolean",
+      display: true,
+      label: "Show legend",
+      default: true,
+    },
+    refreshInterval: refreshIntervalField("0"),
+    dataSource: dataSourceField(),
+  },
+  fetch: async ({ dataset }) => createMockSeries(dataset),
+  // GET {VITE_API_BASE_URL}/series/traffic
+  // → { dataset: "traffic", unit: "count", interval: "hour",
+  //     times: [1760000000000, ...],
+  //     series: [{ key: "views", label: "Page views", values: [...] }] }
+  rest: {
+    url: "/series/{dataset}",
+    map: (json) => normalizeSeries(json),
+  },
+  fixture,
+  render: ChartContent,
+};
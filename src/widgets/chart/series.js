@@ -0,0 +1,108 @@
+/**
+ * Time series for the Chart widget
+ *
+ * Every data source hands ChartContent the same structure:
+ * { dataset, unit, interval, times: [ms], series: [{ key, label,
+ *   values }] }
+ * with one value per time (null for a gap), oldest first. `unit` is
+ * "count" or "currency"; `interval` ("hour" | "day") picks the labels.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Demo datasets the widget can show
+export const CHART_DATASETS = {
+  traffic: {
+    label: "Website traffic",
+    unit: "count",
+    interval: "hour",
+    points: 24,
+    series: [
+      { key: "views", label: "Page views", base: 1200 },
+      { key: "visitors", label: "Visitors", base: 450 },
+    ],
+  },
+  revenue: {
+    label: "Revenue vs costs",
+    unit: "currency",
+    interval: "day",
+    points: 14,
+    series: [
+      { key: "revenue", label: "Revenue", base: 5200 },
+      { key: "costs", label: "Costs", base: 3100 },
+    ],
+  },
+  signups: {
+    label: "Sign-ups",
+    unit: "count",
+    interval: "day",
+    points: 30,
+    series: [{ key: "signups", label: "Sign-ups", base: 85 }],
+  },
+};
+
+/**
+ * Makes every series as long as `times`, padding with gaps
+ *
+ * @param {Object} json - Chart payload
+ * @returns {Object} Chart payload
+ */
+export function normalizeSeries({
+  dataset,
+  unit = "count",
+  interval = "day",
+  times = [],
+  series = [],
+}) {
+  return {
+    dataset,
+    unit,
+    interval,
+    times,
+    series: series.map((item) => ({
+      ...item,
+      values: times.map((_, index) =>
+        Number.isFinite(item.values?.[index]) ? item.values[index] : null
+      ),
+    })),
+  };
+}
+
+/**
+ * Random but plausible series for a demo dataset
+ *
+ * Values follow a daily (hourly data) or weekly (daily data) rhythm
+ * around each series' base, with some noise.
+ *
+ * @param {string} dataset - A CHART_DATASETS key
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Chart payload
+ */
+export function createMockSeries(dataset, now = Date.now()) {
+  const config = CHART_DATASETS[dataset] ?? CHART_DATASETS.traffic;
+  const step = config.interval === "hour" ? HOUR : DAY;
+  const end = now - (now % step);
+  const times = Array.from(
+    { length: config.points },
+    (_, index) => end - (config.points - 1 - index) * step
+  );
+  const cycle = (time) =>
+    config.interval === "hour"
+      ? Math.sin(((new Date(time).getHours() - 9) / 24) * 2 * Math.PI)
+      : Math.sin((new Date(time).getDay() / 7) * 2 * Math.PI);
+
+  return normalizeSeries({
+    dataset,
+    unit: config.unit,
+    interval: config.interval,
+    times,
+    series: config.series.map(({ key, label, base }) => ({
+      key,
+      label,
+      values: times.map((time) =>
+        Math.round(base * (1 + 0.3 * cycle(time) + (Math.random() - 0.5) * 0.2))
+      ),
+    })),
+  });
+}
@@ -0,0 +1,31 @@
+import { chartWidget } from "./chart";
+import { newsWidget } from "./news";
+import { notesWidget } from "./notes";
+import { registerWidget } from "./registry";
+import { statsWidget } from "./stats";
+import { stockWidget } from "./stock";
+import { tasksWidget } from "./tasks";
+import { weatherWidget } from "./weather";
+
+export {
+  getWidgetDefinition,
+  getWidgetDefinitions,
+  registerWidget,
+  subscribeToRegistry,
+  unregisterWidget,
+} from "./registry";
+
+// Built-in widgets, registered once on first import.
+// Order here is the catalogue order in the Add Widget dialog.
+const unregisterBuiltIns = [
+  weatherWidget,
+  stockWidget,
+  newsWidget,
+  tasksWidget,
+  statsWidget,
+  chartWidget,
+  notesWidget,
+].map(registerWidget);
+
+// Hot reloads re-run this module; release the ids so they can re-register
+import.meta.hot?.dispose(() => unregisterBuiltIns.forEach((fn) => fn()));
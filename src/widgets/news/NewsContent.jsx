@@ -0,0 +1,209 @@
+import { Check, CheckCheck, Circle } from "lucide-react";
+import { useEffect, useRef, useState } from "react";
+
+import { Button } from "@/components/ui";
+import { useNow } from "@/hooks";
+import { formatTimeAgo } from "@/lib/utils";
+
+// Articles added each time the end of the list scrolls into view
+const PAGE_SIZE = 10;
+
+/**
+ * News Feed widget body
+ *
+ * Headlines come from `data` (replaced by every refresh); which ones were
+ * read lives in `widget.content.readIds`, so it is saved with the
+ * dashboard and survives refreshes. Opening an article marks it read.
+ *
+ * PAGING: The list grows a page at a time when its end scrolls into view
+ * inside the card (IntersectionObserver), or through the "Show more"
+ * button for keyboard users.
+ */
+export function NewsContent({ widget, data, content, actions }) {
+  const now = useNow();
+  const [filter, setFilter] = useState(null);
+  const [isUnreadOnly, setIsUnreadOnly] = useState(false);
+  const [pageCount, setPageCount] = useState(1);
+  const sentinelRef = useRef(null);
+
+  const readIds = new Set(content?.readIds);
+  const categories = [
+    ...new Set(data.articles.map((article) => article.category)),
+  ].filter(Boolean);
+  // A refresh or a new topic may drop the filtered category
+  const activeFilter = categories.includes(filter) ? filter : null;
+  const matching = data.articles.filter(
+    (article) =>
+      (!activeFilter || article.category === activeFilter) &&
+      (!isUnreadOnly || !readIds.has(article.id))
+  );
+  const shown = matching.slice(0, pageCount * PAGE_SIZE);
+  const hasMore = shown.length < matching.length;
+  const unreadIds = data.articles
+    .filter((article) => !readIds.has(article.id))
+    .map((article) => article.id);
+
+  const setRead = (articleIds, read) =>
+    actions.setArticlesRead(widget.id, articleIds, read);
+  const changeFilter = (update) => {
+    update();
+    setPageCount(1);
+  };
+
+  // Re-observed after every page, so a sentinel still in view loads the next
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || typeof IntersectionObserver === "undefined") return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        setPageCount((count) => count + 1);
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, shown.length]);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-baseline justify-between">
+        <h3 className="text-base font-semibold text-gray-900">News Feed</h3>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-7 px-2 text-xs text-gray-500"
+          onClick={() => setRead(unreadIds, true)}
+          disabled={unreadIds.length === 0}
+        >
+          <CheckCheck className="h-3 w-3 mr-1" />
+          Mark all read
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap gap-1" aria-label="Filter articles">
+        {categories.length > 1 && (
+          <>
+            <FilterChip
+              active={!activeFilter}
+              onClick={() => changeFilter(() => setFilter(null))}
+            >
+              All
+            </FilterChip>
+            {categories.map((category) => (
+              <FilterChip
+                key={category}
+                active={activeFilter === category}
+                onClick={() => changeFilter(() => setFilter(category))}
+              >
+                {category}
+              </FilterChip>
+            ))}
+          </>
+        )}
+        <FilterChip
+          active={isUnreadOnly}
+          onClick={() => changeFilter(() => setIsUnreadOnly(!isUnreadOnly))}
+        >
+          Unread only
+        </FilterChip>
+      </div>
+
+      {shown.length === 0 ? (
+        <p className="py-4 text-center text-sm text-gray-500">
+          {isUnreadOnly ? "You're all caught up" : "No articles"}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {shown.map((article) => (
+            <ArticleItem
+              key={article.id}
+              article={article}
+              isRead={readIds.has(article.id)}
+              now={now}
+              onSetRead={(read) => setRead([article.id], read)}
+            />
+          ))}
+          {hasMore && (
+            <li ref={sentinelRef} className="pt-2 text-center">
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-7 text-xs text-gray-500"
+                onClick={() => setPageCount((count) => count + 1)}
+              >
+                Show more
+              </Button>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function FilterChip({ active, onClick, children }) {
+  return (
+    <button
+      type="button"
+      aria-pressed={active}
+      onClick={onClick}
+      className={`rounded-full px-2 py-0.5 text-xs font-medium transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+        active
+          ? "bg-purple-100 text-purple-700"
+          : "bg-gray-100 text-gray-500 hover:bg-gray-200"
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+function ArticleItem({ article, isRead, now, onSetRead }) {
+  const titleClass = `text-sm leading-snug ${
+    isRead ? "text-gray-500" : "font-medium text-gray-900"
+  }`;
+
+  return (
+    <li className="flex items-start gap-2 py-2">
+      <span
+        className={`mt-1.5 h-2 w-2 shrink-0 rounded-full ${
+          isRead ? "bg-transparent" : "bg-purple-500"
+        }`}
+        aria-hidden="true"
+      />
+      <div className="min-w-0 flex-1">
+        {article.url ? (
+          <a
+            href={article.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            draggable={false}
+            onClick={() => onSetRead(true)}
+            className={`${titleClass} hover:underline`}
+          >
+            {article.title}
+          </a>
+        ) : (
+          <p className={titleClass}>{article.title}</p>
+        )}
+        <p className="text-xs text-gray-400">
+          {article.source} · {formatTimeAgo(article.publishedAt, now)}
+          {!isRead && <span className="sr-only"> · Unread</span>}
+        </p>
+      </div>
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-6 w-6 shrink-0 text-gray-400 hover:text-gray-700"
+        onClick={() => onSetRead(!isRead)}
+        title={isRead ? "Mark as unread" : "Mark as read"}
+        aria-label={isRead ? "Mark as unread" : "Mark as read"}
+      >
+        {isRead ? (
+          <Circle className="h-3 w-3" />
+        ) : (
+          <Check className="h-3 w-3" />
+        )}
+      </Button>
+    </li>
+  );
+}
@@ -0,0 +1,147 @@
+/**
+ * News feed helpers
+ *
+ * Every data source hands NewsContent the same structure:
+ * { category, articles: [{ id, title, source, url, publishedAt,
+ *   category }] }, newest first, with `publishedAt` in ms. Article ids must
+ * stay the same across refreshes: read state is kept by id.
+ */
+
+export const ALL_TOPICS = "All topics";
+
+// Topics the news feed can follow
+export const NEWS_CATEGORIES = [
+  "Tech News",
+  "World News",
+  "Business",
+  "Sports",
+];
+
+// Articles per fetch; the card pages through them as it scrolls
+export const ARTICLE_LIMIT = 40;
+
+/**
+ * Sorts a feed newest first and trims it to ARTICLE_LIMIT
+ * Links other than http(s) are dropped, since they end up in an href.
+ *
+ * @param {Object} json - News payload
+ * @returns {Object} News payload
+ */
+export function normalizeFeed({ category, articles = [] }) {
+  return {
+    category,
+    articles: [...articles]
+      .sort((a, b) => b.publishedAt - a.publishedAt)
+      .slice(0, ARTICLE_LIMIT)
+      .map((article) => ({
+        ...article,
+        url: /^https?:\/\//i.test(article.url ?? "") ? article.url : null,
+      })),
+  };
+}
+
+/**
+ * @param {Object} data - News payload
+ * @param {Object} [content] - Widget content, { readIds }
+ * @returns {number} Articles in the feed not marked as read
+ */
+export function getUnreadCount(data, content) {
+  const readIds = new Set(content?.readIds);
+  return data.articles.filter((article) => !readIds.has(article.id)).length;
+}
+
+const HEADLINES = {
+  "Tech News": [
+    "Chipmakers race to ship next-generation AI accelerators",
+    "Open-source browser engine reaches a major milestone",
+    "Developers weigh the cost of moving workloads back on-premises",
+    "New battery chemistry promises longer-lasting laptops",
+    "Smartphone makers slow their release cycles",
+    "Security researchers disclose a widespread router flaw",
+    "Programming language survey shows shifting preferences",
+    "Satellite internet expands coverage to remote regions",
+  ],
+  "World News": [
+    "Leaders gather for climate talks as deadlines loom",
+    "Coastal cities invest in flood defences",
+    "Elections draw record turnout across the region",
+    "Aid groups scale up relief after severe storms",
+    "Trade ministers agree on a framework for talks",
+    "Archaeologists uncover a well-preserved ancient settlement",
+    "Rail link between neighbouring capitals opens",
+    "Heatwave prompts water restrictions in several countries",
+  ],
+  Business: [
+    "Markets steady ahead of the central bank decision",
+    "Retailers report mixed results for the quarter",
+    "Start-up funding rebounds in the software sector",
+    "Airline expands its long-haul network",
+    "Manufacturers cite easing supply chain pressure",
+    "Housing starts rise for a third straight month",
+    "Energy prices dip as inventories grow",
+    "Logistics firm announces a major acquisition",
+  ],
+  Sports: [
+    "Underdogs clinch a dramatic late win",
+    "Star striker signs a contract extension",
+    "Marathon sets a new course record",
+    "Tennis veteran announces retirement plans",
+    "Cup draw sets up a clash between old rivals",
+    "Cycling team unveils its roster for the season",
+    "Rookie quarterback impresses in debut",
+    "Sailing crew completes a round-the-world race",
+  ],
+};
+
+const SOURCES = [
+  "Daily Wire Service",
+  "The Global Desk",
+  "Morning Ledger",
+  "Metro Herald",
+  "Signal News",
+];
+
+// One mock article per topic every 25 minutes
+const SLOT_MS = 25 * 60 * 1000;
+
+/**
+ * Mock feed for a topic, or for all topics
+ *
+ * Articles are derived from fixed time slots, so each keeps its id, title
+ * and time across refreshes and new ones appear as time passes, like a
+ * real feed.
+ *
+ * @param {string} category - A NEWS_CATEGORIES entry or ALL_TOPICS
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} News payload
+ */
+export function createMockFeed(category, now = Date.now()) {
+  const categories = category === ALL_TOPICS ? NEWS_CATEGORIES : [category];
+  const currentSlot = Math.floor(now / SLOT_MS);
+
+  const articles = categories.flatMap((topic) => {
+    const headlines = HEADLINES[topic] ?? HEADLINES["World News"];
+    const slug = topic.toLowerCase().replace(/\W+/g, "-");
+    return Array.from({ length: ARTICLE_LIMIT }, (_, index) => {
+      const slot = currentSlot - index;
+      const id = `${slug}-${slot}`;
+      const hash = getHash(id);
+      return {
+        id,
+        title: headlines[hash % headlines.length],
+        source: SOURCES[hash % SOURCES.length],
+        url: `https://example.com/news/${id}`,
+        publishedAt: Math.min(now, slot * SLOT_MS + (hash % SLOT_MS)),
+        category: topic,
+      };
+    });
+  });
+
+  return normalizeFeed({ category, articles });
+}
+
+function getHash(text) {
+  let hash = 0;
+  for (const char of text) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return hash;
+}
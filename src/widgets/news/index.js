@@ -0,0 +1,52 @@
+import { dataSourceField } from "@/lib/dataSource";
+import { refreshIntervalField } from "@/lib/polling";
+
+import {
+  ALL_TOPICS,
+  NEWS_CATEGORIES,
+  createMockFeed,
+  getUnreadCount,
+  normalizeFeed,
+} from "./feed";
+import fixture from "./fixture.json";
+import { NewsContent } from "./NewsContent";
+
+export const newsWidget = {
+  id: "news",
+  name: "News Feed",
+  color: "bg-purple-500",
+  icon: "📰",
+  description: "Latest headlines with read tracking",
+  settingsSchema: {
+    category: {
+      type: "enum",
+      label: "Topic",
+      default: ALL_TOPICS,
+      required: true,
+      options: [ALL_TOPICS, ...NEWS_CATEGORIES],
+    },
+    refreshInterval: refreshIntervalField("0"),
+    dataSource: dataSourceField(),
+  },
+  cacheTtl: 10 * 60 * 1000,
+  // 2: article list (1 held an article count)
+  dataVersion: 2,
+  // Read article ids, kept per widget and saved with the dashboard
+  createContent: () => ({ readIds: [] }),
+  validateContent: ({ readIds }) =>
+    Array.isArray(readIds) ? null : "read articles are not a list",
+  fetch: async ({ category }) => createMockFeed(category),
+  // GET {VITE_API_BASE_URL}/news?category=Business
+  // → { category: "Business", articles: [{ id, title, source, url,
+  //     publishedAt, category }] } (see feed.js)
+  rest: {
+    url: "/news?category={category}",
+    map: (json) => normalizeFeed(json),
+  },
+  fixture,
+  getBadge: (data, settings, content) => {
+    const unread = getUnreadCount(data, content);
+    return unread > 0 ? `${unread} unread` : null;
+  },
+  render: NewsContent,
+};
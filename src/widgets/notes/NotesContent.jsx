@@ -0,0 +1,199 @@
+import { Pencil } from "lucide-react";
+import { Fragment, useState } from "react";
+
+import { Checkbox } from "@/components/ui";
+import { useDebounce } from "@/hooks";
+import {
+  parseInline,
+  parseMarkdown,
+  toggleChecklistItem,
+} from "@/lib/markdown";
+
+// Quiet period before typing is saved to the dashboard
+const AUTOSAVE_DELAY = 800;
+const MAX_LENGTH = 5000;
+
+/**
+ * Notes widget body
+ *
+ * The note lives in `widget.content.text` and is saved through
+ * `actions.updateNote`, so it persists with the dashboard, is undoable, and
+ * never touched by a refresh.
+ *
+ * EDITING:
+ * Double-click the note (or press Edit) to edit the markdown source in
+ * place. Typing autosaves through a debounced update; leaving the editor
+ * (blur, Escape or unmount) saves whatever is still pending, so every pause
+ * or exit becomes one undo step instead of one per keystroke.
+ *
+ * VIEWING:
+ * The source renders as the safe markdown subset from lib/markdown.
+ * Checkboxes can be ticked without entering the editor.
+ */
+export function NotesContent({ widget, content, actions }) {
+  const text = content?.text ?? "";
+  const [draft, setDraft] = useState(null);
+  const isEditing = draft !== null;
+  const [isSaving, setIsSaving] = useState(false);
+
+  const save = useDebounce(
+    (value) => {
+      actions.updateNote(widget.id, value);
+      setIsSaving(false);
+    },
+    AUTOSAVE_DELAY,
+    { flushOnUnmount: true }
+  );
+
+  const handleChange = (e) => {
+    setDraft(e.target.value);
+    setIsSaving(true);
+    save(e.target.value);
+  };
+
+  const handleBlur = () => {
+    save.flush();
+    setDraft(null);
+  };
+
+  const startEditing = () => setDraft(text);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-base font-semibold text-gray-900">Notes</h3>
+        {!isEditing && (
+          <button
+            type="button"
+            onClick={startEditing}
+            aria-label="Edit note"
+            className="rounded text-gray-400 hover:text-gray-700 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-yellow-500"
+          >
+            <Pencil className="h-3.5 w-3.5" />
+          </button>
+        )}
+      </div>
+
+      {isEditing ? (
+        <textarea
+          value={draft}
+          onChange={handleChange}
+          onBlur={handleBlur}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") {
+              e.preventDefault();
+              e.currentTarget.blur();
+            }
+          }}
+          // Selecting text must not start a widget card drag
+          onDragStart={(e) => e.stopPropagation()}
+          onFocus={(e) =>
+            e.currentTarget.setSelectionRange(draft.length, draft.length)
+          }
+          maxLength={MAX_LENGTH}
+          aria-label="Note"
+          placeholder="- [ ] Write a **note**"
+          className="block w-full min-h-[100px] resize-y rounded-md border border-yellow-200 bg-yellow-50 p-3 font-mono text-sm text-gray-700 outline-none focus-visible:ring-2 focus-visible:ring-yellow-500"
+          autoFocus
+        />
+      ) : (
+        <div
+          onDoubleClick={startEditing}
+          title="Double-click to edit"
+          className="bg-yellow-50 p-3 rounded-md border border-yellow-100 text-sm text-gray-700 min-h-[100px] space-y-2 break-words"
+        >
+          {text.trim() ? (
+            <NoteView
+              text={text}
+              onToggleItem={(line) =>
+                actions.updateNote(widget.id, toggleChecklistItem(text, line))
+              }
+            />
+          ) : (
+            <p className="text-gray-400">Double-click to write a note</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-between text-xs text-gray-400">
+        <span aria-live="polite">
+          {isEditing && (isSaving ? "Saving..." : "Saved")}
+        </span>
+        <span>
+          {(draft ?? text).length} / {MAX_LENGTH} characters
+        </span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Rendered markdown: paragraphs, bullet lists and checklists
+ */
+function NoteView({ text, onToggleItem }) {
+  return parseMarkdown(text).map((block) =>
+    block.type === "list" ? (
+      <ul key={block.items[0].line} className="space-y-1">
+        {block.items.map((item) => (
+          <li key={item.line} className="flex items-start gap-2">
+            {item.checked === null ? (
+              <span aria-hidden="true" className="text-gray-400">
+                •
+              </span>
+            ) : (
+              <Checkbox
+                checked={item.checked}
+                onCheckedChange={() => onToggleItem(item.line)}
+                aria-label={item.text}
+                className="mt-0.5"
+              />
+            )}
+            <span className={item.checked ? "text-gray-400 line-through" : ""}>
+              <InlineText text={item.text} />
+            </span>
+          </li>
+        ))}
+      </ul>
+    ) : (
+      <p key={block.lines[0].line}>
+        {block.lines.map((line, index) => (
+          <Fragment key={line.line}>
+            {index > 0 && <br />}
+            <InlineText text={line.text} />
+          </Fragment>
+        ))}
+      </p>
+    )
+  );
+}
+
+/**
+ * One line with bold text and links
+ * SECURITY: Rendered as React elements, never as HTML
+ */
+function InlineText({ text }) {
+  return parseInline(text).map((segment, index) => {
+    switch (segment.type) {
+      case "bold":
+        return (
+          <strong key={index} className="font-semibold text-gray-900">
+            {segment.text}
+          </strong>
+        );
+      case "link":
+        return (
+          <a
+            key={index}
+            href={segment.href}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-blue-600 underline hover:text-blue-800"
+          >
+            {segment.text}
+          </a>
+        );
+      default:
+        return <Fragment key={index}>{segment.text}</Fragment>;
+    }
+  });
+}
@@ -0,0 +1,16 @@
+import { NotesContent } from "./NotesContent";
+
+export const notesWidget = {
+  id: "notes",
+  name: "Notes",
+  color: "bg-yellow-500",
+  icon: "📝",
+  description: "Quick personal notes",
+  // The note is user-owned content: no fetch, so a refresh can't replace it
+  createContent: () => ({
+    text: "- **Meeting** with team at 2 PM\n- [ ] Review project requirements\n- [ ] Update documentation",
+  }),
+  validateContent: ({ text }) =>
+    typeof text === "string" ? null : "the note is not text",
+  render: NotesContent,
+};
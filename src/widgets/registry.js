@@ -0,0 +1,179 @@
+/**
+ * Widget Registry - Plugin API for widget types
+ *
+ * ARCHITECTURE:
+ * A widget type is one self-contained definition object: display metadata,
+ * how to fetch its data, how to render it and (optionally) its settings.
+ * Core code never names a widget type; it looks the type up here.
+ *
+ * PLUGINS:
+ * Built-in widgets register themselves in src/widgets/index.js. Third-party
+ * or lazy-loaded packages call registerWidget() whenever they load, and
+ * subscribers (see useWidgetRegistry) re-render with the new catalogue.
+ *
+ * DEFINITION:
+ * {
+ *   id: "weather",                 // Unique, stored as widget.type
+ *   name: "Weather",               // Display name
+ *   icon: "🌤️",                    // Emoji shown in headers and the catalogue
+ *   color: "bg-blue-500",          // Optional accent
+ *   description: "...",            // Optional catalogue blurb
+ *   settingsSchema: { ... },       // Optional, see lib/settingsSchema.js
+ *   fetch: async (settings, { signal }) => data,  // Optional, see below
+ *   retry: { maxAttempts: 2 },     // Optional, overrides RETRY_CONFIG
+ *   cacheTtl: 60 * 1000,           // Optional ms fetched data stays fresh,
+ *                                  //   overrides CACHE_CONFIG.defaultTtlMs
+ *   dataVersion: 2,                // Optional, bump when the shape of data
+ *                                  //   changes so cached data isn't reused
+ *   rest: { url, headers, map },   // Optional REST endpoint, see
+ *                                  //   services/dataSources/restDataSource
+ *   fixture: { ... },              // Optional static data (JSON)
+ *   dataSource: "rest",            // Optional, pins "mock" | "rest" | "fixture"
+ *   createContent: () => content,  // Optional, initial user-owned content
+ *   validateContent: (content) => error,  // Optional, a string rejects
+ *                                  //   saved content, see below
+ *   getAlert: (data, settings) => message,  // Optional, a string
+ *                                  //   highlights the card, null doesn't
+ *   getBadge: (data, settings, content) => label,  // Optional, e.g.
+ *                                  //   "3 unread" next to the title
+ *   render: Component,             // Receives { widget, data, settings,
+ *                                  //   content, actions }
+ * }
+ *
+ * DATA VS CONTENT:
+ * `data` comes from fetch and is replaced by every refresh. `content` is
+ * owned by the user (e.g. tasks), saved with the dashboard and only changed
+ * through reducer actions. Widgets without a fetch are purely local: no
+ * refresh button, no loading state, just their content.
+ *
+ * SAVED CONTENT: Storage and imports can hold anything, so saved content is
+ * checked with `validateContent` before it renders; when it returns an
+ * error the widget starts over from createContent() instead.
+ *
+ * DATA SOURCES: `fetch` is the mock source and marks the type as
+ * fetchable; `rest` and `fixture` let the same widget run against a real
+ * API or static data instead (see constants/dataSources.js).
+ *
+ * ERRORS: fetch may throw a WidgetFetchError (lib/errors.js) to mark a
+ * failure as transient (retried with backoff) or permanent (not retried).
+ */
+
+const definitions = new Map();
+const listeners = new Set();
+
+// Stable array for useSyncExternalStore, rebuilt only on change
+let snapshot = [];
+
+function emitChange(id) {
+  snapshot = [...definitions.values()];
+  listeners.forEach((listener) => listener(id));
+}
+
+const REQUIRED_FUNCTIONS = ["render"];
+const OPTIONAL_FUNCTIONS = [
+  "fetch",
+  "createContent",
+  "validateContent",
+  "getAlert",
+  "getBadge",
+];
+
+/**
+ * Adds a widget type to the registry
+ *
+ * @param {Object} definition - Widget definition (see above)
+ * @returns {Function} Unregisters the widget type again
+ * @throws {Error} If the definition is incomplete or the id is taken
+ */
+export function registerWidget(definition) {
+  const { id, name } = definition ?? {};
+
+  if (typeof id !== "string" || !/^[a-z][a-z0-9-]*$/.test(id)) {
+    throw new Error(
+      `Widget id must be a lowercase string, got ${JSON.stringify(id)}`
+    );
+  }
+  if (typeof name !== "string" || name === "") {
+    throw new Error(`Widget "${id}" needs a name`);
+  }
+  REQUIRED_FUNCTIONS.forEach((key) => {
+    if (typeof definition[key] !== "function") {
+      throw new Error(`Widget "${id}" needs a ${key} function`);
+    }
+  });
+  OPTIONAL_FUNCTIONS.forEach((key) => {
+    if (
+      definition[key] !== undefined &&
+      typeof definition[key] !== "function"
+    ) {
+      throw new Error(`Widget "${id}" ${key} must be a function`);
+    }
+  });
+  if (
+    definition.retry !== undefined &&
+    (typeof definition.retry !== "object" || definition.retry === null)
+  ) {
+    throw new Error(`Widget "${id}" retry must be an object`);
+  }
+  if (
+    definition.cacheTtl !== undefined &&
+    !(typeof definition.cacheTtl === "number" && definition.cacheTtl >= 0)
+  ) {
+    throw new Error(`Widget "${id}" cacheTtl must be a number >= 0`);
+  }
+  if (
+    definition.dataVersion !== undefined &&
+    !(Number.isInteger(definition.dataVersion) && definition.dataVersion >= 1)
+  ) {
+    throw new Error(`Widget "${id}" dataVersion must be an integer >= 1`);
+  }
+  if (
+    definition.rest !== undefined &&
+    typeof definition.rest?.url !== "string"
+  ) {
+    throw new Error(`Widget "${id}" rest config needs a url`);
+  }
+  if (definitions.has(id)) {
+    throw new Error(`Widget "${id}" is already registered`);
+  }
+
+  definitions.set(id, Object.freeze({ ...definition }));
+  emitChange(id);
+  return () => unregisterWidget(id);
+}
+
+/**
+ * Removes a widget type. Widgets of that type stay on the dashboard and
+ * render as unavailable until the type is registered again.
+ *
+ * @param {string} id - Widget type id
+ */
+export function unregisterWidget(id) {
+  if (definitions.delete(id)) emitChange(id);
+}
+
+/**
+ * @param {string} id - Widget type id
+ * @returns {Object|undefined} The definition, if registered
+ */
+export function getWidgetDefinition(id) {
+  return definitions.get(id);
+}
+
+/**
+ * @returns {Array<Object>} All definitions, in registration order
+ */
+export function getWidgetDefinitions() {
+  return snapshot;
+}
+
+/**
+ * Calls listener(id) whenever a widget type is registered or removed
+ *
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToRegistry(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
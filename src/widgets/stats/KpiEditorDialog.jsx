@@ -0,0 +1,312 @@
+import { ArrowDown, ArrowUp, Plus, Trash2 } from "lucide-react";
+import { useState } from "react";
+
+import {
+  Button,
+  Checkbox,
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  Input,
+  Label,
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui";
+
+import { ICON_NAMES, ICON_NAME_LIST } from "./iconNames";
+import { KpiIcon } from "./KpiIcon";
+import {
+  KPI_COLORS,
+  KPI_FORMATS,
+  createKpi,
+  toIconName,
+  validateKpis,
+} from "./kpis";
+
+// The dialog renders inside the card: its drag events must not reach the
+// card's drag handlers (React events bubble out of portals)
+const stopDrag = (e) => e.stopPropagation();
+
+/**
+ * Edits a Stats widget's KPIs
+ *
+ * Changes are made on a draft and saved together, so one edit session is
+ * one undo step. Only mounted while open, so cancelling discards the draft.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.kpis - Current KPIs
+ * @param {Array<Object>} props.metrics - Available value sources
+ * @param {Function} props.onSave - (kpis) => void
+ */
+export function KpiEditorDialog({ open, onOpenChange, kpis, metrics, onSave }) {
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent
+        className="max-w-2xl max-h-[90vh] overflow-hidden flex flex-col"
+        onDragStart={stopDrag}
+        onDragOver={stopDrag}
+        onDragEnd={stopDrag}
+      >
+        <DialogHeader>
+          <DialogTitle>Edit KPIs</DialogTitle>
+          <DialogDescription>
+            Choose which metrics to show and how to present them
+          </DialogDescription>
+        </DialogHeader>
+        {open && (
+          <KpiForm
+            kpis={kpis}
+            metrics={metrics}
+            onSave={(next) => {
+              onSave(next);
+              onOpenChange(false);
+            }}
+            onCancel={() => onOpenChange(false)}
+          />
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function KpiForm({ kpis, metrics, onSave, onCancel }) {
+  const [draft, setDraft] = useState(kpis);
+  const [errors, setErrors] = useState({});
+
+  const updateKpi = (id, fields) =>
+    setDraft((current) =>
+      current.map((kpi) => (kpi.id === id ? { ...kpi, ...fields } : kpi))
+    );
+  const moveKpi = (index, offset) =>
+    setDraft((current) => {
+      const next = [...current];
+      const [kpi] = next.splice(index, 1);
+      next.splice(index + offset, 0, kpi);
+      return next;
+    });
+
+  const handleSave = () => {
+    const nextErrors = validateKpis(draft, ICON_NAMES);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+    const next = draft.map((kpi) => ({
+      ...kpi,
+      label: kpi.label.trim(),
+      icon: toIconName(kpi.icon),
+    }));
+    // Saving without changes would still be an undo step
+    if (JSON.stringify(next) === JSON.stringify(kpis)) onCancel();
+    else onSave(next);
+  };
+
+  return (
+    <>
+      <datalist id="kpi-icon-names">
+        {ICON_NAME_LIST.map((name) => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+      <div className="flex-1 space-y-3 overflow-y-auto p-1">
+        {draft.map((kpi, index) => (
+          <KpiFields
+            key={kpi.id}
+            kpi={kpi}
+            metrics={metrics}
+            error={errors[kpi.id]}
+            onChange={(fields) => updateKpi(kpi.id, fields)}
+            onRemove={() =>
+              setDraft((current) => current.filter(({ id }) => id !== kpi.id))
+            }
+            onMoveUp={index > 0 ? () => moveKpi(index, -1) : undefined}
+            onMoveDown={
+              index < draft.length - 1 ? () => moveKpi(index, 1) : undefined
+            }
+          />
+        ))}
+        <Button
+          variant="outline"
+          className="w-full"
+          onClick={() =>
+            setDraft((current) => [
+              ...current,
+              createKpi({
+                label: metrics[0]?.label ?? "New KPI",
+                source: metrics[0]?.key ?? "",
+              }),
+            ])
+          }
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Add KPI
+        </Button>
+      </div>
+      <DialogFooter>
+        <Button variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button onClick={handleSave}>Save</Button>
+      </DialogFooter>
+    </>
+  );
+}
+
+function KpiFields({
+  kpi,
+  metrics,
+  error,
+  onChange,
+  onRemove,
+  onMoveUp,
+  onMoveDown,
+}) {
+  const fieldId = (name) => `${kpi.id}-${name}`;
+  // A source the data no longer has stays selectable, so it isn't lost
+  const sources = metrics.some((metric) => metric.key === kpi.source)
+    ? metrics
+    : [
+        ...metrics,
+        ...(kpi.source
+          ? [{ key: kpi.source, label: `${kpi.source} (no data)` }]
+          : []),
+      ];
+
+  return (
+    <fieldset
+      className={`space-y-3 rounded-md border p-3 ${
+        error ? "border-red-300" : "border-gray-200"
+      }`}
+    >
+      <legend className="sr-only">{kpi.label || "KPI"}</legend>
+      <div className="flex items-center gap-2">
+        <span className={KPI_COLORS[kpi.color] ?? KPI_COLORS.gray}>
+          <KpiIcon name={kpi.icon} />
+        </span>
+        <Input
+          value={kpi.label}
+          onChange={(e) => onChange({ label: e.target.value })}
+          aria-label="Label"
+          placeholder="Label"
+          maxLength={40}
+          className="flex-1"
+        />
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={onMoveUp}
+          disabled={!onMoveUp}
+          aria-label="Move up"
+        >
+          <ArrowUp className="h-4 w-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={onMoveDown}
+          disabled={!onMoveDown}
+          aria-label="Move down"
+        >
+          <ArrowDown className="h-4 w-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={onRemove}
+          aria-label="Remove KPI"
+          className="hover:text-red-600"
+        >
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <Label htmlFor={fieldId("source")}>Value source</Label>
+          <Select
+            value={kpi.source || undefined}
+            onValueChange={(source) => onChange({ source })}
+          >
+            <SelectTrigger id={fieldId("source")} className="w-full">
+              <SelectValue placeholder="Choose a metric..." />
+            </SelectTrigger>
+            <SelectContent>
+              {sources.map((metric) => (
+                <SelectItem key={metric.key} value={metric.key}>
+                  {metric.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor={fieldId("format")}>Format</Label>
+          <Select
+            value={kpi.format}
+            onValueChange={(format) => onChange({ format })}
+          >
+            <SelectTrigger id={fieldId("format")} className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {KPI_FORMATS.map((format) => (
+                <SelectItem key={format.value} value={format.value}>
+                  {format.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor={fieldId("icon")}>Icon</Label>
+          <Input
+            id={fieldId("icon")}
+            value={kpi.icon}
+            onChange={(e) => onChange({ icon: e.target.value })}
+            list="kpi-icon-names"
+            placeholder="e.g. trending-up"
+            spellCheck={false}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor={fieldId("color")}>Colour</Label>
+          <Select
+            value={kpi.color}
+            onValueChange={(color) => onChange({ color })}
+          >
+            <SelectTrigger id={fieldId("color")} className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(KPI_COLORS).map(([color, className]) => (
+                <SelectItem key={color} value={color}>
+                  <span
+                    className={`h-3 w-3 rounded-full bg-current ${className}`}
+                  />
+                  {color[0].toUpperCase() + color.slice(1)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <Checkbox
+          id={fieldId("compare")}
+          checked={kpi.compare}
+          onCheckedChange={(checked) => onChange({ compare: checked === true })}
+        />
+        <Label htmlFor={fieldId("compare")} className="font-normal">
+          Compare with the previous value
+        </Label>
+      </div>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </fieldset>
+  );
+}
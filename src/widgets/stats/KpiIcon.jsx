@@ -0,0 +1,26 @@
+import { DynamicIcon } from "lucide-react/dynamic";
+
+import { ICON_NAMES } from "./iconNames";
+import { toIconName } from "./kpis";
+
+// Holds the space while an icon's module loads
+function IconPlaceholder() {
+  return <span className="inline-block h-5 w-5" />;
+}
+
+/**
+ * Any lucide icon by name, loaded on demand; unknown names show a "?"
+ *
+ * PERFORMANCE: Each icon is its own chunk, so allowing every lucide icon
+ * doesn't put all of them in the main bundle.
+ */
+export function KpiIcon({ name }) {
+  const iconName = toIconName(name);
+  return (
+    <DynamicIcon
+      name={ICON_NAMES.has(iconName) ? iconName : "circle-help"}
+      className="h-5 w-5"
+      fallback={IconPlaceholder}
+    />
+  );
+}
@@ -0,0 +1,112 @@
+import { ArrowDownRight, ArrowUpRight, Minus, Pencil } from "lucide-react";
+import { Suspense, lazy, useState } from "react";
+
+import { Button } from "@/components/ui";
+
+import { KPI_COLORS, formatKpiValue, getDelta } from "./kpis";
+
+// PERFORMANCE: Both need lucide's list of icon names; loading them lazily
+// keeps it out of the main bundle
+const KpiIcon = lazy(() =>
+  import("./KpiIcon").then((module) => ({ default: module.KpiIcon }))
+);
+const KpiEditorDialog = lazy(() =>
+  import("./KpiEditorDialog").then((module) => ({
+    default: module.KpiEditorDialog,
+  }))
+);
+
+const DELTA_STYLES = {
+  up: { Icon: ArrowUpRight, className: "text-green-600" },
+  down: { Icon: ArrowDownRight, className: "text-red-600" },
+  flat: { Icon: Minus, className: "text-gray-400" },
+};
+
+/**
+ * Stats widget body
+ *
+ * Shows the user's KPIs (`widget.content.kpis`) against the fetched
+ * metrics. The grid fits as many columns as the card's width allows, so a
+ * resized card reflows instead of squeezing a fixed three.
+ */
+export function StatsContent({ widget, data, content, actions }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const kpis = content?.kpis ?? [];
+  const metrics = new Map(data.metrics.map((metric) => [metric.key, metric]));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-baseline justify-between">
+        <h3 className="text-base font-semibold text-gray-900">Stats</h3>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="h-7 px-2 text-xs text-gray-500"
+          onClick={() => setIsEditing(true)}
+        >
+          <Pencil className="h-3 w-3 mr-1" />
+          Edit KPIs
+        </Button>
+      </div>
+
+      {kpis.length === 0 ? (
+        <p className="py-4 text-center text-sm text-gray-500">
+          No KPIs yet. Use Edit KPIs to choose what to track.
+        </p>
+      ) : (
+        <div className="grid grid-cols-[repeat(auto-fit,minmax(6.5rem,1fr))] gap-2 pt-2">
+          {kpis.map((kpi) => (
+            <KpiTile key={kpi.id} kpi={kpi} metric={metrics.get(kpi.source)} />
+          ))}
+        </div>
+      )}
+
+      {isEditing && (
+        <Suspense fallback={null}>
+          <KpiEditorDialog
+            open={isEditing}
+            onOpenChange={setIsEditing}
+            kpis={kpis}
+            metrics={data.metrics}
+            onSave={(next) => actions.updateKpis(widget.id, next)}
+          />
+        </Suspense>
+      )}
+    </div>
+  );
+}
+
+function KpiTile({ kpi, metric }) {
+  const delta = kpi.compare ? getDelta(metric) : null;
+  const deltaStyle = delta && DELTA_STYLES[delta.direction];
+
+  return (
+    <div
+      className="flex flex-col items-center text-center space-y-1"
+      title={metric ? undefined : `No data for "${kpi.source}"`}
+    >
+      <span className={KPI_COLORS[kpi.color] ?? KPI_COLORS.gray}>
+        <Suspense fallback={<span className="inline-block h-5 w-5" />}>
+          <KpiIcon name={kpi.icon} />
+        </Suspense>
+      </span>
+      <span className="text-xl font-bold text-gray-900">
+        {formatKpiValue(metric?.value, kpi.format)}
+      </span>
+      <span className="text-xs text-gray-500 font-medium">{kpi.label}</span>
+      {delta && (
+        <span
+          className={`flex items-center text-xs font-medium ${deltaStyle.className}`}
+        >
+          <deltaStyle.Icon className="h-3 w-3" aria-hidden="true" />
+          {delta.percent.toFixed(1)}%
+          <span className="sr-only">
+            {delta.direction === "flat"
+              ? " unchanged"
+              : ` ${delta.direction} from the previous value`}
+          </span>
+        </span>
+      )}
+    </div>
+  );
+}
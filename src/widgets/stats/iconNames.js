@@ -0,0 +1,10 @@
+import { iconNames } from "lucide-react/dynamic";
+
+/**
+ * Every lucide icon name (kebab case), for KPI icons
+ *
+ * PERFORMANCE: Only imported by lazily loaded modules (KpiIcon,
+ * KpiEditorDialog), so the list stays out of the main bundle.
+ */
+export const ICON_NAME_LIST = iconNames;
+export const ICON_NAMES = new Set(iconNames);
@@ -0,0 +1,31 @@
+import { dataSourceField } from "@/lib/dataSource";
+
+import fixture from "./fixture.json";
+import { createDefaultKpis, isKpi } from "./kpis";
+import { StatsContent } from "./StatsContent";
+
+export const statsWidget = {
+  id: "stats",
+  name: "Stats Widget",
+  color: "bg-pink-500",
+  icon: "📊",
+  description: "Key performance metrics",
+  settingsSchema: {
+    dataSource: dataSourceField(),
+  },
+  // 2: numeric metrics the KPIs pick from (1 held preformatted stats)
+  dataVersion: 2,
+  // The metrics are static demo values, shared with the fixture
+  fetch: async () => fixture,
+  // GET {VITE_API_BASE_URL}/stats
+  // → { metrics: [{ key, label, value, previous }] } (see kpis.js)
+  rest: { url: "/stats" },
+  fixture,
+  // Which metrics to show and how is user-owned, saved with the dashboard
+  createContent: () => ({ kpis: createDefaultKpis() }),
+  validateContent: ({ kpis }) =>
+    Array.isArray(kpis) && kpis.every(isKpi)
+      ? null
+      : "KPIs are not a list of { id, label, source }",
+  render: StatsContent,
+};
@@ -0,0 +1,177 @@
+import { generateKpiId } from "@/lib/utils";
+
+/**
+ * KPI definitions for the Stats widget
+ *
+ * The data source delivers a list of metrics, { metrics: [{ key, label,
+ * value, previous }] }, with plain numbers. What the card shows is up to
+ * the user: each KPI in `content.kpis` picks a metric (its value source)
+ * and how to present it:
+ * { id, label, source, format, icon, color, compare }
+ * `icon` is any lucide icon name in kebab case (e.g. "trending-up").
+ *
+ * PERFORMANCE: The list of lucide icon names is large, so it lives in
+ * iconNames.js, which only lazily loaded modules import.
+ */
+
+export const KPI_FORMATS = [
+  { value: "number", label: "Number (2,847)" },
+  { value: "compact", label: "Compact (2.8K)" },
+  { value: "percent", label: "Percent (12.5%)" },
+  { value: "currency", label: "Currency ($2,847)" },
+];
+
+// Literal class names, so Tailwind keeps them
+export const KPI_COLORS = {
+  blue: "text-blue-500",
+  green: "text-green-500",
+  purple: "text-purple-500",
+  amber: "text-amber-500",
+  red: "text-red-500",
+  pink: "text-pink-500",
+  gray: "text-gray-500",
+};
+
+const FORMATTERS = {
+  number: new Intl.NumberFormat("en-US", { maximumFractionDigits: 2 }),
+  compact: new Intl.NumberFormat("en-US", {
+    notation: "compact",
+    maximumFractionDigits: 1,
+  }),
+  percent: new Intl.NumberFormat("en-US", {
+    style: "percent",
+    maximumFractionDigits: 1,
+  }),
+  currency: new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0,
+  }),
+};
+
+/**
+ * The KPIs a new Stats widget starts with
+ */
+export function createDefaultKpis() {
+  return [
+    createKpi({
+      label: "Total Users",
+      source: "users.total",
+      icon: "users",
+      color: "blue",
+    }),
+    createKpi({
+      label: "Growth",
+      source: "users.growth",
+      format: "percent",
+      icon: "trending-up",
+      color: "green",
+      compare: false,
+    }),
+    createKpi({
+      label: "Active Now",
+      source: "users.active",
+      icon: "activity",
+      color: "purple",
+    }),
+  ];
+}
+
+/**
+ * @param {Object} [fields] - Any KPI fields to preset
+ * @returns {Object} A complete KPI with a new id
+ */
+export function createKpi(fields = {}) {
+  return {
+    id: generateKpiId(),
+    label: "New KPI",
+    source: "",
+    format: "number",
+    icon: "chart-column",
+    color: "blue",
+    compare: true,
+    ...fields,
+  };
+}
+
+/**
+ * Whether a saved KPI has the fields tiles and the editor rely on; the
+ * rest (format, icon, color) falls back when unknown
+ *
+ * @param {*} kpi
+ * @returns {boolean}
+ */
+export function isKpi(kpi) {
+  return (
+    typeof kpi?.id === "string" &&
+    typeof kpi.label === "string" &&
+    typeof kpi.source === "string"
+  );
+}
+
+/**
+ * Formats a metric value; percent values are given in percent (12.5)
+ *
+ * @param {number} value
+ * @param {string} format - A KPI_FORMATS value
+ * @returns {string}
+ */
+export function formatKpiValue(value, format) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return "—";
+  const formatter = FORMATTERS[format] ?? FORMATTERS.number;
+  return formatter.format(format === "percent" ? value / 100 : value);
+}
+
+/**
+ * Change of a metric since its previous value
+ *
+ * @param {Object} metric - { value, previous }
+ * @returns {{direction: "up"|"down"|"flat", percent: number}|null} null
+ *   when there is nothing to compare with
+ */
+export function getDelta({ value, previous } = {}) {
+  if (
+    typeof value !== "number" ||
+    typeof previous !== "number" ||
+    previous === 0
+  ) {
+    return null;
+  }
+  const percent = ((value - previous) / Math.abs(previous)) * 100;
+  const direction = percent > 0 ? "up" : percent < 0 ? "down" : "flat";
+  return { direction, percent: Math.abs(percent) };
+}
+
+/**
+ * Normalizes an icon name to lucide's kebab case ("TrendingUp" →
+ * "trending-up")
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function toIconName(name) {
+  return String(name ?? "")
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .replace(/[\s_]+/g, "-")
+    .toLowerCase();
+}
+
+/**
+ * Checks an edited KPI list
+ *
+ * @param {Array<Object>} kpis
+ * @param {Set<string>} iconNames - Known lucide icon names
+ * @returns {Object} KPI id → error message, empty when all are valid
+ */
+export function validateKpis(kpis, iconNames) {
+  const errors = {};
+  kpis.forEach((kpi) => {
+    if (!kpi.label.trim()) errors[kpi.id] = "Give the KPI a label";
+    else if (!kpi.source) errors[kpi.id] = "Choose a value source";
+    else if (!iconNames.has(toIconName(kpi.icon))) {
+      errors[kpi.id] = `"${kpi.icon}" isn't a lucide icon`;
+    }
+  });
+  return errors;
+}
@@ -0,0 +1,60 @@
+import { Sparkline, ValueContent } from "@/components/Charts";
+
+import { usePriceHistory } from "./priceHistory";
+import { formatPrice } from "./quote";
+
+export function StockContent({ data }) {
+  const history = usePriceHistory(data);
+  const isDown = data.change < 0;
+  const sign = isDown ? "" : "+";
+  const prices = history.map((point) => point.price);
+  const trend = prices.length > 1 ? prices.at(-1) - prices[0] : data.change;
+
+  return (
+    <ValueContent
+      title="Stock Price"
+      icon="📈"
+      value={formatPrice(data.price, data.currency)}
+    >
+      <div className="flex items-baseline justify-between gap-2">
+        <div className="text-sm font-medium text-gray-600">{data.symbol}</div>
+        <div
+          className={`text-sm font-medium ${
+            isDown ? "text-red-500" : "text-green-500"
+          }`}
+        >
+          {sign}
+          {data.change.toFixed(2)} ({sign}
+          {data.changePercent.toFixed(2)}%)
+        </div>
+      </div>
+
+      {prices.length > 1 ? (
+        <Sparkline
+          values={prices}
+          className={trend < 0 ? "text-red-500" : "text-green-500"}
+          label={`${data.symbol} price over the last ${prices.length} updates`}
+        />
+      ) : (
+        <p className="text-xs text-gray-400">
+          The price trend appears after the next refresh
+        </p>
+      )}
+
+      <dl className="grid grid-cols-3 gap-2 text-xs">
+        {[
+          ["Open", data.open],
+          ["High", data.high],
+          ["Low", data.low],
+        ].map(([label, value]) => (
+          <div key={label}>
+            <dt className="text-gray-400">{label}</dt>
+            <dd className="font-medium text-gray-700">
+              {formatPrice(value, data.currency)}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </ValueContent>
+  );
+}
@@ -0,0 +1,61 @@
+import { dataSourceField } from "@/lib/dataSource";
+import { refreshIntervalField } from "@/lib/polling";
+
+import fixture from "./fixture.json";
+import { getPriceAlert, nextMockQuote, toQuote } from "./quote";
+import { StockContent } from "./StockContent";
+
+export const stockWidget = {
+  id: "stock",
+  name: "Stock Price",
+  color: "bg-green-500",
+  icon: "📈",
+  description: "Real-time stock prices",
+  settingsSchema: {
+    symbol: {
+      type: "string",
+      label: "Ticker symbol",
+      default: "AAPL",
+      required: true,
+      transform: "uppercase",
+      pattern: "^[A-Z][A-Z.]{0,5}$",
+      patternMessage: "Use 1 to 6 letters, e.g. MSFT or BRK.B",
+      placeholder: "e.g. MSFT",
+    },
+    refreshInterval: refreshIntervalField("60"),
+    alertAbove: {
+      type: "number",
+      // Only read by getAlert
+      display: true,
+      label: "Alert above",
+      min: 0,
+      placeholder: "e.g. 200",
+      description: "Highlights the card when the price reaches this",
+    },
+    alertBelow: {
+      type: "number",
+      // Only read by getAlert
+      display: true,
+      label: "Alert below",
+      min: 0,
+      placeholder: "e.g. 150",
+      description: "Highlights the card when the price falls to this",
+    },
+    dataSource: dataSourceField(),
+  },
+  // Prices move quickly, cached quotes stay fresh for a minute only
+  cacheTtl: 60 * 1000,
+  // 2: structured numeric quotes (1 held preformatted strings)
+  dataVersion: 2,
+  fetch: async ({ symbol }) => nextMockQuote(symbol),
+  // GET {VITE_API_BASE_URL}/stocks/MSFT
+  // → { symbol: "MSFT", currency: "USD", price: 412.5, previousClose: 415.8,
+  //     open: 414.9, high: 416.2, low: 411.7, timestamp: 1760000000000 }
+  rest: {
+    url: "/stocks/{symbol}",
+    map: (json) => toQuote(json),
+  },
+  fixture,
+  getAlert: getPriceAlert,
+  render: StockContent,
+};
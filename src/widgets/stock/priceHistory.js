@@ -0,0 +1,58 @@
+import { useEffect, useSyncExternalStore } from "react";
+
+/**
+ * Recent prices per symbol, for the sparkline
+ *
+ * ARCHITECTURE:
+ * History is kept in memory only, outside widget state: it isn't part of
+ * the saved dashboard or of undo, and two widgets showing the same symbol
+ * share one line. It starts empty on every page load and fills as quotes
+ * arrive (refreshes, polling, cache hits).
+ */
+
+const MAX_POINTS = 60;
+const EMPTY = [];
+
+const histories = new Map(); // symbol → [{ time, price }], oldest first
+const listeners = new Set();
+
+/**
+ * Appends a quote's price to its symbol's history
+ * A quote that was already recorded (same timestamp) is ignored, so
+ * re-rendering or re-reading cached data never adds duplicate points.
+ *
+ * @param {Object} quote - Structured quote
+ */
+export function recordQuote({ symbol, price, timestamp }) {
+  if (typeof price !== "number") return;
+  const points = histories.get(symbol) ?? EMPTY;
+  if (points.some((point) => point.time === timestamp)) return;
+
+  const next = [...points, { time: timestamp, price }]
+    .sort((a, b) => a.time - b.time)
+    .slice(-MAX_POINTS);
+  histories.set(symbol, next);
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Records the quote and returns its symbol's history
+ *
+ * @param {Object} quote - Structured quote
+ * @returns {Array<{time: number, price: number}>} Oldest first
+ */
+export function usePriceHistory(quote) {
+  useEffect(() => {
+    recordQuote(quote);
+  }, [quote]);
+
+  return useSyncExternalStore(
+    subscribe,
+    () => histories.get(quote.symbol) ?? EMPTY
+  );
+}
@@ -0,0 +1,110 @@
+/**
+ * Stock quote helpers
+ *
+ * Every data source hands StockContent the same structured quote, all
+ * prices as plain numbers so they can be formatted, compared against
+ * alerts and charted:
+ * { symbol, currency, price, change, changePercent, open, high, low,
+ *   timestamp }
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Builds a quote, deriving the change from the previous close
+ *
+ * @param {Object} raw - { symbol, currency?, price, previousClose, open,
+ *   high, low, timestamp? }
+ * @returns {Object} Structured quote
+ */
+export function toQuote({
+  symbol,
+  currency = "USD",
+  price,
+  previousClose,
+  open,
+  high,
+  low,
+  timestamp = Date.now(),
+}) {
+  return {
+    symbol,
+    currency,
+    price: round(price),
+    change: round(price - previousClose),
+    changePercent: round(((price - previousClose) / previousClose) * 100),
+    open: round(open),
+    high: round(high),
+    low: round(low),
+    timestamp,
+  };
+}
+
+// Mock market state per symbol, kept for the page's lifetime
+const mockSessions = new Map();
+
+/**
+ * Next mock quote for a symbol
+ *
+ * Each symbol starts from a stable price derived from its name and then
+ * random-walks, so consecutive refreshes look like a live ticker instead
+ * of unrelated numbers.
+ *
+ * @param {string} symbol
+ * @returns {Object} Structured quote
+ */
+export function nextMockQuote(symbol) {
+  let session = mockSessions.get(symbol);
+  if (!session) {
+    const previousClose = getStartingPrice(symbol);
+    const open = previousClose * (1 + (Math.random() - 0.5) * 0.02);
+    session = { previousClose, open, price: open, high: open, low: open };
+    mockSessions.set(symbol, session);
+  }
+
+  session.price *= 1 + (Math.random() - 0.5) * 0.01;
+  session.high = Math.max(session.high, session.price);
+  session.low = Math.min(session.low, session.price);
+  return toQuote({ symbol, ...session });
+}
+
+/**
+ * Deterministic price between 50 and 550 for a symbol
+ */
+function getStartingPrice(symbol) {
+  let hash = 0;
+  for (const char of symbol) hash = (hash * 31 + char.charCodeAt(0)) % 50000;
+  return 50 + hash / 100;
+}
+
+/**
+ * Formats a price in the quote's currency, e.g. "$189.42"
+ *
+ * @param {number} value
+ * @param {string} [currency]
+ * @returns {string}
+ */
+export function formatPrice(value, currency = "USD") {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+  }).format(value);
+}
+
+/**
+ * Price alert for a quote, if one of the thresholds has been crossed
+ *
+ * @param {Object} quote - Structured quote
+ * @param {Object} settings - { alertAbove?, alertBelow? }
+ * @returns {string|null} e.g. "Above $200.00"
+ */
+export function getPriceAlert(quote, { alertAbove, alertBelow } = {}) {
+  if (typeof quote?.price !== "number") return null;
+  if (alertAbove !== undefined && quote.price >= alertAbove) {
+    return `Above ${formatPrice(alertAbove, quote.currency)}`;
+  }
+  if (alertBelow !== undefined && quote.price <= alertBelow) {
+    return `Below ${formatPrice(alertBelow, quote.currency)}`;
+  }
+  return null;
+}
@@ -0,0 +1,263 @@
+import { GripVertical, Pencil, Plus, X } from "lucide-react";
+import { useRef, useState } from "react";
+
+import { Button, Checkbox, Input } from "@/components/ui";
+import { WIDGET_ACTIONS } from "@/constants/widgetActions";
+import { useDragAndDrop } from "@/hooks";
+import { tasksReducer } from "@/reducers";
+
+/**
+ * Task List widget body
+ *
+ * Tasks live in `widget.content.items` and every edit goes through the
+ * task reducer actions (`actions.addTask`, ...), so they are saved with the
+ * dashboard, undoable, and never touched by a refresh.
+ *
+ * REORDERING:
+ * Reuses useDragAndDrop (mouse and keyboard). Rows stay in committed order
+ * in the DOM and the preview is applied with CSS `order`, so the row being
+ * dragged is never moved mid-drag. Drop targets are preview positions.
+ */
+export function TasksContent({ widget, content, actions }) {
+  const items = content?.items ?? [];
+  const completedCount = items.filter((item) => item.completed).length;
+
+  const {
+    draggedIndex,
+    dragOverIndex,
+    announcement,
+    handleDragStart,
+    handleDragOver,
+    handleDragEnd,
+    handleKeyDown,
+    handleKeyboardBlur,
+  } = useDragAndDrop(
+    (fromIndex, toIndex) => actions.reorderTasks(widget.id, fromIndex, toIndex),
+    { getItemLabel: (index) => `Task "${items[index]?.text}"` }
+  );
+  const isDragging = draggedIndex !== null;
+
+  // Preview the pending move through the real reducer, like the grid does
+  const previewItems =
+    isDragging && dragOverIndex !== null
+      ? tasksReducer(items, {
+          type: WIDGET_ACTIONS.REORDER_TASKS,
+          payload: { fromIndex: draggedIndex, toIndex: dragOverIndex },
+        })
+      : items;
+  // Keyboard moves step through positions, which are plain indexes here
+  const positions = items.map((item, index) => index);
+
+  // Only claim drag events while one of our own rows is being dragged;
+  // otherwise a widget card dragged over this list must still reach the grid
+  const ownDragEvent = (handler) => (e) => {
+    if (isDragging) e.stopPropagation();
+    handler(e);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-baseline justify-between">
+        <h3 className="text-base font-semibold text-gray-900">Tasks</h3>
+        {items.length > 0 && (
+          <span className="text-xs text-gray-500">
+            {completedCount} of {items.length} completed
+          </span>
+        )}
+      </div>
+
+      {items.length > 0 && (
+        <div
+          className="h-1.5 rounded-full bg-gray-100"
+          role="progressbar"
+          aria-label="Tasks completed"
+          aria-valuemin={0}
+          aria-valuemax={items.length}
+          aria-valuenow={completedCount}
+        >
+          <div
+            className="h-full rounded-full bg-indigo-500 transition-all"
+            style={{ width: `${(completedCount / items.length) * 100}%` }}
+          />
+        </div>
+      )}
+
+      {/* ACCESSIBILITY: Keyboard reordering instructions and live updates */}
+      <p id={`${widget.id}-task-instructions`} className="sr-only">
+        Press Space or Enter to pick up the task. Use the arrow keys to move it,
+        Enter to drop it, or Escape to cancel.
+      </p>
+      <div aria-live="assertive" aria-atomic="true" className="sr-only">
+        {announcement}
+      </div>
+
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-500">No tasks yet</p>
+      ) : (
+        <ul className="flex flex-col gap-1">
+          {items.map((item, index) => (
+            <TaskItem
+              key={item.id}
+              widgetId={widget.id}
+              item={item}
+              position={previewItems.indexOf(item)}
+              isDragging={draggedIndex === index}
+              dragHandlers={{
+                onDragStart: (e) => {
+                  e.stopPropagation(); // Never start a widget card drag
+                  handleDragStart(index)(e);
+                },
+                onDragOver: ownDragEvent(
+                  handleDragOver(previewItems.indexOf(item))
+                ),
+                onDragEnd: ownDragEvent(handleDragEnd),
+                onKeyDown: handleKeyDown(index, positions),
+                onBlur: handleKeyboardBlur(index),
+              }}
+              onToggle={() => actions.toggleTask(widget.id, item.id)}
+              onRename={(text) => actions.renameTask(widget.id, item.id, text)}
+              onDelete={() => actions.deleteTask(widget.id, item.id)}
+            />
+          ))}
+        </ul>
+      )}
+
+      <AddTaskForm onAdd={(text) => actions.addTask(widget.id, text)} />
+    </div>
+  );
+}
+
+function TaskItem({
+  widgetId,
+  item,
+  position,
+  isDragging,
+  dragHandlers,
+  onToggle,
+  onRename,
+  onDelete,
+}) {
+  const [draft, setDraft] = useState(null);
+  const isEditing = draft !== null;
+  // Escape leaves edit mode through blur too, but must not save
+  const isCancellingRef = useRef(false);
+
+  // Every exit from edit mode goes through blur, so it commits exactly once
+  const handleEditBlur = () => {
+    const text = draft.trim();
+    if (!isCancellingRef.current && text && text !== item.text) {
+      onRename(text);
+    }
+    isCancellingRef.current = false;
+    setDraft(null);
+  };
+
+  return (
+    <li
+      draggable={!isEditing}
+      onDragStart={dragHandlers.onDragStart}
+      onDragOver={dragHandlers.onDragOver}
+      onDragEnd={dragHandlers.onDragEnd}
+      className={`group flex items-center gap-2 rounded-md py-1 pr-1 ${
+        isDragging ? "bg-indigo-50 opacity-60" : "hover:bg-gray-50"
+      }`}
+      style={{ order: position }}
+    >
+      <button
+        type="button"
+        onKeyDown={dragHandlers.onKeyDown}
+        onBlur={dragHandlers.onBlur}
+        aria-label={`Reorder task "${item.text}"`}
+        aria-pressed={isDragging}
+        aria-describedby={`${widgetId}-task-instructions`}
+        className="rounded text-gray-300 cursor-grab active:cursor-grabbing focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500"
+      >
+        <GripVertical className="h-3.5 w-3.5" />
+      </button>
+      <Checkbox
+        checked={item.completed}
+        onCheckedChange={onToggle}
+        aria-label={`Complete "${item.text}"`}
+      />
+      {isEditing ? (
+        <Input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={handleEditBlur}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") isCancellingRef.current = true;
+            if (e.key === "Enter" || e.key === "Escape") {
+              e.preventDefault();
+              e.currentTarget.blur();
+            }
+          }}
+          aria-label="Task name"
+          className="h-7 flex-1"
+          autoFocus
+        />
+      ) : (
+        <span
+          onDoubleClick={() => setDraft(item.text)}
+          title="Double-click to rename"
+          className={`flex-1 text-sm font-medium leading-none ${
+            item.completed ? "text-gray-400 line-through" : "text-gray-700"
+          }`}
+        >
+          {item.text}
+        </span>
+      )}
+      {!isEditing && (
+        <button
+          type="button"
+          onClick={() => setDraft(item.text)}
+          aria-label={`Rename task "${item.text}"`}
+          className="rounded text-gray-400 opacity-0 hover:text-gray-700 group-hover:opacity-100 focus-visible:opacity-100 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500"
+        >
+          <Pencil className="h-3.5 w-3.5" />
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={onDelete}
+        aria-label={`Delete task "${item.text}"`}
+        className="rounded text-gray-400 opacity-0 hover:text-red-600 group-hover:opacity-100 focus-visible:opacity-100 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-red-500"
+      >
+        <X className="h-3.5 w-3.5" />
+      </button>
+    </li>
+  );
+}
+
+function AddTaskForm({ onAdd }) {
+  const [text, setText] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    onAdd(trimmed);
+    setText("");
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex gap-2">
+      <Input
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="Add a task"
+        aria-label="New task"
+        className="h-8"
+      />
+      <Button
+        type="submit"
+        size="icon"
+        variant="outline"
+        className="h-8 w-8 shrink-0"
+        disabled={!text.trim()}
+        aria-label="Add task"
+      >
+        <Plus className="h-4 w-4" />
+      </Button>
+    </form>
+  );
+}
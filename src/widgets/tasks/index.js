@@ -0,0 +1,21 @@
+import { TasksContent } from "./TasksContent";
+
+const isTask = (item) =>
+  typeof item?.id === "string" &&
+  typeof item.text === "string" &&
+  typeof item.completed === "boolean";
+
+export const tasksWidget = {
+  id: "tasks",
+  name: "Task List",
+  color: "bg-indigo-500",
+  icon: "📋",
+  description: "Manage your daily tasks",
+  // Tasks are user-owned content: no fetch, so a refresh can't replace them
+  createContent: () => ({ items: [] }),
+  validateContent: ({ items }) =>
+    Array.isArray(items) && items.every(isTask)
+      ? null
+      : "tasks are not a list of { id, text, completed }",
+  render: TasksContent,
+};
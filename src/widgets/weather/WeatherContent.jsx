@@ -0,0 +1,115 @@
+import { ValueContent } from "@/components/Charts";
+
+import { getCondition } from "./conditions";
+import {
+  formatPrecipitation,
+  formatTemperature,
+  formatWindSpeed,
+} from "./units";
+
+export function WeatherContent({ data, settings = {} }) {
+  const { view = "current", temperatureUnit, units } = settings;
+  const condition = getCondition(data.current.condition);
+
+  return (
+    <ValueContent
+      title="Weather"
+      icon={condition.icon}
+      value={formatTemperature(data.current.temperature, temperatureUnit)}
+    >
+      <div className="text-sm text-gray-600">{data.location}</div>
+      <div className="text-xs text-gray-500">
+        {condition.label} · Feels like{" "}
+        {formatTemperature(data.current.feelsLike, temperatureUnit)}
+      </div>
+      {view === "forecast" ? (
+        <>
+          <HourlyForecast hours={data.hourly} unit={temperatureUnit} />
+          <DailyForecast days={data.daily} unit={temperatureUnit} />
+        </>
+      ) : (
+        <div className="flex gap-4 text-xs text-gray-500">
+          <span>💨 {formatWindSpeed(data.current.windSpeed, units)}</span>
+          <span>💧 {data.current.humidity}%</span>
+          {data.current.precipitation > 0 && (
+            <span>
+              ☔ {formatPrecipitation(data.current.precipitation, units)}
+            </span>
+          )}
+        </div>
+      )}
+    </ValueContent>
+  );
+}
+
+const hourFormat = new Intl.DateTimeFormat(undefined, { hour: "numeric" });
+const dayFormat = new Intl.DateTimeFormat(undefined, { weekday: "short" });
+
+/**
+ * Scrollable strip of the next hours
+ */
+function HourlyForecast({ hours, unit }) {
+  if (hours.length === 0) return null;
+
+  return (
+    <section aria-label="Hourly forecast">
+      <ol className="flex gap-3 overflow-x-auto pb-1">
+        {hours.map((hour) => {
+          const condition = getCondition(hour.condition);
+          return (
+            <li
+              key={hour.time}
+              className="flex shrink-0 flex-col items-center text-xs"
+            >
+              <span className="text-gray-400">
+                {hourFormat.format(hour.time)}
+              </span>
+              <span className="text-lg" title={condition.label}>
+                {condition.icon}
+              </span>
+              <span className="font-medium text-gray-700">
+                {formatTemperature(hour.temperature, unit)}
+              </span>
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
+}
+
+/**
+ * One row per day, today first
+ */
+function DailyForecast({ days, unit }) {
+  if (days.length === 0) return null;
+
+  return (
+    <section aria-label={`${days.length}-day forecast`}>
+      <ol className="divide-y divide-gray-100 text-xs">
+        {days.map((day, index) => {
+          const condition = getCondition(day.condition);
+          return (
+            <li key={day.date} className="flex items-center gap-2 py-1">
+              <span className="w-10 text-gray-500">
+                {index === 0 ? "Today" : dayFormat.format(day.date)}
+              </span>
+              <span className="text-base" title={condition.label}>
+                {condition.icon}
+              </span>
+              <span className="flex-1 text-blue-500">
+                {day.precipitationChance >= 30 && `${day.precipitationChance}%`}
+              </span>
+              <span className="font-medium text-gray-700">
+                {formatTemperature(day.high, unit)}
+              </span>
+              <span className="text-gray-400">
+                {formatTemperature(day.low, unit)}
+              </span>
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
+}
@@ -0,0 +1,25 @@
+/**
+ * Weather condition codes
+ *
+ * Data sources report conditions as one of these codes; labels and icons
+ * are looked up here, so every source and every view shows the same
+ * names. Unknown codes still render, with a neutral icon.
+ */
+export const WEATHER_CONDITIONS = {
+  clear: { label: "Clear", icon: "☀️" },
+  "partly-cloudy": { label: "Partly cloudy", icon: "⛅" },
+  cloudy: { label: "Cloudy", icon: "☁️" },
+  fog: { label: "Fog", icon: "🌫️" },
+  drizzle: { label: "Drizzle", icon: "🌦️" },
+  rain: { label: "Rain", icon: "🌧️" },
+  thunderstorm: { label: "Thunderstorm", icon: "⛈️" },
+  snow: { label: "Snow", icon: "🌨️" },
+};
+
+/**
+ * @param {string} code - Condition code, e.g. "partly-cloudy"
+ * @returns {{label: string, icon: string}}
+ */
+export function getCondition(code) {
+  return WEATHER_CONDITIONS[code] ?? { label: code ?? "Unknown", icon: "🌡️" };
+}
@@ -0,0 +1,126 @@
+/**
+ * Weather payload helpers
+ *
+ * Every data source hands WeatherContent the same structure, metric and
+ * numeric throughout (see units.js for display):
+ * {
+ *   location, timestamp,
+ *   current: { temperature, feelsLike, condition, humidity, windSpeed,
+ *              precipitation },
+ *   hourly: [{ time, temperature, condition, precipitationChance }],
+ *   daily: [{ date, high, low, condition, precipitationChance }],
+ * }
+ * `condition` is a code from conditions.js; times and dates are ms
+ * timestamps (dates at local midnight, today first).
+ */
+
+export const FORECAST_HOURS = 12;
+export const FORECAST_DAYS = 5;
+
+const HOUR = 60 * 60 * 1000;
+const CODES = ["clear", "partly-cloudy", "cloudy", "drizzle", "rain"];
+const WET_CODES = new Set(["drizzle", "rain", "thunderstorm", "snow"]);
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+const pickCondition = () => CODES[Math.floor(Math.random() * CODES.length)];
+const precipitationChance = (condition) =>
+  Math.round(
+    WET_CODES.has(condition) ? randomBetween(60, 100) : randomBetween(0, 30)
+  );
+
+/**
+ * Trims a weather payload to the lengths the widget shows
+ * Missing forecasts become empty lists, so a source that only knows
+ * current conditions still renders.
+ *
+ * @param {Object} json - Weather payload
+ * @returns {Object} Weather payload
+ */
+export function normalizeWeather({
+  location,
+  timestamp = Date.now(),
+  current,
+  hourly = [],
+  daily = [],
+}) {
+  return {
+    location,
+    timestamp,
+    current,
+    hourly: hourly.slice(0, FORECAST_HOURS),
+    daily: daily.slice(0, FORECAST_DAYS),
+  };
+}
+
+/**
+ * Random but plausible weather for a location
+ *
+ * The location sets a stable mean temperature and temperatures follow the
+ * time of day (coolest before dawn, warmest mid-afternoon); conditions are
+ * random.
+ *
+ * @param {string} location
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Weather payload
+ */
+export function createMockWeather(location, now = Date.now()) {
+  const mean = 5 + getLocationHash(location) * 20;
+  const temperatureAt = (time) =>
+    mean +
+    6 * Math.sin(((new Date(time).getHours() - 9) / 24) * 2 * Math.PI) +
+    randomBetween(-1, 1);
+
+  const condition = pickCondition();
+  const temperature = temperatureAt(now);
+  const nextHour = now - (now % HOUR) + HOUR;
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  return normalizeWeather({
+    location,
+    timestamp: now,
+    current: {
+      temperature: round1(temperature),
+      feelsLike: round1(temperature + randomBetween(-3, 1)),
+      condition,
+      humidity: Math.round(randomBetween(35, 90)),
+      windSpeed: round1(randomBetween(0, 30)),
+      precipitation: WET_CODES.has(condition) ? round1(randomBetween(0, 5)) : 0,
+    },
+    hourly: Array.from({ length: FORECAST_HOURS }, (_, index) => {
+      const time = nextHour + index * HOUR;
+      const hourCondition = pickCondition();
+      return {
+        time,
+        temperature: round1(temperatureAt(time)),
+        condition: hourCondition,
+        precipitationChance: precipitationChance(hourCondition),
+      };
+    }),
+    daily: Array.from({ length: FORECAST_DAYS }, (_, index) => {
+      const date = new Date(today);
+      date.setDate(today.getDate() + index);
+      const dayMean = mean + randomBetween(-3, 3);
+      const dayCondition = index === 0 ? condition : pickCondition();
+      return {
+        date: date.getTime(),
+        high: round1(dayMean + randomBetween(4, 8)),
+        low: round1(dayMean - randomBetween(4, 8)),
+        condition: dayCondition,
+        precipitationChance: precipitationChance(dayCondition),
+      };
+    }),
+  });
+}
+
+/**
+ * Stable number in [0, 1) for a location name
+ */
+function getLocationHash(location) {
+  let hash = 0;
+  for (const char of location.toLowerCase()) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 1000;
+  }
+  return hash / 1000;
+}
@@ -0,0 +1,75 @@
+import { dataSourceField } from "@/lib/dataSource";
+import { refreshIntervalField } from "@/lib/polling";
+
+import fixture from "./fixture.json";
+import { createMockWeather, normalizeWeather } from "./forecast";
+import { WeatherContent } from "./WeatherContent";
+
+export const weatherWidget = {
+  id: "weather",
+  name: "Weather",
+  color: "bg-blue-500",
+  icon: "🌤️",
+  description: "Current conditions and forecasts",
+  settingsSchema: {
+    location: {
+      type: "string",
+      label: "Location",
+      default: "New York",
+      required: true,
+      maxLength: 60,
+      placeholder: "e.g. London",
+    },
+    view: {
+      type: "enum",
+      display: true,
+      label: "Show",
+      default: "current",
+      required: true,
+      options: [
+        { value: "current", label: "Current conditions" },
+        { value: "forecast", label: "Hourly and 5-day forecast" },
+      ],
+    },
+    temperatureUnit: {
+      type: "enum",
+      display: true,
+      label: "Temperature",
+      default: "celsius",
+      required: true,
+      options: [
+        { value: "celsius", label: "Celsius (°C)" },
+        { value: "fahrenheit", label: "Fahrenheit (°F)" },
+      ],
+    },
+    units: {
+      type: "enum",
+      display: true,
+      label: "Wind and rain",
+      default: "metric",
+      required: true,
+      options: [
+        { value: "metric", label: "Metric (km/h, mm)" },
+        { value: "imperial", label: "Imperial (mph, in)" },
+      ],
+    },
+    refreshInterval: refreshIntervalField("300"),
+    dataSource: dataSourceField(),
+  },
+  // Forecasts change slowly
+  cacheTtl: 15 * 60 * 1000,
+  // 2: numeric metric payload with forecasts (1 held a preformatted value)
+  dataVersion: 2,
+  fetch: async ({ location }) => createMockWeather(location),
+  // GET {VITE_API_BASE_URL}/weather?location=London
+  // → { location: "London", current: { temperature: 18, feelsLike: 17,
+  //     condition: "partly-cloudy", humidity: 60, windSpeed: 14,
+  //     precipitation: 0 }, hourly: [...], daily: [...] }
+  // in metric units and condition codes (see forecast.js, conditions.js)
+  rest: {
+    url: "/weather?location={location}",
+    map: (json) => normalizeWeather(json),
+  },
+  fixture,
+  render: WeatherContent,
+};
@@ -0,0 +1,39 @@
+/**
+ * Unit conversion for weather values
+ *
+ * Data is always metric (°C, km/h, mm); units are a display setting, so
+ * switching them never changes the data itself.
+ */
+
+/**
+ * @param {number} celsius
+ * @param {string} unit - "celsius" | "fahrenheit"
+ * @returns {string} e.g. "23°C", "73°F"
+ */
+export function formatTemperature(celsius, unit = "celsius") {
+  return unit === "fahrenheit"
+    ? `${Math.round((celsius * 9) / 5 + 32)}°F`
+    : `${Math.round(celsius)}°C`;
+}
+
+/**
+ * @param {number} kmh - Wind speed in km/h
+ * @param {string} units - "metric" | "imperial"
+ * @returns {string} e.g. "12 km/h", "7 mph"
+ */
+export function formatWindSpeed(kmh, units = "metric") {
+  return units === "imperial"
+    ? `${Math.round(kmh / 1.609344)} mph`
+    : `${Math.round(kmh)} km/h`;
+}
+
+/**
+ * @param {number} mm - Precipitation in mm
+ * @param {string} units - "metric" | "imperial"
+ * @returns {string} e.g. "1.2 mm", "0.05 in"
+ */
+export function formatPrecipitation(mm, units = "metric") {
+  return units === "imperial"
+    ? `${(mm / 25.4).toFixed(2)} in`
+    : `${Number(mm.toFixed(1))} mm`;
+}